@@ -85,6 +85,7 @@ ipcMain.handle('select-files', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile', 'multiSelections'],
     filters: [
+      { name: 'Images', extensions: ['gif', 'webp', 'tif', 'tiff', 'png', 'jpg', 'jpeg', 'avif'] },
       { name: 'GIF Images', extensions: ['gif'] },
       { name: 'All Files', extensions: ['*'] }
     ]
@@ -102,6 +103,19 @@ ipcMain.handle('select-output-folder', async () => {
   return result.filePaths[0];
 });
 
+// 파일 내용으로 입력 형식 검사 (변환기와 같은 규칙: 헤더로 형식 판별, GIF는 잘림과 블록 구조까지)
+ipcMain.handle('inspect-files', async (event, files) => {
+  const { inspectInputFile } = await import('../src/input-format.js');
+  
+  return await Promise.all(files.map(async (file) => {
+    try {
+      return { path: file, ...await inspectInputFile(file) };
+    } catch (error) {
+      return { path: file, valid: false, code: null, message: error.message };
+    }
+  }));
+});
+
 // 결과 폴더 열기
 ipcMain.handle('open-folder', async (event, folderPath) => {
   const { shell } = require('electron');
@@ -112,8 +126,25 @@ ipcMain.handle('open-folder', async (event, folderPath) => {
 ipcMain.handle('convert-files', async (event, files, options) => {
   try {
     // 메인 프로세스에서 변환 로직 실행 (ES 모듈 동적 import 사용)
-    const { convertGifToWebp } = await import('../src/converter.js');
+    const { GifToWebPConverter } = await import('../src/converter.js');
     const { BatchProcessor } = await import('../src/batch-processor.js');
+    const { validateEncoderOptions } = await import('../src/encoder-options.js');
+    const { validateTransformOptions } = await import('../src/transforms.js');
+    
+    // 잘못된 인코더/크기 조정 설정은 파일마다 실패시키지 않고 한 번에 오류로 알림
+    validateEncoderOptions(options);
+    validateTransformOptions(options);
+    
+    const converter = new GifToWebPConverter(options);
+    
+    // 출력 경로가 겹치는 파일(예: logo.gif와 logo.png, 또는 logo.gif와 입력 logo.webp)은 변환하지 않고 실패로 알림.
+    // 선택한 입력 파일과 먼저 나온 입력이 출력 경로를 차지한다 (BatchProcessor와 같은 규칙)
+    const outputPaths = files.map(file => converter.generateOutputPath(file));
+    const outputOwners = new Map(files.map(file => [path.resolve(file), file]));
+    files.forEach((file, index) => {
+      const outputPath = path.resolve(outputPaths[index]);
+      if (!outputOwners.has(outputPath)) outputOwners.set(outputPath, file);
+    });
     
     const results = [];
     
@@ -128,11 +159,14 @@ ipcMain.handle('convert-files', async (event, files, options) => {
           status: 'processing'
         });
         
-        // 출력 경로 생성
-        const outputPath = file.replace(/\.gif$/i, '.webp');
+        const outputPath = outputPaths[i];
+        const owner = outputOwners.get(path.resolve(outputPath));
+        if (owner !== file) {
+          throw new Error(`출력 경로가 다른 입력과 겹칩니다: ${outputPath} (${path.basename(owner)})`);
+        }
         
         // 변환 실행
-        const result = await convertGifToWebp(file, outputPath, options);
+        const result = await converter.convertFile(file, outputPath);
         
         results.push({
           success: true,
@@ -174,6 +208,13 @@ ipcMain.handle('convert-files', async (event, files, options) => {
   }
 });
 
+// 프리셋 목록 가져오기 (CLI와 같은 레지스트리 + 사용자 설정 파일)
+ipcMain.handle('get-presets', async () => {
+  const { loadPresets } = await import('../src/presets.js');
+  const { presets } = await loadPresets({ cwd: app.getPath('home') });
+  return Object.values(presets);
+});
+
 // 앱 정보 가져오기
 ipcMain.handle('get-app-info', () => {
   return {
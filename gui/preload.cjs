@@ -19,6 +19,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // 파일 선택
     selectFiles: () => ipcRenderer.invoke('select-files'),
     
+    // 파일 내용으로 GIF 검사
+    inspectFiles: (files) => ipcRenderer.invoke('inspect-files', files),
+    
     // 출력 폴더 선택
     selectOutputFolder: () => ipcRenderer.invoke('select-output-folder'),
     
@@ -28,6 +31,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
     // 파일 변환
     convertFiles: (files, options) => ipcRenderer.invoke('convert-files', files, options),
     
+    // 프리셋 목록
+    getPresets: () => ipcRenderer.invoke('get-presets'),
+    
     // 앱 정보
     getAppInfo: () => ipcRenderer.invoke('get-app-info'),
     
@@ -17,7 +17,31 @@ const elements = {
     effortSlider: document.getElementById('effortSlider'),
     effortValue: document.getElementById('effortValue'),
     losslessCheck: document.getElementById('losslessCheck'),
-    presetBtns: document.querySelectorAll('.preset-btn'),
+    nearLosslessCheck: document.getElementById('nearLosslessCheck'),
+    smartSubsampleCheck: document.getElementById('smartSubsampleCheck'),
+    alphaQualitySlider: document.getElementById('alphaQualitySlider'),
+    alphaQualityValue: document.getElementById('alphaQualityValue'),
+    webpPresetSelect: document.getElementById('webpPresetSelect'),
+    minSizeCheck: document.getElementById('minSizeCheck'),
+    mixedCheck: document.getElementById('mixedCheck'),
+    delayInput: document.getElementById('delayInput'),
+    resizeSettings: document.getElementById('resizeSettings'),
+    autoTrimCheck: document.getElementById('autoTrimCheck'),
+    dedupeCheck: document.getElementById('dedupeCheck'),
+    resizeModeSelect: document.getElementById('resizeModeSelect'),
+    resizeScaleInput: document.getElementById('resizeScaleInput'),
+    resizeMaxInput: document.getElementById('resizeMaxInput'),
+    resizeWidthInput: document.getElementById('resizeWidthInput'),
+    resizeHeightInput: document.getElementById('resizeHeightInput'),
+    resizeFitSelect: document.getElementById('resizeFitSelect'),
+    resizeKernelSelect: document.getElementById('resizeKernelSelect'),
+    playbackSettings: document.getElementById('playbackSettings'),
+    speedInput: document.getElementById('speedInput'),
+    reverseCheck: document.getElementById('reverseCheck'),
+    boomerangCheck: document.getElementById('boomerangCheck'),
+    loopInput: document.getElementById('loopInput'),
+    presetButtons: document.getElementById('presetButtons'),
+    presetBtns: [],
     startBtn: document.getElementById('startBtn'),
     pauseBtn: document.getElementById('pauseBtn'),
     stopBtn: document.getElementById('stopBtn'),
@@ -36,11 +60,13 @@ const appState = {
     isPaused: false,
     completedCount: 0,
     totalCount: 0,
+    presets: {}, // 이름 → 프리셋 (src/presets.js 레지스트리)
     currentSettings: {
         quality: 75,
         effort: 6,
         lossless: false
-    }
+    },
+    advancedSettings: {} // 고급 인코더 설정 (기본값과 다른 항목만)
 };
 
 /**
@@ -50,6 +76,7 @@ async function initialize() {
     setupEventListeners();
     setupDragAndDrop();
     updateUI();
+    await loadPresets();
     
     // 앱 정보 로드
     try {
@@ -89,9 +116,57 @@ function setupEventListeners() {
         clearPresetSelection();
     });
     
-    // 프리셋 버튼들
-    elements.presetBtns.forEach(btn => {
-        btn.addEventListener('click', () => applyPreset(btn.dataset.preset));
+    // 고급 설정
+    [
+        [elements.nearLosslessCheck, 'nearLossless'],
+        [elements.smartSubsampleCheck, 'smartSubsample'],
+        [elements.minSizeCheck, 'minSize'],
+        [elements.mixedCheck, 'mixed']
+    ].forEach(([checkbox, key]) => {
+        checkbox.addEventListener('change', (e) => {
+            setAdvancedSetting(key, e.target.checked || undefined);
+        });
+    });
+    
+    elements.alphaQualitySlider.addEventListener('input', (e) => {
+        const value = parseInt(e.target.value);
+        elements.alphaQualityValue.textContent = value;
+        setAdvancedSetting('alphaQuality', value === 100 ? undefined : value);
+    });
+    
+    elements.webpPresetSelect.addEventListener('change', (e) => {
+        setAdvancedSetting('webpPreset', e.target.value === 'default' ? undefined : e.target.value);
+    });
+    
+    elements.delayInput.addEventListener('change', (e) => {
+        try {
+            setAdvancedSetting('delay', parseDelayInput(e.target.value));
+            elements.delayInput.classList.remove('invalid');
+        } catch (error) {
+            elements.delayInput.classList.add('invalid');
+            updateStatus(error.message);
+        }
+    });
+    
+    // 자르기/크기 조정 (값은 변환 시작 시 readResizeSettings로 읽음)
+    elements.resizeSettings.addEventListener('change', () => {
+        updateResizeFields();
+        try {
+            readResizeSettings();
+        } catch (error) {
+            updateStatus(error.message);
+        }
+        clearPresetSelection();
+    });
+    
+    // 재생 속도/순서와 반복 횟수 (값은 변환 시작 시 readPlaybackSettings로 읽음)
+    elements.playbackSettings.addEventListener('change', () => {
+        try {
+            readPlaybackSettings();
+        } catch (error) {
+            updateStatus(error.message);
+        }
+        clearPresetSelection();
     });
     
     // 컨트롤 버튼들
@@ -134,15 +209,8 @@ function setupDragAndDrop() {
         e.preventDefault();
         elements.dropZone.classList.remove('drag-over');
         
-        const files = Array.from(e.dataTransfer.files)
-            .filter(file => file.name.toLowerCase().endsWith('.gif'))
-            .map(file => file.path);
-        
-        if (files.length > 0) {
-            addFiles(files);
-        } else {
-            updateStatus('GIF 파일만 지원됩니다');
-        }
+        const files = Array.from(e.dataTransfer.files).map(file => file.path);
+        addInspectedFiles(files);
     });
     
     // 클릭으로도 파일 선택 가능
@@ -156,7 +224,7 @@ async function selectFiles() {
     try {
         const files = await ipcRenderer.invoke('select-files');
         if (files && files.length > 0) {
-            addFiles(files);
+            await addInspectedFiles(files);
         }
     } catch (error) {
         console.error('파일 선택 실패:', error);
@@ -164,6 +232,35 @@ async function selectFiles() {
     }
 }
 
+/**
+ * 파일 내용을 검사해 변환 가능한 이미지만 목록에 추가 (확장자가 아닌 헤더로 판별, GIF는 블록 구조까지)
+ */
+async function addInspectedFiles(files) {
+    if (files.length === 0) return;
+    
+    try {
+        const inspections = await ipcRenderer.invoke('inspect-files', files);
+        const valid = inspections.filter(inspection => inspection.valid).map(inspection => inspection.path);
+        const rejected = inspections.filter(inspection => !inspection.valid);
+        
+        if (valid.length > 0) {
+            addFiles(valid);
+        }
+        
+        if (rejected.length > 0) {
+            rejected.forEach(inspection => console.warn(`입력 검사 실패 (${inspection.code}): ${inspection.path} - ${inspection.message}`));
+            const first = rejected[0];
+            const reason = `${path.basename(first.path)}: ${first.message}`;
+            updateStatus(rejected.length === 1
+                ? `제외됨 - ${reason}`
+                : `${rejected.length}개 파일 제외됨 - ${reason} 외`);
+        }
+    } catch (error) {
+        console.error('파일 검사 실패:', error);
+        updateStatus('파일 검사 실패');
+    }
+}
+
 /**
  * 파일 목록에 추가
  */
@@ -259,19 +356,228 @@ function formatFileSize(bytes) {
     return `${size.toFixed(1)} ${units[unitIndex]}`;
 }
 
+/**
+ * 고급 설정 값 변경 (undefined면 기본값으로 되돌림)
+ */
+function setAdvancedSetting(key, value) {
+    if (value === undefined) {
+        delete appState.advancedSettings[key];
+    } else {
+        appState.advancedSettings[key] = value;
+    }
+    clearPresetSelection();
+}
+
+/**
+ * 프레임 지연 입력 파싱 (빈 값이면 원본 유지)
+ */
+function parseDelayInput(text) {
+    const trimmed = text.trim();
+    if (trimmed === '') return undefined;
+    
+    const parts = trimmed.split(',').map(part => part.trim());
+    if (parts.some(part => !/^\d+$/.test(part) || Number(part) > 65535)) {
+        throw new Error('프레임 지연은 0-65535 정수(ms) 또는 쉼표로 구분한 목록이어야 합니다');
+    }
+    
+    const delays = parts.map(Number);
+    return delays.length === 1 ? delays[0] : delays;
+}
+
+/**
+ * 고급 설정 UI를 주어진 값으로 갱신
+ */
+function applyAdvancedSettings(settings) {
+    elements.nearLosslessCheck.checked = settings.nearLossless ?? false;
+    elements.smartSubsampleCheck.checked = settings.smartSubsample ?? false;
+    elements.alphaQualitySlider.value = settings.alphaQuality ?? 100;
+    elements.alphaQualityValue.textContent = settings.alphaQuality ?? 100;
+    elements.webpPresetSelect.value = settings.webpPreset ?? 'default';
+    elements.minSizeCheck.checked = settings.minSize ?? false;
+    elements.mixedCheck.checked = settings.mixed ?? false;
+    elements.delayInput.value = settings.delay === undefined ? '' : [].concat(settings.delay).join(',');
+    elements.delayInput.classList.remove('invalid');
+    
+    appState.advancedSettings = {};
+    ['nearLossless', 'smartSubsample', 'alphaQuality', 'webpPreset', 'minSize', 'mixed', 'delay'].forEach(key => {
+        if (settings[key] !== undefined) appState.advancedSettings[key] = settings[key];
+    });
+}
+
+/**
+ * 선택한 크기 조정 방식의 입력란만 표시
+ */
+function updateResizeFields() {
+    const mode = elements.resizeModeSelect.value;
+    elements.resizeSettings.querySelectorAll('[data-resize-mode]').forEach(item => {
+        item.hidden = item.dataset.resizeMode !== mode;
+    });
+}
+
+/**
+ * 자르기/크기 조정 입력값 읽기 (잘못된 입력란은 표시하고 오류 발생)
+ */
+function readResizeSettings() {
+    const mode = elements.resizeModeSelect.value;
+    const fields = {
+        scale: [elements.resizeScaleInput],
+        maxDimension: [elements.resizeMaxInput],
+        size: [elements.resizeWidthInput, elements.resizeHeightInput]
+    }[mode] || [];
+    
+    const settings = {};
+    const keys = { resizeScaleInput: 'scale', resizeMaxInput: 'maxDimension', resizeWidthInput: 'width', resizeHeightInput: 'height' };
+    let invalid = false;
+    
+    [elements.resizeScaleInput, elements.resizeMaxInput, elements.resizeWidthInput, elements.resizeHeightInput]
+        .forEach(input => input.classList.remove('invalid'));
+    
+    fields.forEach(input => {
+        if (input.value.trim() === '') return;
+        const value = Number(input.value);
+        const key = keys[input.id];
+        const valid = key === 'scale' ? value > 0 && value <= 1000 : Number.isInteger(value) && value > 0;
+        if (valid) {
+            settings[key] = value;
+        } else {
+            input.classList.add('invalid');
+            invalid = true;
+        }
+    });
+    
+    if (invalid) {
+        throw new Error('크기 조정 값이 올바르지 않습니다 (배율: 0-1000%, 크기: 양의 정수 px)');
+    }
+    if (mode === 'size' && Object.keys(settings).length > 0) {
+        settings.fit = elements.resizeFitSelect.value;
+    }
+    if (Object.keys(settings).length > 0 && elements.resizeKernelSelect.value !== 'lanczos3') {
+        settings.kernel = elements.resizeKernelSelect.value;
+    }
+    if (elements.autoTrimCheck.checked) {
+        settings.autoTrim = true;
+    }
+    if (elements.dedupeCheck.checked) {
+        settings.dedupe = true;
+    }
+    
+    return settings;
+}
+
+/**
+ * 자르기/크기 조정 UI를 주어진 값으로 갱신
+ */
+function applyResizeSettings(settings) {
+    let mode = 'none';
+    if (settings.scale !== undefined) mode = 'scale';
+    else if (settings.maxDimension !== undefined) mode = 'maxDimension';
+    else if (settings.width !== undefined || settings.height !== undefined) mode = 'size';
+    
+    elements.autoTrimCheck.checked = settings.autoTrim ?? false;
+    elements.dedupeCheck.checked = settings.dedupe ?? false;
+    elements.resizeModeSelect.value = mode;
+    elements.resizeScaleInput.value = settings.scale ?? 50;
+    elements.resizeMaxInput.value = settings.maxDimension ?? '';
+    elements.resizeWidthInput.value = settings.width ?? '';
+    elements.resizeHeightInput.value = settings.height ?? '';
+    elements.resizeFitSelect.value = settings.fit ?? 'inside';
+    elements.resizeKernelSelect.value = settings.kernel ?? 'lanczos3';
+    updateResizeFields();
+    readResizeSettings();
+}
+
+/**
+ * 재생 속도/순서와 반복 횟수 입력값 읽기 (잘못된 입력란은 표시하고 오류 발생)
+ */
+function readPlaybackSettings() {
+    const settings = {};
+    const speed = Number(elements.speedInput.value);
+    const loop = Number(elements.loopInput.value);
+    
+    elements.speedInput.classList.remove('invalid');
+    elements.loopInput.classList.remove('invalid');
+    if (elements.speedInput.value.trim() !== '' && speed !== 1) {
+        if (!(speed > 0 && speed <= 100)) {
+            elements.speedInput.classList.add('invalid');
+            throw new Error('재생 속도가 올바르지 않습니다 (0보다 크고 100 이하인 배율)');
+        }
+        settings.speed = speed;
+    }
+    // 비워 두면 원본 반복 횟수 유지
+    if (elements.loopInput.value.trim() !== '') {
+        if (!(Number.isInteger(loop) && loop >= 0 && loop <= 65535)) {
+            elements.loopInput.classList.add('invalid');
+            throw new Error('반복 횟수가 올바르지 않습니다 (0-65535 정수, 0 = 무한)');
+        }
+        settings.loop = loop;
+    }
+    if (elements.reverseCheck.checked) {
+        settings.reverse = true;
+    }
+    if (elements.boomerangCheck.checked) {
+        settings.boomerang = true;
+    }
+    
+    return settings;
+}
+
+/**
+ * 재생 속도/순서와 반복 횟수 UI를 주어진 값으로 갱신
+ */
+function applyPlaybackSettings(settings) {
+    elements.speedInput.value = settings.speed ?? 1;
+    elements.loopInput.value = settings.loop ?? '';
+    elements.reverseCheck.checked = settings.reverse ?? false;
+    elements.boomerangCheck.checked = settings.boomerang ?? false;
+    readPlaybackSettings();
+}
+
+/**
+ * 프리셋 목록 로드 및 버튼 생성
+ */
+async function loadPresets() {
+    try {
+        const presets = await ipcRenderer.invoke('get-presets');
+        appState.presets = Object.fromEntries(presets.map(preset => [preset.name, preset]));
+    } catch (error) {
+        console.error('프리셋 로드 실패:', error);
+        updateStatus(`프리셋 로드 실패: ${error.message}`);
+        return;
+    }
+    
+    elements.presetButtons.innerHTML = '';
+    Object.values(appState.presets).forEach(preset => {
+        const btn = document.createElement('button');
+        btn.className = 'preset-btn';
+        btn.dataset.preset = preset.name;
+        btn.textContent = preset.label || preset.name;
+        if (preset.description) btn.title = preset.description;
+        btn.addEventListener('click', () => applyPreset(preset.name));
+        elements.presetButtons.appendChild(btn);
+    });
+    
+    elements.presetBtns = elements.presetButtons.querySelectorAll('.preset-btn');
+}
+
 /**
  * 프리셋 적용
  */
-function applyPreset(preset) {
-    const presets = {
-        auto: { quality: 75, effort: 6, lossless: false },
-        quality: { quality: 90, effort: 6, lossless: false },
-        compression: { quality: 60, effort: 6, lossless: false },
-        default: { quality: 75, effort: 6, lossless: false }
+function applyPreset(presetName) {
+    const preset = appState.presets[presetName];
+    if (!preset) return;
+    
+    const settings = {
+        quality: preset.quality ?? 75,
+        effort: preset.effort ?? 6,
+        lossless: preset.lossless ?? false
     };
-    
-    const settings = presets[preset];
-    if (!settings) return;
+    if (preset.optimize) settings.optimize = preset.optimize;
+    if (preset.maxSize) settings.maxSize = preset.maxSize;
+    if (preset.crop) settings.crop = preset.crop;
+    if (preset.trimThreshold !== undefined) settings.trimThreshold = preset.trimThreshold;
+    if (preset.maxFps) settings.maxFps = preset.maxFps;
+    if (preset.dropEvery) settings.dropEvery = preset.dropEvery;
+    if (preset.dedupeThreshold !== undefined) settings.dedupeThreshold = preset.dedupeThreshold;
     
     // UI 업데이트
     elements.qualitySlider.value = settings.quality;
@@ -280,14 +586,16 @@ function applyPreset(preset) {
     elements.effortValue.textContent = settings.effort;
     elements.losslessCheck.checked = settings.lossless;
     
-    // 상태 업데이트
-    appState.currentSettings = { ...settings };
+    // 상태 업데이트 (프리셋에 없는 고급 설정은 기본값으로)
+    appState.currentSettings = settings;
+    applyAdvancedSettings(preset);
+    applyResizeSettings(preset);
+    applyPlaybackSettings(preset);
     
     // 프리셋 버튼 활성화
-    elements.presetBtns.forEach(btn => btn.classList.remove('active'));
-    document.querySelector(`[data-preset="${preset}"]`).classList.add('active');
+    elements.presetBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.preset === presetName));
     
-    updateStatus(`${preset} 프리셋 적용됨`);
+    updateStatus(`${preset.label || presetName} 프리셋 적용됨`);
 }
 
 /**
@@ -295,6 +603,15 @@ function applyPreset(preset) {
  */
 function clearPresetSelection() {
     elements.presetBtns.forEach(btn => btn.classList.remove('active'));
+    
+    // 슬라이더로 표현되지 않는 프리셋 전용 설정은 해제
+    delete appState.currentSettings.optimize;
+    delete appState.currentSettings.maxSize;
+    delete appState.currentSettings.crop;
+    delete appState.currentSettings.trimThreshold;
+    delete appState.currentSettings.maxFps;
+    delete appState.currentSettings.dropEvery;
+    delete appState.currentSettings.dedupeThreshold;
 }
 
 /**
@@ -323,7 +640,8 @@ async function startConversion() {
     
     try {
         const filePaths = appState.files.map(file => file.path);
-        const results = await ipcRenderer.invoke('convert-files', filePaths, appState.currentSettings);
+        const options = { ...appState.currentSettings, ...appState.advancedSettings, ...readResizeSettings(), ...readPlaybackSettings() };
+        const results = await ipcRenderer.invoke('convert-files', filePaths, options);
         
         // 결과 처리는 progress 이벤트에서 처리됨
         updateStatus('변환 완료');
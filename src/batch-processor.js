@@ -2,21 +2,26 @@ import pMap from 'p-map';
 import fs from 'fs-extra';
 import path from 'path';
 import { GifToWebPConverter } from './converter.js';
+import { compareImageQuality } from './quality-analyzer.js';
+import { createBatchReport, writeReport, summarizeOutputFormats } from './report-exporter.js';
+import { detectFileFormat, resolveInputFormats, INPUT_FORMAT_EXTENSIONS } from './input-format.js';
 
 /**
  * 배치 처리 클래스
- * 여러 GIF 파일을 동시에 WebP로 변환
+ * 여러 GIF(또는 허용된 다른 형식) 파일을 동시에 WebP로 변환
  */
 export class BatchProcessor {
   constructor(options = {}) {
     this.options = {
       concurrency: options.concurrency || 4, // 동시 처리 개수
       stopOnError: options.stopOnError || false,
+      analyzeQuality: options.analyzeQuality || false, // 변환 후 PSNR/SSIM 측정
       ...options
     };
     
     this.converter = new GifToWebPConverter(options);
     this.progressCallback = null;
+    this.lastTotalTime = null;
   }
 
   /**
@@ -28,13 +33,17 @@ export class BatchProcessor {
   }
 
   /**
-   * 디렉토리에서 GIF 파일 목록 가져오기
+   * 디렉토리에서 입력 파일 목록 가져오기
+   * 확장자 대신 파일 헤더로 형식을 판별하여 허용 목록(inputFormats)에 있는 파일만 포함하고,
+   * 이미지 확장자인데 내용이 허용된 형식이 아닌 파일(이름만 바뀐 파일 등)은 경고 후 제외
    * @param {string} inputDir - 입력 디렉토리
    * @param {boolean} recursive - 재귀 탐색 여부
-   * @returns {Promise<string[]>} GIF 파일 경로 배열
+   * @returns {Promise<string[]>} 입력 파일 경로 배열
    */
-  async findGifFiles(inputDir, recursive = false) {
-    const gifFiles = [];
+  async findInputFiles(inputDir, recursive = false) {
+    const inputFormats = resolveInputFormats(this.options.inputFormats);
+    const imageExtensions = Object.values(INPUT_FORMAT_EXTENSIONS).flat();
+    const inputFiles = [];
     
     try {
       const entries = await fs.readdir(inputDir, { withFileTypes: true });
@@ -43,17 +52,33 @@ export class BatchProcessor {
         const fullPath = path.join(inputDir, entry.name);
         
         if (entry.isDirectory() && recursive) {
-          const subFiles = await this.findGifFiles(fullPath, recursive);
-          gifFiles.push(...subFiles);
-        } else if (entry.isFile() && path.extname(entry.name).toLowerCase() === '.gif') {
-          gifFiles.push(fullPath);
+          const subFiles = await this.findInputFiles(fullPath, recursive);
+          inputFiles.push(...subFiles);
+        } else if (entry.isFile()) {
+          const format = await detectFileFormat(fullPath);
+          if (format && inputFormats.includes(format)) {
+            inputFiles.push(fullPath);
+          } else if (imageExtensions.includes(path.extname(entry.name).toLowerCase())) {
+            console.warn(`⚠️  ${format ? `허용되지 않은 입력 형식(${format})` : '이미지가 아닌 파일'} 제외: ${fullPath}`);
+          }
         }
       }
     } catch (error) {
       console.error(`디렉토리 읽기 실패: ${inputDir}`, error.message);
     }
     
-    return gifFiles;
+    return inputFiles;
+  }
+
+  /**
+   * 디렉토리에서 GIF 파일 목록 가져오기
+   * @deprecated findInputFiles 사용 (허용 목록이 GIF만이면 같은 결과)
+   * @param {string} inputDir - 입력 디렉토리
+   * @param {boolean} recursive - 재귀 탐색 여부
+   * @returns {Promise<string[]>} 입력 파일 경로 배열
+   */
+  async findGifFiles(inputDir, recursive = false) {
+    return await this.findInputFiles(inputDir, recursive);
   }
 
   /**
@@ -77,12 +102,34 @@ export class BatchProcessor {
     const startTime = Date.now();
     let completed = 0;
     
+    // 같은 이름의 다른 형식 입력(예: logo.gif, logo.webp)은 출력 경로가 겹치므로 먼저 나온 파일만 변환
+    const outputOwners = new Map();
+    for (const inputPath of inputPaths) {
+      const outputPath = path.resolve(this.converter.generateOutputPath(inputPath, outputDir));
+      if (!outputOwners.has(outputPath)) outputOwners.set(outputPath, inputPath);
+    }
+    
     // p-map을 사용한 동시 처리
     const results = await pMap(
       inputPaths,
       async (inputPath) => {
         const outputPath = this.converter.generateOutputPath(inputPath, outputDir);
-        const result = await this.converter.convertFile(inputPath, outputPath);
+        const owner = outputOwners.get(path.resolve(outputPath));
+        const result = owner === inputPath
+          ? await this.converter.convertFile(inputPath, outputPath)
+          : this.outputConflict(inputPath, outputPath, owner);
+        
+        if (this.options.analyzeQuality) {
+          // 여러 형식이면 실제로 저장된 출력마다 측정하고, 최상위 품질은 주 결과(저장된 첫 출력)의 값
+          const written = (result.outputs ?? [result]).filter(output => output.success && !output.skipped);
+          for (const output of written) {
+            output.quality = await this.measureQuality(inputPath, output.outputPath, output);
+          }
+          const primary = written.find(output => output.outputPath === result.outputPath);
+          if (primary) {
+            result.quality = primary.quality;
+          }
+        }
         
         completed++;
         
@@ -105,6 +152,7 @@ export class BatchProcessor {
     );
     
     const totalTime = Date.now() - startTime;
+    this.lastTotalTime = totalTime;
     
     // 최종 통계 출력
     this.printBatchSummary(results, totalTime);
@@ -112,6 +160,63 @@ export class BatchProcessor {
     return results;
   }
 
+  /**
+   * 출력 경로가 다른 입력과 겹치는 파일의 실패 결과
+   * @param {string} inputPath - 입력 파일 경로
+   * @param {string} outputPath - 겹치는 출력 경로
+   * @param {string} owner - 같은 출력 경로로 변환되는 먼저 나온 입력 파일
+   * @returns {Object} 변환 실패 결과
+   */
+  outputConflict(inputPath, outputPath, owner) {
+    const error = `출력 경로가 다른 입력과 겹칩니다: ${outputPath} (${path.basename(owner)})`;
+    console.error(`❌ 변환 실패: ${path.basename(inputPath)}`);
+    console.error(`   오류: ${error}`);
+    this.converter.updateStats(0, 0, false);
+    
+    return {
+      success: false,
+      inputPath,
+      error,
+      errorCode: null,
+      processingTime: 0
+    };
+  }
+
+  /**
+   * 변환 결과 품질 측정 (실패해도 변환 결과는 유지)
+   * @param {string} inputPath - 원본 파일 경로
+   * @param {string} outputPath - 변환된 파일 경로
+   * @param {Object} conversion - 변환 결과 (crop/resize/frameRate/duplicates/playback 정보로 원본을 같은 방식으로 변환해 비교)
+   * @returns {Promise<Object>} 품질 지표 요약
+   */
+  async measureQuality(inputPath, outputPath, conversion = {}) {
+    const { crop, resize, frameRate, duplicates, playback } = conversion;
+    try {
+      const analysis = await compareImageQuality(inputPath, outputPath, {
+        crop: crop && { left: crop.left, top: crop.top, width: crop.width, height: crop.height },
+        resize: resize && {
+          width: resize.width,
+          height: resize.height,
+          fit: resize.fit,
+          kernel: resize.kernel,
+          withoutEnlargement: resize.withoutEnlargement
+        },
+        // 재생 순서 → 중복 프레임 병합 → 프레임 줄이기 순으로 나중 단계의 결과가 최종 프레임 목록
+        frames: playback?.kept ?? duplicates?.kept ?? frameRate?.kept ?? null
+      });
+      return {
+        psnr: analysis.psnr,
+        ssim: analysis.ssim,
+        qualityScore: analysis.qualityScore,
+        grade: analysis.metadata.qualityGrade,
+        worstFrameIndex: analysis.frames.worstFrame.index,
+        worstFramePSNR: analysis.frames.worstFrame.psnr
+      };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
   /**
    * 디렉토리 전체 변환
    * @param {string} inputDir - 입력 디렉토리
@@ -122,16 +227,16 @@ export class BatchProcessor {
   async convertDirectory(inputDir, outputDir, recursive = false) {
     console.log(`📂 디렉토리 스캔: ${inputDir}`);
     
-    const gifFiles = await this.findGifFiles(inputDir, recursive);
+    const inputFiles = await this.findInputFiles(inputDir, recursive);
     
-    if (gifFiles.length === 0) {
-      console.log('❌ GIF 파일을 찾을 수 없습니다.');
+    if (inputFiles.length === 0) {
+      console.log(`❌ 변환할 파일을 찾을 수 없습니다. (허용 형식: ${resolveInputFormats(this.options.inputFormats).join(', ')})`);
       return [];
     }
     
-    console.log(`📋 발견된 GIF 파일: ${gifFiles.length}개`);
+    console.log(`📋 발견된 입력 파일: ${inputFiles.length}개`);
     
-    return await this.convertFiles(gifFiles, outputDir);
+    return await this.convertFiles(inputFiles, outputDir);
   }
 
   /**
@@ -140,7 +245,9 @@ export class BatchProcessor {
    * @param {number} totalTime - 총 처리 시간
    */
   printBatchSummary(results, totalTime) {
-    const successful = results.filter(r => r.success);
+    // 건너뛴 결과는 success: true지만 출력이 없으므로 성공 목록과 분리한다
+    const successful = results.filter(r => r.success && !r.skipped);
+    const skipped = results.filter(r => r.success && r.skipped);
     const failed = results.filter(r => !r.success);
     
     const stats = this.converter.getStats();
@@ -149,6 +256,9 @@ export class BatchProcessor {
     console.log('==================');
     console.log(`✅ 성공: ${successful.length}개`);
     console.log(`❌ 실패: ${failed.length}개`);
+    if (skipped.length > 0) {
+      console.log(`⏭️  건너뜀 (이득 없음): ${skipped.length}개 - ${skipped.map(r => path.basename(r.inputPath)).join(', ')}`);
+    }
     console.log(`⏱️  총 처리시간: ${(totalTime / 1000).toFixed(1)}초`);
     console.log(`📏 총 크기 감소: ${this.converter.formatBytes(stats.totalSaved)}`);
     console.log(`📊 평균 압축률: ${stats.totalCompressionRatio.toFixed(1)}%`);
@@ -158,14 +268,117 @@ export class BatchProcessor {
       console.log(`⚡ 평균 처리시간: ${avgTime.toFixed(0)}ms/파일`);
     }
     
+    const formats = {};
+    successful.forEach(r => {
+      formats[r.sourceFormat] = (formats[r.sourceFormat] || 0) + 1;
+    });
+    if (Object.keys(formats).some(format => format !== 'gif')) {
+      console.log(`🖼️  입력 형식: ${Object.entries(formats).map(([format, count]) => `${format} ${count}개`).join(', ')}`);
+    }
+    
+    const outputFormats = Object.entries(summarizeOutputFormats(results));
+    if (outputFormats.length > 0) {
+      console.log('📦 출력 형식별 결과:');
+      outputFormats.forEach(([format, entry]) => {
+        const notes = [
+          entry.skipped > 0 && `건너뜀 ${entry.skipped}개`,
+          entry.failed > 0 && `실패 ${entry.failed}개`
+        ].filter(Boolean);
+        console.log(`   ${format}: 성공 ${entry.successful}개, ${this.converter.formatBytes(entry.outputSize)}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+      });
+    }
+    
+    const measured = successful.filter(r => r.quality && !r.quality.error);
+    if (measured.length > 0) {
+      const avgSSIM = measured.reduce((sum, r) => sum + r.quality.ssim, 0) / measured.length;
+      const worst = measured.reduce((a, b) => (b.quality.psnr < a.quality.psnr ? b : a));
+      console.log(`🔗 평균 SSIM: ${avgSSIM.toFixed(4)} (최저 PSNR: ${path.basename(worst.inputPath)} ${worst.quality.psnr}dB)`);
+    }
+    
+    const optimized = successful.filter(r => r.optimization);
+    if (optimized.length > 0) {
+      const counts = {};
+      optimized.forEach(r => {
+        counts[r.optimization.selectedStrategy] = (counts[r.optimization.selectedStrategy] || 0) + 1;
+      });
+      console.log(`\n🧠 최적화 전략 (${optimized[0].optimization.strategy}): ${Object.entries(counts).map(([name, count]) => `${name} ${count}개`).join(', ')}`);
+      optimized.forEach((result, index) => {
+        const { selectedStrategy, quality, selectionReason } = result.optimization;
+        console.log(`   ${index + 1}. ${path.basename(result.inputPath)}: ${selectedStrategy} (품질 ${quality}) - ${selectionReason}`);
+      });
+      
+      const suggested = optimized.filter(r => r.optimization.frameRateSuggestion && !r.frameRate);
+      if (suggested.length > 0) {
+        console.log(`   💡 프레임 줄이기 권장 (--max-fps ${suggested[0].optimization.frameRateSuggestion.maxFps}): ${suggested.map(r => path.basename(r.inputPath)).join(', ')}`);
+      }
+    }
+    
+    const reduced = successful.filter(r => r.frameRate);
+    if (reduced.length > 0) {
+      const sourceFrames = reduced.reduce((sum, r) => sum + r.frameRate.sourceFrames, 0);
+      const outputFrames = reduced.reduce((sum, r) => sum + r.frameRate.outputFrames, 0);
+      console.log(`🎞️  프레임 줄이기: ${reduced.length}개 파일, ${sourceFrames} → ${outputFrames}프레임`);
+    }
+    
+    const deduped = successful.filter(r => r.duplicates && r.duplicates.removed > 0);
+    if (deduped.length > 0) {
+      const removed = deduped.reduce((sum, r) => sum + r.duplicates.removed, 0);
+      const saved = deduped.reduce((sum, r) => sum + r.duplicates.savedBytes, 0);
+      console.log(`🧩 중복 프레임 병합: ${deduped.length}개 파일, ${removed}프레임 제거 (${this.converter.formatBytes(saved)} 절약)`);
+    }
+    
+    const replayed = successful.filter(r => r.playback);
+    if (replayed.length > 0) {
+      console.log(`⏯️  재생 변경 (${this.converter.describePlayback(replayed[0].playback)}): ${replayed.length}개 파일`);
+    }
+    
+    const grew = results.filter(r => r.success && r.sizeGuard);
+    if (grew.length > 0) {
+      const actions = {
+        kept: () => '그대로 저장',
+        retried: (guard) => `재시도 → ${guard.mode} ${this.converter.formatBytes(guard.finalSize)} 저장${guard.stillLarger ? ' (여전히 큼)' : ''}`,
+        skipped: () => '저장하지 않음'
+      };
+      console.log('\n📈 원본보다 커진 파일:');
+      grew.forEach((result, index) => {
+        const guard = result.sizeGuard;
+        console.log(`   ${index + 1}. ${path.basename(result.inputPath)}: ${this.converter.formatBytes(guard.inputSize)} → ${this.converter.formatBytes(guard.initialSize)} - ${actions[guard.action](guard)}`);
+      });
+    }
+    
+    const missedTarget = successful.filter(r => r.sizeTarget && !r.sizeTarget.reached);
+    if (missedTarget.length > 0) {
+      console.log('\n⚠️  목표 크기 달성 불가:');
+      missedTarget.forEach((result, index) => {
+        console.log(`   ${index + 1}. ${path.basename(result.inputPath)}: ${this.converter.formatBytes(result.outputSize)} > ${this.converter.formatBytes(result.sizeTarget.maxSize)}`);
+      });
+    }
+    
     if (failed.length > 0) {
       console.log('\n❌ 실패한 파일들:');
       failed.forEach((result, index) => {
-        console.log(`   ${index + 1}. ${path.basename(result.inputPath)}: ${result.error}`);
+        const code = result.errorCode ? ` [${result.errorCode}]` : '';
+        console.log(`   ${index + 1}. ${path.basename(result.inputPath)}: ${result.error}${code}`);
       });
     }
   }
 
+  /**
+   * 배치 결과를 JSON/CSV 보고서로 저장
+   * @param {Object[]} results - 변환 결과 배열
+   * @param {Object} targets - { json: JSON 경로, csv: CSV 경로 }
+   * @returns {Promise<string[]>} 저장된 파일 경로
+   */
+  async exportReport(results, targets) {
+    const { concurrency, stopOnError, analyzeQuality } = this.options;
+    const report = await createBatchReport(results, this.getStats(), {
+      totalTime: this.lastTotalTime,
+      settings: { ...this.converter.options, concurrency, stopOnError, analyzeQuality }
+    });
+    
+    return await writeReport(report, targets);
+  }
+
   /**
    * 메모리 사용량 모니터링
    * @returns {Object} 메모리 사용량 정보
@@ -1,15 +1,373 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import chalk from 'chalk';
 import ora from 'ora';
 import path from 'path';
 import fs from 'fs-extra';
-import { GifToWebPConverter } from './converter.js';
+import { GifToWebPConverter, LARGER_POLICIES } from './converter.js';
 import { BatchProcessor } from './batch-processor.js';
+import {
+  compareImageQuality,
+  batchQualityAnalysis,
+  matchImagePairs,
+  validateQualityCriteria,
+  generateQualityReport,
+  generateHtmlReport,
+  DIFF_FORMATS
+} from './quality-analyzer.js';
+import { createAnalysisReport, writeReport } from './report-exporter.js';
+import { loadPresets, resolvePreset, presetToOptions, OPTIMIZE_STRATEGIES } from './presets.js';
+import {
+  validateFormatEncoderOptions,
+  resolveOutputFormats,
+  WEBP_ENCODER_PRESETS,
+  AVIF_CHROMA_SUBSAMPLING,
+  OUTPUT_FORMATS
+} from './encoder-options.js';
+import { validateTransformOptions, RESIZE_FITS, RESIZE_KERNELS } from './transforms.js';
+import { resolveInputFormats, INPUT_FORMATS } from './input-format.js';
 
 const program = new Command();
 
+/**
+ * 크기 문자열을 바이트 수로 변환 (예: 300KB, 1.5MB, 204800)
+ * @param {string} value - 크기 문자열
+ * @returns {number} 바이트 수
+ */
+function parseSize(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(value);
+  if (!match) {
+    throw new InvalidArgumentError('크기 형식이 올바르지 않습니다 (예: 300KB, 1.5MB, 204800)');
+  }
+
+  const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+  const bytes = Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+  if (bytes <= 0) {
+    throw new InvalidArgumentError('크기는 0보다 커야 합니다');
+  }
+
+  return bytes;
+}
+
+/**
+ * 프레임 지연 시간 파싱 (단일 값 또는 쉼표로 구분한 프레임별 값, ms)
+ * @param {string} value - 지연 시간 문자열 (예: 100, 100,50,200)
+ * @returns {number|number[]} 지연 시간
+ */
+function parseDelay(value) {
+  const parts = value.split(',').map(part => part.trim());
+  if (parts.some(part => !/^\d+$/.test(part))) {
+    throw new InvalidArgumentError('지연 시간은 0 이상의 정수(ms) 또는 쉼표로 구분한 목록이어야 합니다 (예: 100 또는 100,50,200)');
+  }
+
+  const delays = parts.map(Number);
+  return delays.length === 1 ? delays[0] : delays;
+}
+
+/**
+ * 반복 횟수 파싱
+ * @param {string} value - 정수 문자열 (0 = 무한)
+ * @returns {number} 반복 횟수
+ */
+function parseLoop(value) {
+  const loop = Number(value);
+  if (!/^\s*\d+\s*$/.test(value) || loop > 65535) {
+    throw new InvalidArgumentError('0-65535 정수를 입력하세요 (0 = 무한 반복)');
+  }
+  return loop;
+}
+
+/**
+ * 픽셀 크기 파싱 (양의 정수)
+ * @param {string} value - 픽셀 문자열 (예: 320, 320px)
+ * @returns {number} 픽셀 수
+ */
+function parsePixels(value) {
+  const match = /^\s*(\d+)\s*(px)?\s*$/i.exec(value);
+  if (!match || Number(match[1]) === 0) {
+    throw new InvalidArgumentError('양의 정수(px)를 입력하세요 (예: 320)');
+  }
+  return Number(match[1]);
+}
+
+/**
+ * 배율 파싱 (%)
+ * @param {string} value - 배율 문자열 (예: 50, 50%, 33.3)
+ * @returns {number} 배율 (%)
+ */
+function parseScale(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*%?\s*$/.exec(value);
+  const scale = match ? parseFloat(match[1]) : NaN;
+  if (!(scale > 0 && scale <= 1000)) {
+    throw new InvalidArgumentError('배율은 0보다 크고 1000 이하인 퍼센트 값이어야 합니다 (예: 50 또는 50%)');
+  }
+  return scale;
+}
+
+/**
+ * 최대 초당 프레임 수 파싱
+ * @param {string} value - 숫자 문자열 (예: 25, 12.5)
+ * @returns {number} 초당 프레임 수
+ */
+function parseFps(value) {
+  const fps = Number(value);
+  if (value.trim() === '' || !(fps > 0 && fps <= 1000)) {
+    throw new InvalidArgumentError('0보다 크고 1000 이하인 숫자를 입력하세요 (예: 25)');
+  }
+  return fps;
+}
+
+/**
+ * 재생 속도 배율 파싱
+ * @param {string} value - 숫자 문자열 (예: 1.5, 0.5)
+ * @returns {number} 배율
+ */
+function parseSpeed(value) {
+  const speed = Number(value);
+  if (value.trim() === '' || !(speed > 0 && speed <= 100)) {
+    throw new InvalidArgumentError('0보다 크고 100 이하인 배율을 입력하세요 (예: 1.5)');
+  }
+  return speed;
+}
+
+/**
+ * 프레임 제거 간격 파싱
+ * @param {string} value - 정수 문자열
+ * @returns {number} 간격 (2 이상)
+ */
+function parseDropEvery(value) {
+  const every = Number(value);
+  if (!/^\s*\d+\s*$/.test(value) || every < 2) {
+    throw new InvalidArgumentError('2 이상의 정수를 입력하세요 (예: 2 = 두 번째 프레임마다 제거)');
+  }
+  return every;
+}
+
+/**
+ * 자르기 영역 파싱
+ * @param {string} value - 영역 문자열 (x,y,width,height 예: 0,40,640,360)
+ * @returns {{x: number, y: number, width: number, height: number}} 자를 영역
+ */
+function parseCrop(value) {
+  const parts = value.split(',').map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => !/^\d+$/.test(part))) {
+    throw new InvalidArgumentError('자르기 영역은 x,y,width,height 형식의 정수여야 합니다 (예: 0,40,640,360)');
+  }
+
+  const [x, y, width, height] = parts.map(Number);
+  if (width === 0 || height === 0) {
+    throw new InvalidArgumentError('자르기 너비와 높이는 0보다 커야 합니다');
+  }
+  return { x, y, width, height };
+}
+
+/**
+ * 0-255 정수 파싱
+ * @param {string} value - 숫자 문자열
+ * @returns {number} 정수
+ */
+function parseByte(value) {
+  const number = Number(value);
+  if (!/^\s*\d+\s*$/.test(value) || number > 255) {
+    throw new InvalidArgumentError('0-255 정수를 입력하세요');
+  }
+  return number;
+}
+
+/**
+ * 선택지 검증 파서 생성
+ * @param {string[]} choices - 허용 값 목록
+ * @returns {function(string): string} commander 인자 파서
+ */
+function choiceParser(choices) {
+  return (value) => {
+    if (!choices.includes(value)) {
+      throw new InvalidArgumentError(`사용 가능한 값: ${choices.join(', ')}`);
+    }
+    return value;
+  };
+}
+
+/**
+ * 크기 증가 정책 검증
+ * @param {string} value - 정책 이름
+ * @returns {string} 정책 이름
+ */
+function parseLargerPolicy(value) {
+  if (!LARGER_POLICIES.includes(value)) {
+    throw new InvalidArgumentError(`사용 가능한 정책: ${LARGER_POLICIES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * 입력 형식 허용 목록 파싱 (쉼표로 구분, jpg/tif 별칭 허용)
+ * @param {string} value - 형식 목록 문자열 (예: gif,webp)
+ * @returns {string[]} 형식 목록
+ */
+function parseInputFormats(value) {
+  try {
+    return resolveInputFormats(value);
+  } catch {
+    throw new InvalidArgumentError(`사용 가능한 형식: ${INPUT_FORMATS.join(', ')} (쉼표로 구분, 예: gif,webp)`);
+  }
+}
+
+/**
+ * 출력 형식 목록 파싱 (쉼표로 구분하면 같은 작업에서 형식마다 하나씩 출력)
+ * @param {string} value - 형식 목록 문자열 (예: webp,avif)
+ * @returns {string[]} 형식 목록
+ */
+function parseOutputFormats(value) {
+  try {
+    return resolveOutputFormats(value);
+  } catch {
+    throw new InvalidArgumentError(`사용 가능한 형식: ${OUTPUT_FORMATS.join(', ')} (쉼표로 구분, 예: webp,avif)`);
+  }
+}
+
+/**
+ * 확장자 목록 파싱 (쉼표로 구분, 점은 생략 가능)
+ * @param {string} value - 확장자 목록 문자열 (예: gif,png)
+ * @returns {string[]} 확장자 목록
+ */
+function parseExtensions(value) {
+  const extensions = value.split(',').map(ext => ext.trim());
+  if (!extensions.every(ext => /^\.?[a-z0-9]+$/i.test(ext))) {
+    throw new InvalidArgumentError('쉼표로 구분한 확장자를 입력하세요 (예: gif,png)');
+  }
+  return extensions;
+}
+
+/**
+ * 여러 형식으로 출력한 결과를 형식별로 출력
+ * @param {GifToWebPConverter} converter - 크기 표시에 사용할 변환기
+ * @param {Object[]} outputs - 형식별 변환 결과
+ */
+function printOutputs(converter, outputs) {
+  console.log('📦 출력 형식별 결과:');
+  outputs.forEach(output => {
+    const detail = output.skipped
+      ? '저장하지 않음 (원본보다 큼)'
+      : `${path.basename(output.outputPath)} ${converter.formatBytes(output.outputSize)} (압축률 ${output.compressionRatio.toFixed(1)}%)`;
+    console.log(`   ${output.outputFormat}: ${detail}`);
+  });
+}
+
+/**
+ * 최적화 전략 이름 검증
+ * @param {string} value - 전략 이름
+ * @returns {string} 전략 이름
+ */
+function parseStrategy(value) {
+  if (!OPTIMIZE_STRATEGIES.includes(value)) {
+    throw new InvalidArgumentError(`사용 가능한 전략: ${OPTIMIZE_STRATEGIES.join(', ')}`);
+  }
+  return value;
+}
+
+/**
+ * 품질 기준값 파싱 (0 이상의 숫자)
+ * @param {string} value - 기준값 문자열
+ * @returns {number} 기준값
+ */
+function parseThreshold(value) {
+  const number = Number(value);
+  if (value.trim() === '' || !Number.isFinite(number) || number < 0) {
+    throw new InvalidArgumentError('0 이상의 숫자를 입력하세요');
+  }
+  return number;
+}
+
+/**
+ * 명령행 옵션을 변환기 옵션으로 변환
+ * 프리셋 값을 먼저 적용하고, 명시한 옵션이 프리셋보다 우선한다.
+ * @param {Object} options - commander 옵션
+ * @returns {Promise<Object>} 변환기 옵션
+ */
+async function buildConverterOptions(options) {
+  const converterOptions = {};
+
+  if (options.preset) {
+    const { presets } = await loadPresets({ configPath: options.config });
+    Object.assign(converterOptions, presetToOptions(resolvePreset(options.preset, presets)));
+  }
+
+  if (options.quality !== undefined) converterOptions.quality = parseInt(options.quality);
+  if (options.effort !== undefined) converterOptions.effort = parseInt(options.effort);
+  if (options.lossless) converterOptions.lossless = true;
+  if (options.maxSize !== undefined) converterOptions.maxSize = options.maxSize;
+  if (options.optimize !== undefined) converterOptions.optimize = options.optimize;
+  if (options.ifLarger !== undefined) converterOptions.ifLarger = options.ifLarger;
+  if (options.inputFormats !== undefined) converterOptions.inputFormats = options.inputFormats;
+
+  // 고급 인코더 옵션
+  if (options.nearLossless) converterOptions.nearLossless = true;
+  if (options.smartSubsample) converterOptions.smartSubsample = true;
+  if (options.alphaQuality !== undefined) converterOptions.alphaQuality = Number(options.alphaQuality);
+  if (options.webpPreset !== undefined) converterOptions.webpPreset = options.webpPreset;
+  if (options.minSize) converterOptions.minSize = true;
+  if (options.mixed) converterOptions.mixed = true;
+  if (options.delay !== undefined) converterOptions.delay = options.delay;
+  if (options.loop !== undefined) converterOptions.loop = options.loop;
+  if (options.verify === false) converterOptions.verify = false;
+
+  // 출력 형식과 형식별 인코더 옵션 (각 형식은 자기 옵션만 사용)
+  if (options.to !== undefined) converterOptions.format = options.to;
+  if (options.colors !== undefined) converterOptions.colors = Number(options.colors);
+  if (options.dither !== undefined) converterOptions.dither = Number(options.dither);
+  if (options.gifEffort !== undefined) converterOptions.gifEffort = Number(options.gifEffort);
+  if (options.interFrameMaxError !== undefined) converterOptions.interFrameMaxError = Number(options.interFrameMaxError);
+  if (options.interPaletteMaxError !== undefined) converterOptions.interPaletteMaxError = Number(options.interPaletteMaxError);
+  if (options.avifQuality !== undefined) converterOptions.avifQuality = Number(options.avifQuality);
+  if (options.avifEffort !== undefined) converterOptions.avifEffort = Number(options.avifEffort);
+  if (options.avifLossless) converterOptions.avifLossless = true;
+  if (options.chromaSubsampling !== undefined) converterOptions.chromaSubsampling = options.chromaSubsampling;
+
+  // 자르기 (크기 조정 전, 모든 프레임에 같은 영역 적용) - 명령행 지정 시 프리셋의 자르기 방식을 대체
+  if (options.crop !== undefined || options.autoTrim) {
+    delete converterOptions.crop;
+    delete converterOptions.autoTrim;
+  }
+  if (options.crop !== undefined) converterOptions.crop = options.crop;
+  if (options.autoTrim) converterOptions.autoTrim = true;
+  if (options.trimThreshold !== undefined) converterOptions.trimThreshold = options.trimThreshold;
+
+  // 크기 조정 (모든 프레임에 동일하게 적용)
+  // 명령행에서 크기 조정 방식을 지정하면 프리셋의 방식(width/height, maxDimension, scale)을 대체
+  const resizeModeKeys = ['width', 'height', 'maxDimension', 'scale'];
+  if (resizeModeKeys.some(key => options[key] !== undefined)) {
+    resizeModeKeys.forEach(key => delete converterOptions[key]);
+  }
+  for (const key of [...resizeModeKeys, 'fit', 'kernel']) {
+    if (options[key] !== undefined) converterOptions[key] = options[key];
+  }
+
+  // 프레임 줄이기 - 명령행 지정 시 프리셋의 방식을 대체
+  if (options.maxFps !== undefined || options.dropEvery !== undefined) {
+    delete converterOptions.maxFps;
+    delete converterOptions.dropEvery;
+  }
+  if (options.maxFps !== undefined) converterOptions.maxFps = options.maxFps;
+  if (options.dropEvery !== undefined) converterOptions.dropEvery = options.dropEvery;
+
+  // 중복 프레임 병합
+  if (options.dedupe) converterOptions.dedupe = true;
+  if (options.dedupeThreshold !== undefined) converterOptions.dedupeThreshold = options.dedupeThreshold;
+
+  // 재생 속도/순서
+  if (options.speed !== undefined) converterOptions.speed = options.speed;
+  if (options.reverse) converterOptions.reverse = true;
+  if (options.boomerang) converterOptions.boomerang = true;
+
+  validateTransformOptions(converterOptions);
+  for (const format of resolveOutputFormats(converterOptions.format)) {
+    validateFormatEncoderOptions(converterOptions, format);
+  }
+  return converterOptions;
+}
+
 /**
  * 직접 입력된 파일들 처리
  */
@@ -24,20 +382,16 @@ async function handleDirectInput(inputs, options) {
 
     console.log(chalk.blue.bold('🎬 ConvertWemp - GIF to WebP 변환기\n'));
 
-    const converterOptions = {
-      quality: parseInt(options.quality),
-      effort: parseInt(options.effort),
-      lossless: options.lossless || false
-    };
+    const converterOptions = await buildConverterOptions(options);
 
     if (inputs.length === 1) {
       // 단일 파일 처리
       const inputPath = path.resolve(inputs[0]);
+      const converter = new GifToWebPConverter(converterOptions);
       const outputPath = options.output 
         ? path.resolve(options.output)
-        : inputPath.replace(/\.gif$/i, '.webp');
+        : converter.generateOutputPath(inputPath);
 
-      const converter = new GifToWebPConverter(converterOptions);
       await converter.convertFile(inputPath, outputPath, converterOptions);
       
     } else {
@@ -58,6 +412,60 @@ async function handleDirectInput(inputs, options) {
   }
 }
 
+/**
+ * 변환 옵션 등록 (루트 명령, convert, batch 공용)
+ * 새 변환 옵션은 여기에만 추가하면 세 명령에 모두 적용된다.
+ * @param {Command} command - commander 명령
+ * @returns {Command} 같은 명령 (체이닝용)
+ */
+function addConversionOptions(command) {
+  return command
+    .option('-q, --quality <number>', '품질 설정 (0-100, 기본값: 75)')
+    .option('-e, --effort <number>', '압축 노력도 (0-6, 기본값: 6)')
+    .option('--lossless', '무손실 압축 사용')
+    .option('-p, --preset <name>', '프리셋 사용 (목록: convertwemp presets list) - 명시한 옵션이 우선')
+    .option('--config <file>', '사용자 프리셋 설정 파일 (기본: ./convertwemp.config.json, ~/.convertwemp.json)')
+    .option('--near-lossless', '준무손실 압축 (품질 값이 전처리 강도로 사용됨)')
+    .option('--smart-subsample', '고품질 크로마 서브샘플링 (색 번짐 감소)')
+    .option('--alpha-quality <number>', '투명도 채널 품질 (0-100)')
+    .option('--webp-preset <name>', `WebP 인코더 프리셋 (${WEBP_ENCODER_PRESETS.join(', ')})`)
+    .option('--to <formats>', `출력 형식 (${OUTPUT_FORMATS.join(', ')} 중 쉼표로 구분하면 형식마다 출력, 기본값: webp)`, parseOutputFormats)
+    .option('--colors <n>', 'GIF 출력 팔레트 색 수 (2-256, 기본값: 256)')
+    .option('--dither <n>', 'GIF 출력 디더링 강도 (0-1, 기본값: 1)')
+    .option('--gif-effort <n>', 'GIF 출력 압축 노력도 (1-10, 기본값: 7)')
+    .option('--inter-frame-max-error <n>', 'GIF 출력 프레임 간 투명 픽셀 재사용 허용 오차 (0-32)')
+    .option('--inter-palette-max-error <n>', 'GIF 출력 프레임 간 팔레트 재사용 허용 오차 (0-256)')
+    .option('--avif-quality <n>', 'AVIF 출력 품질 (1-100, 기본값: 50)')
+    .option('--avif-effort <n>', 'AVIF 출력 압축 노력도 (0-9, 기본값: 4)')
+    .option('--avif-lossless', 'AVIF 출력 무손실 압축')
+    .option('--chroma-subsampling <mode>', `AVIF 출력 크로마 서브샘플링 (${AVIF_CHROMA_SUBSAMPLING.join(', ')})`, choiceParser(AVIF_CHROMA_SUBSAMPLING))
+    .option('--min-size', '키프레임을 쓰지 않아 애니메이션 크기 최소화 (느림)')
+    .option('--mixed', '프레임별 손실/무손실 혼합 허용')
+    .option('--delay <ms>', '프레임 지연 시간 덮어쓰기 (단일 값 또는 쉼표로 구분한 프레임별 값)', parseDelay)
+    .option('--loop <n>', '반복 횟수 덮어쓰기 (0 = 무한, 기본값: 원본 유지)', parseLoop)
+    .option('--no-verify', '저장 전 프레임 수/재생 시간/반복 횟수 검증 건너뛰기')
+    .option('--crop <x,y,w,h>', '자를 영역 (모든 프레임에 같은 영역 적용, 크기 조정 전)', parseCrop)
+    .option('--auto-trim', '변하지 않는 배경 테두리 자동 자르기')
+    .option('--trim-threshold <n>', '자동 자르기 임계값 (0-255, 기본값: 10)', parseByte)
+    .option('--width <px>', '출력 프레임 너비 (모든 프레임에 적용)', parsePixels)
+    .option('--height <px>', '출력 프레임 높이 (모든 프레임에 적용)', parsePixels)
+    .option('--max-dimension <px>', '긴 변의 최대 길이 - 비율 유지, 확대하지 않음', parsePixels)
+    .option('--scale <percent>', '배율 (예: 50 = 절반 해상도)', parseScale)
+    .option('--fit <mode>', `너비/높이를 모두 지정할 때 맞춤 방식 (${RESIZE_FITS.join(', ')}, 기본값: inside)`, choiceParser(RESIZE_FITS))
+    .option('--kernel <name>', `크기 조정 커널 (${RESIZE_KERNELS.join(', ')}, 기본값: lanczos3)`, choiceParser(RESIZE_KERNELS))
+    .option('--max-fps <fps>', '최대 초당 프레임 수 - 넘치는 프레임을 제거하고 지연 시간을 앞 프레임에 더함 (재생 시간 유지)', parseFps)
+    .option('--drop-every <n>', 'N번째 프레임마다 제거 (지연 시간은 앞 프레임에 더함)', parseDropEvery)
+    .option('--dedupe', '연속된 중복 프레임을 하나로 병합 (지연 시간은 합산)')
+    .option('--dedupe-threshold <n>', '중복으로 볼 픽셀별 최대 채널 차이 (0-255, 기본값: 4)', parseByte)
+    .option('--speed <x>', '재생 속도 배율 - 모든 지연 시간을 나눔 (예: 1.5 = 1.5배 빠르게, 0.5 = 절반 속도)', parseSpeed)
+    .option('--reverse', '거꾸로 재생')
+    .option('--boomerang', '정방향 재생 후 역방향 재생 (양 끝 프레임은 반복하지 않음)')
+    .option('--if-larger <policy>', `출력이 원본보다 클 때 (${LARGER_POLICIES.join(', ')}, 기본값: keep)`, parseLargerPolicy)
+    .option('--input-formats <list>', `허용할 입력 형식 - 파일 내용으로 판별 (${INPUT_FORMATS.join(', ')} 중 쉼표로 구분, 기본값: 모두)`, parseInputFormats)
+    .option('--max-size <size>', '목표 최대 파일 크기 (batch는 파일별, 예: 300KB) - 품질 자동 탐색', parseSize)
+    .option('--optimize <strategy>', '파일별 최적화 전략 (adaptive, compression, quality, balanced, measured) - 품질/노력도 자동 선택', parseStrategy);
+}
+
 /**
  * CLI 프로그램 설정
  */
@@ -65,11 +473,11 @@ program
   .name('convertwemp')
   .description('🎬 고품질 GIF to WebP 변환기 - Sharp 라이브러리 기반')
   .version('1.0.0')
+  .enablePositionalOptions() // 하위 명령어 뒤의 옵션은 하위 명령어가 처리
   .argument('[input...]', 'GIF 파일 경로(들) - 직접 파일 경로 지정시 사용')
-  .option('-o, --output <path>', '출력 파일/디렉토리 경로')
-  .option('-q, --quality <number>', '품질 설정 (0-100)', '75')
-  .option('-e, --effort <number>', '압축 노력도 (0-6)', '6')
-  .option('--lossless', '무손실 압축 사용')
+  .option('-o, --output <path>', '출력 파일/디렉토리 경로');
+
+addConversionOptions(program)
   .option('--info', 'Sharp 라이브러리 정보 출력')
   .action(async (inputs, options) => {
     // 직접 파일 경로가 제공된 경우 처리
@@ -81,14 +489,13 @@ program
 /**
  * 단일 파일 변환 명령어
  */
-program
+const convertCommand = program
   .command('convert')
   .description('단일 GIF 파일을 WebP로 변환')
   .argument('<input>', 'GIF 파일 경로')
-  .option('-o, --output <path>', '출력 파일 경로')
-  .option('-q, --quality <number>', '품질 설정 (0-100)', '75')
-  .option('-e, --effort <number>', '압축 노력도 (0-6)', '6')
-  .option('--lossless', '무손실 압축 사용')
+  .option('-o, --output <path>', '출력 파일 경로');
+
+addConversionOptions(convertCommand)
   .option('--info', 'Sharp 라이브러리 정보 출력')
   .action(async (input, options) => {
     try {
@@ -100,11 +507,7 @@ program
 
       console.log(chalk.blue.bold('🎬 ConvertWemp - GIF to WebP 변환기\n'));
 
-      const converter = new GifToWebPConverter({
-        quality: parseInt(options.quality),
-        effort: parseInt(options.effort),
-        lossless: options.lossless || false
-      });
+      const converter = new GifToWebPConverter(await buildConverterOptions(options));
 
       const inputPath = path.resolve(input);
       const outputPath = options.output 
@@ -120,15 +523,76 @@ program
       
       spinner.stop();
 
-      if (result.success) {
+      if (result.skipped) {
+        console.log(chalk.yellow.bold(`\n⏭️  저장하지 않음: 출력(${result.outputFormat})이 원본보다 큽니다`));
+        console.log(`📏 크기: ${converter.formatBytes(result.inputSize)} → ${converter.formatBytes(result.sizeGuard.finalSize)}`);
+        if (result.outputs) {
+          printOutputs(converter, result.outputs);
+        }
+      } else if (result.success) {
         console.log(chalk.green.bold('\n✅ 변환 성공!'));
-        console.log(`📁 파일: ${path.basename(outputPath)}`);
+        console.log(`📁 파일: ${path.basename(result.outputPath)}`);
         console.log(`📏 크기: ${converter.formatBytes(result.inputSize)} → ${converter.formatBytes(result.outputSize)}`);
         console.log(`📊 압축률: ${result.compressionRatio.toFixed(1)}%`);
         console.log(`⏱️  처리시간: ${result.processingTime}ms`);
+        if (result.sourceFormat !== 'gif') {
+          console.log(`🖼️  입력 형식: ${result.sourceFormat}`);
+        }
+        if (result.outputs) {
+          printOutputs(converter, result.outputs);
+        }
+        if (result.sizeTarget) {
+          const { sizeTarget } = result;
+          const message = `🎯 목표 크기 ${converter.formatBytes(sizeTarget.maxSize)}: 품질 ${sizeTarget.quality}, 노력도 ${sizeTarget.effort} (시도 ${sizeTarget.attempts}회)`;
+          console.log(sizeTarget.reached ? message : chalk.yellow(`${message} - 달성 불가`));
+        }
+        if (result.crop) {
+          const { crop } = result;
+          console.log(`✂️  ${crop.auto ? '자동 자르기' : '자르기'}: ${crop.inputWidth}x${crop.inputHeight} → ${crop.width}x${crop.height} (${crop.left},${crop.top})`);
+        }
+        if (result.resize) {
+          const { resize } = result;
+          console.log(`📐 크기 조정: ${resize.inputWidth}x${resize.inputHeight} → ${resize.outputWidth}x${resize.outputHeight} (${resize.fit}, ${resize.kernel})`);
+        }
+        if (result.frameRate) {
+          const { frameRate } = result;
+          console.log(`🎞️  프레임 줄이기: ${frameRate.sourceFrames} → ${frameRate.outputFrames}프레임 (${converter.formatFps(frameRate.sourceFps)} → ${converter.formatFps(frameRate.outputFps)})`);
+        }
+        if (result.duplicates) {
+          const { duplicates } = result;
+          console.log(`🧩 중복 프레임 병합: ${duplicates.removed}개 제거 (${duplicates.sourceFrames} → ${duplicates.outputFrames}프레임, ${converter.formatBytes(duplicates.savedBytes)} 절약)`);
+        }
+        if (result.timing) {
+          const { timing } = result;
+          const merged = timing.mergedFrames > 0 ? ` (인코더가 같은 프레임 ${timing.mergedFrames}개 병합)` : '';
+          console.log(`🎬 타이밍: ${timing.frames}프레임, ${(timing.duration / 1000).toFixed(2)}초, ${converter.formatLoop(timing.loop)}${merged}`);
+          if (timing.errors.length > 0) {
+            console.log(chalk.yellow(`⚠️  타이밍 변화 (검증 건너뜀): ${timing.errors.join(', ')}`));
+          }
+        }
+        if (result.playback) {
+          const { playback } = result;
+          console.log(`⏯️  재생: ${converter.describePlayback(playback)} (${(playback.sourceDuration / 1000).toFixed(2)}초 → ${(playback.duration / 1000).toFixed(2)}초, ${playback.outputFrames}프레임)`);
+        }
+        if (result.optimization) {
+          const { optimization } = result;
+          console.log(`🧠 최적화 전략: ${optimization.selectedStrategy} (품질 ${optimization.quality}, 노력도 ${optimization.effort})`);
+          console.log(`   ${optimization.selectionReason}`);
+          if (optimization.frameRateSuggestion && !result.frameRate) {
+            console.log(chalk.yellow(`💡 프레임 줄이기 권장: --max-fps ${optimization.frameRateSuggestion.maxFps} (${optimization.frameRateSuggestion.reason})`));
+          }
+        }
+        if (result.sizeGuard) {
+          const { sizeGuard } = result;
+          const detail = sizeGuard.action === 'retried' ? `${sizeGuard.mode} 모드로 재인코딩` : '그대로 저장';
+          console.log(chalk.yellow(`📈 원본보다 큼 (${converter.formatBytes(sizeGuard.initialSize)}): ${detail}`));
+        }
       } else {
         console.log(chalk.red.bold('\n❌ 변환 실패'));
         console.log(chalk.red(`오류: ${result.error}`));
+        if (result.errorCode) {
+          console.log(chalk.red(`오류 코드: ${result.errorCode}`));
+        }
         process.exit(1);
       }
 
@@ -142,27 +606,28 @@ program
 /**
  * 배치 변환 명령어
  */
-program
+const batchCommand = program
   .command('batch')
   .description('여러 GIF 파일을 배치로 WebP로 변환')
   .argument('<input>', '입력 디렉토리 또는 GIF 파일들')
   .option('-o, --output <dir>', '출력 디렉토리', './output')
   .option('-r, --recursive', '하위 디렉토리 포함')
-  .option('-c, --concurrency <number>', '동시 처리 개수', '4')
-  .option('-q, --quality <number>', '품질 설정 (0-100)', '75')
-  .option('-e, --effort <number>', '압축 노력도 (0-6)', '6')
-  .option('--lossless', '무손실 압축 사용')
+  .option('-c, --concurrency <number>', '동시 처리 개수', '4');
+
+addConversionOptions(batchCommand)
   .option('--stop-on-error', '오류 시 중단')
+  .option('--analyze-quality', '변환 후 파일별 PSNR/SSIM 측정')
+  .option('--report-json <file>', '결과를 JSON 보고서로 저장')
+  .option('--report-csv <file>', '결과를 CSV 보고서로 저장')
   .action(async (input, options) => {
     try {
       console.log(chalk.blue.bold('🎬 ConvertWemp - 배치 변환기\n'));
 
       const processor = new BatchProcessor({
+        ...await buildConverterOptions(options),
         concurrency: parseInt(options.concurrency),
-        quality: parseInt(options.quality),
-        effort: parseInt(options.effort),
-        lossless: options.lossless || false,
-        stopOnError: options.stopOnError || false
+        stopOnError: options.stopOnError || false,
+        analyzeQuality: options.analyzeQuality || false
       });
 
       const inputPath = path.resolve(input);
@@ -186,7 +651,7 @@ program
       let results;
 
       if (stat.isDirectory()) {
-        progressSpinner = ora('GIF 파일 스캔 중...').start();
+        progressSpinner = ora('입력 파일 스캔 중...').start();
         results = await processor.convertDirectory(inputPath, outputDir, options.recursive);
       } else if (stat.isFile()) {
         progressSpinner = ora('변환 중...').start();
@@ -207,6 +672,191 @@ program
       if (failed.length > 0) {
         console.log(chalk.yellow.bold(`\n⚠️  실패한 파일: ${failed.length}개`));
       }
+      
+      if (options.reportJson || options.reportCsv) {
+        const written = await processor.exportReport(results, {
+          json: options.reportJson && path.resolve(options.reportJson),
+          csv: options.reportCsv && path.resolve(options.reportCsv)
+        });
+        written.forEach(file => console.log(chalk.cyan(`📄 보고서 저장: ${file}`)));
+      }
+
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ 오류 발생'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+/**
+ * 품질 분석 명령어
+ * 종료 코드: 0 = 통과, 1 = 실행 오류, 2 = 품질 기준 미달 또는 분석 실패
+ */
+program
+  .command('analyze')
+  .description('원본과 변환된 이미지의 품질 비교 분석 (파일 또는 디렉토리 쌍)')
+  .argument('<original>', '원본 이미지 경로 또는 디렉토리')
+  .argument('<converted>', '변환된 이미지 경로 또는 디렉토리 (파일명으로 짝지음)')
+  .option('-r, --recursive', '디렉토리 모드에서 하위 디렉토리 포함')
+  .option('--original-ext <list>', '디렉토리 모드에서 원본으로 찾을 확장자 (쉼표로 구분, 기본값: 모든 입력 형식)', parseExtensions)
+  .option('--converted-ext <list>', '디렉토리 모드에서 변환본으로 찾을 확장자 (쉼표로 구분, 기본값: 모든 출력 형식)', parseExtensions)
+  .option('--min-psnr <dB>', '최소 PSNR 기준 - 평균과 최저 프레임에 적용 (미달 시 종료 코드 2)', parseThreshold)
+  .option('--min-score <score>', '최소 품질 점수 기준 0-100 (미달 시 종료 코드 2)', parseThreshold)
+  .option('--diff-out <dir>', '차이 히트맵과 원본/변환본/차이 비교 스트립을 저장할 디렉토리')
+  .option('--diff-format <format>', '차이 이미지 형식 (png: 프레임별, webp: 애니메이션)', choiceParser(DIFF_FORMATS), 'png')
+  .option('--background <color>', '투명 픽셀 합성 배경색', '#ffffff')
+  .option('--html <file>', 'HTML 품질 보고서 저장 경로 (미리보기 포함, 오프라인 동작)')
+  .option('--json <file>', '분석 결과를 JSON 보고서로 저장')
+  .option('--csv <file>', '분석 결과를 CSV 보고서로 저장')
+  .action(async (original, converted, options) => {
+    try {
+      console.log(chalk.blue.bold('🎬 ConvertWemp - 품질 분석\n'));
+      
+      const originalPath = path.resolve(original);
+      const convertedPath = path.resolve(converted);
+      const [originalStats, convertedStats] = await Promise.all([
+        fs.stat(originalPath).catch(() => null),
+        fs.stat(convertedPath).catch(() => null)
+      ]);
+      
+      if (!originalStats) throw new Error(`경로를 찾을 수 없습니다: ${originalPath}`);
+      if (!convertedStats) throw new Error(`경로를 찾을 수 없습니다: ${convertedPath}`);
+      if (originalStats.isDirectory() !== convertedStats.isDirectory()) {
+        throw new Error('원본과 변환본은 둘 다 파일이거나 둘 다 디렉토리여야 합니다');
+      }
+      
+      const analysisOptions = {
+        background: options.background,
+        diffOut: options.diffOut ? path.resolve(options.diffOut) : null,
+        diffFormat: options.diffFormat
+      };
+      
+      let results;
+      if (originalStats.isDirectory()) {
+        const matched = await matchImagePairs(originalPath, convertedPath, {
+          originalExt: options.originalExt,
+          convertedExt: options.convertedExt,
+          recursive: options.recursive || false
+        });
+        
+        matched.unmatchedOriginals.forEach(file => console.log(chalk.yellow(`⚠️  변환본 없음: ${path.relative(originalPath, file)}`)));
+        matched.unmatchedConverted.forEach(file => console.log(chalk.yellow(`⚠️  원본 없음: ${path.relative(convertedPath, file)}`)));
+        matched.duplicates.forEach(file => console.log(chalk.yellow(`⚠️  파일명 중복으로 제외 (--original-ext/--converted-ext로 확장자 지정): ${file}`)));
+        
+        if (matched.pairs.length === 0) {
+          throw new Error('파일명이 일치하는 원본/변환본 쌍이 없습니다');
+        }
+        
+        results = await batchQualityAnalysis(matched.pairs, analysisOptions);
+      } else {
+        results = [await compareImageQuality(originalPath, convertedPath, analysisOptions)];
+      }
+      
+      console.log('\n' + generateQualityReport(results.length === 1 ? results[0] : results));
+      
+      if (results.length === 1 && results[0].diffImages) {
+        console.log(chalk.cyan(`🗺️  차이 이미지: ${path.dirname(results[0].diffImages.strip)}`));
+      } else if (analysisOptions.diffOut) {
+        console.log(chalk.cyan(`🗺️  차이 이미지: ${analysisOptions.diffOut}`));
+      }
+      
+      // 품질 기준 검사 (지정한 기준만 적용)
+      const gated = options.minPsnr !== undefined || options.minScore !== undefined;
+      const criteria = gated ? {
+        minPSNR: options.minPsnr ?? null,
+        minQualityScore: options.minScore ?? null,
+        minCompressionRatio: null,
+        maxCompressionRatio: null
+      } : null;
+      
+      if (gated) {
+        console.log(chalk.cyan.bold('\n🚦 품질 기준 검사:'));
+        for (const result of results) {
+          const name = path.basename(result.metadata.originalPath);
+          result.passed = !result.metadata.error && validateQualityCriteria(result, criteria);
+          console.log(result.passed
+            ? chalk.green(`   ✅ ${name}: PSNR ${result.psnr}dB, 점수 ${result.qualityScore}`)
+            : chalk.red(`   ❌ ${name}: ${result.metadata.error || `PSNR ${result.psnr}dB, 점수 ${result.qualityScore}`}`));
+        }
+      }
+      
+      const failedResults = results.filter(r => r.metadata.error || r.passed === false);
+      const passed = failedResults.length === 0;
+      
+      if (options.html) {
+        const htmlPath = path.resolve(options.html);
+        await fs.outputFile(htmlPath, await generateHtmlReport(results));
+        console.log(chalk.cyan(`📄 HTML 보고서: ${htmlPath}`));
+      }
+      
+      if (options.json || options.csv) {
+        const report = await createAnalysisReport(results, {
+          settings: { ...analysisOptions, recursive: options.recursive || false },
+          criteria,
+          passed: gated ? passed : null
+        });
+        const written = await writeReport(report, {
+          json: options.json && path.resolve(options.json),
+          csv: options.csv && path.resolve(options.csv)
+        });
+        written.forEach(file => console.log(chalk.cyan(`📄 보고서 저장: ${file}`)));
+      }
+      
+      if (!passed) {
+        console.log(chalk.red.bold(`\n❌ 품질 검사 실패: ${failedResults.length}/${results.length}개 파일`));
+        process.exit(2);
+      }
+      
+      if (gated) {
+        console.log(chalk.green.bold(`\n🎉 품질 기준 통과 (${results.length}개 파일)`));
+      }
+      
+    } catch (error) {
+      console.error(chalk.red.bold('\n❌ 오류 발생'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+/**
+ * 프리셋 명령어
+ */
+const presetsCommand = program
+  .command('presets')
+  .description('변환 프리셋 관리');
+
+presetsCommand
+  .command('list')
+  .description('사용 가능한 프리셋 목록 출력 (기본 + 설정 파일)')
+  .option('--config <file>', '사용자 프리셋 설정 파일')
+  .option('--json', 'JSON 형식으로 출력')
+  .action(async (options) => {
+    try {
+      const { presets, configPath } = await loadPresets({ configPath: options.config });
+
+      if (options.json) {
+        console.log(JSON.stringify({ configPath, presets: Object.values(presets) }, null, 2));
+        return;
+      }
+
+      console.log(chalk.blue.bold('🎬 ConvertWemp - 프리셋 목록\n'));
+      console.log(chalk.cyan(`📄 설정 파일: ${configPath || '없음'}\n`));
+
+      for (const preset of Object.values(presets)) {
+        const settings = [
+          preset.quality !== undefined && `품질 ${preset.quality}`,
+          preset.effort !== undefined && `노력도 ${preset.effort}`,
+          preset.lossless && '무손실',
+          preset.optimize && `최적화 ${preset.optimize}`,
+          preset.maxSize && `최대 ${preset.maxSize} bytes`
+        ].filter(Boolean).join(', ');
+        const source = preset.source === 'config' ? chalk.magenta(' [사용자]') : '';
+
+        console.log(`${chalk.bold(preset.name)}${source}  ${settings}`);
+        if (preset.description) {
+          console.log(chalk.gray(`   ${preset.description}`));
+        }
+      }
 
     } catch (error) {
       console.error(chalk.red.bold('\n❌ 오류 발생'));
@@ -254,6 +904,25 @@ program.on('--help', () => {
   console.log('  $ convertwemp convert input.gif -o output.webp');
   console.log('  $ convertwemp batch ./gifs -o ./webps -c 8');
   console.log('  $ convertwemp batch ./gifs -r --lossless');
+  console.log('  $ convertwemp batch ./gifs --analyze-quality --report-json report.json --report-csv report.csv');
+  console.log('  $ convertwemp convert banner.gif --max-size 300KB');
+  console.log('  $ convertwemp batch ./gifs --optimize adaptive');
+  console.log('  $ convertwemp batch ./icons --if-larger retry-skip');
+  console.log('  $ convertwemp batch ./exports --input-formats gif,webp,tiff');
+  console.log('  $ convertwemp convert input.gif --preset high_compression');
+  console.log('  $ convertwemp presets list');
+  console.log('  $ convertwemp batch ./gifs -o ./mobile --scale 50');
+  console.log('  $ convertwemp convert input.gif --width 320 --height 320 --fit cover --kernel mitchell');
+  console.log('  $ convertwemp convert recording.gif --auto-trim --max-dimension 640');
+  console.log('  $ convertwemp batch ./gifs --max-fps 25');
+  console.log('  $ convertwemp convert hold.gif --dedupe --dedupe-threshold 8');
+  console.log('  $ convertwemp convert promo.gif --speed 1.5 --boomerang');
+  console.log('  $ convertwemp convert intro.gif --loop 1');
+  console.log('  $ convertwemp convert logo.gif --webp-preset icon --alpha-quality 90 --smart-subsample');
+  console.log('  $ convertwemp convert anim.webp --to gif --colors 128 --dither 0.5');
+  console.log('  $ convertwemp batch ./gifs --to webp,avif,gif --avif-quality 45 --colors 128');
+  console.log('  $ convertwemp analyze input.gif output.webp --diff-out ./diffs');
+  console.log('  $ convertwemp analyze ./gifs ./webps --min-psnr 30 --min-score 70');
   console.log('  $ convertwemp info');
   console.log('\n품질 설정 가이드:');
   console.log('  품질 0-50:   작은 파일 크기, 낮은 품질');
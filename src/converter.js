@@ -3,29 +3,91 @@
 import sharp from 'sharp';
 import fs from 'fs-extra';
 import path from 'path';
+import { PassThrough } from 'stream';
 import { fileURLToPath } from 'url';
+import { optimizeWithStrategy, validateOptimization } from './optimizer.js';
+import { loadPresets, resolvePreset, presetToOptions } from './presets.js';
+import {
+  validateFormatEncoderOptions,
+  resolveOutputFormats,
+  toSharpWebpOptions,
+  toSharpGifOptions,
+  toSharpAvifOptions,
+  FORMAT_ENCODER_RULES,
+  GIF_DELAY_STEP
+} from './encoder-options.js';
+import {
+  validateTransformOptions,
+  resolveTransform,
+  createFrameSource,
+  createStillSource,
+  calculateFps,
+  quantizeDelays,
+  TRANSFORM_OPTION_RULES
+} from './transforms.js';
+import { assertInput, resolveInputFormats, INPUT_FORMATS } from './input-format.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * 출력이 원본보다 클 때의 처리 정책
+ * - keep: 그대로 저장
+ * - retry: 무손실/혼합 모드로 다시 인코딩해 가장 작은 결과 저장
+ * - skip: 저장하지 않고 "이득 없음"으로 보고
+ * - retry-skip: 재시도 후에도 크면 저장하지 않음
+ */
+export const LARGER_POLICIES = ['keep', 'retry', 'skip', 'retry-skip'];
+
+/** 출력 형식별 표시 이름과 확장자 */
+const OUTPUT_FORMAT_LABELS = { webp: 'WebP', gif: 'GIF', avif: 'AVIF' };
+
+/** 기본 출력 경로가 입력 파일과 같을 때 파일명에 붙이는 접미사 (예: logo.gif → logo-converted.gif) */
+const CONVERTED_SUFFIX = '-converted';
+
+/** 입력 GIF 최대 크기 (파일, 버퍼, 스트림 공통) */
+const MAX_INPUT_SIZE = 100 * 1024 * 1024; // 100MB
+
 /**
  * GIF to WebP 변환기 클래스
  * Sharp 라이브러리를 사용하여 고성능 이미지 변환 수행
  */
 export class GifToWebPConverter {
+  /**
+   * @param {Object} options - 변환 옵션 (preset: 프리셋 이름 또는 객체, presets: 이름을 찾을 레지스트리 -
+   *   기본은 기본 제공 프리셋만, 설정 파일의 사용자 프리셋은 loadPresets() 결과를 넘기거나 create() 사용)
+   */
   constructor(options = {}) {
+    // 프리셋(이름 또는 객체)은 기본값으로 쓰이고, 명시한 옵션이 우선한다
+    if (options.preset) {
+      options = { ...presetToOptions(resolvePreset(options.preset, options.presets)), ...options };
+    }
+
     this.options = {
       quality: options.quality || 75,
       effort: options.effort || 6,
       lossless: options.lossless || false,
-      loop: options.loop || 0,
+      loop: options.loop ?? null, // 반복 횟수 (null = 원본 유지, 0 = 무한)
       force: options.force !== false,
+      verify: options.verify !== false, // 출력 프레임 수/재생 시간/반복 횟수 검증
+      maxSize: options.maxSize || null, // 목표 파일 크기 (bytes)
+      minQuality: options.minQuality || 1, // 목표 크기 탐색 시 최저 품질
+      optimize: options.optimize || null, // 파일별 최적화 전략 (adaptive, compression, quality, balanced, measured)
+      ifLarger: options.ifLarger || 'keep', // 출력이 원본보다 클 때의 정책 (LARGER_POLICIES)
+      inputFormats: options.inputFormats || INPUT_FORMATS, // 허용할 입력 형식 (input-format.js)
+      // 출력 형식 (OUTPUT_FORMATS 하나 또는 목록, 형식마다 자기 인코더 옵션 사용:
+      // gif는 colors/dither/gifEffort 등, avif는 avifQuality/avifEffort/avifLossless/chromaSubsampling)
+      format: options.format || 'webp',
+      // 자르기 (crop, autoTrim, trimThreshold), 크기 조정 (width, height, maxDimension, scale, fit, kernel),
+      // 프레임 줄이기 (maxFps, dropEvery), 중복 프레임 병합 (dedupe, dedupeThreshold),
+      // 재생 속도/순서 (speed, reverse, boomerang)는 지정한 경우만 적용 (transforms.js)
       ...options
     };
     
     this.stats = {
       processed: 0,
       failed: 0,
+      skipped: 0,
       totalSizeBefore: 0,
       totalSizeAfter: 0
     };
@@ -39,119 +101,945 @@ export class GifToWebPConverter {
    * @returns {Promise<Object>} 변환 결과 정보
    */
   async convertFile(inputPath, outputPath, options = {}) {
+    return await this.convertSource(inputPath, {
+      name: path.basename(inputPath),
+      inputPath,
+      outputPath
+    }, options);
+  }
+
+  /**
+   * 메모리의 GIF 데이터를 WebP로 변환 (임시 파일 없음)
+   * @param {Buffer} buffer - 입력 GIF 데이터
+   * @param {Object} options - 변환 옵션 (convertFile과 같음, name: 로그에 표시할 이름)
+   * @returns {Promise<Object>} 변환 결과 정보 (buffer: 출력 데이터, 저장을 건너뛰면 null)
+   */
+  async convertBuffer(buffer, options = {}) {
+    return await this.convertSource(buffer, {
+      name: options.name ?? 'buffer',
+      inputPath: null,
+      outputPath: null
+    }, options);
+  }
+
+  /**
+   * 스트림으로 받은 GIF 데이터를 WebP 스트림으로 변환 (임시 파일 없음)
+   * GIF는 전체를 받아야 디코딩할 수 있으므로 입력을 메모리에 모은 뒤 convertBuffer로 변환한다.
+   * 변환 결과 정보(buffer 제외)는 데이터보다 먼저 'result' 이벤트로 전달되고,
+   * 변환에 실패하면 출력 스트림이 오류와 함께 종료된다. 저장을 건너뛴 경우 데이터 없이 끝난다.
+   * @param {import('stream').Readable} readable - 입력 GIF 스트림
+   * @param {Object} options - 변환 옵션 (convertBuffer와 같음)
+   * @returns {import('stream').Readable} 출력 스트림 (format 옵션의 형식, 기본 WebP)
+   */
+  convertStream(readable, options = {}) {
+    const output = new PassThrough();
+
+    const convert = async () => {
+      if (resolveOutputFormats(options.format ?? this.options.format).length > 1) {
+        throw new Error('스트림 변환은 출력 형식을 하나만 지정할 수 있습니다 (여러 형식은 convertBuffer 사용)');
+      }
+
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of readable) {
+        size += chunk.length;
+        if (size > MAX_INPUT_SIZE) {
+          throw new Error(`파일이 너무 큽니다: ${this.formatBytes(size)} 이상 (최대 ${this.formatBytes(MAX_INPUT_SIZE)})`);
+        }
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      }
+
+      const { buffer, ...result } = await this.convertBuffer(Buffer.concat(chunks), options);
+      if (!result.success) {
+        const error = new Error(result.error);
+        if (result.errorCode) error.code = result.errorCode;
+        throw error;
+      }
+
+      output.emit('result', result);
+      output.end(buffer ?? undefined);
+    };
+
+    convert().catch(error => {
+      if (typeof readable.destroy === 'function') readable.destroy();
+      output.destroy(error);
+    });
+
+    return output;
+  }
+
+  /**
+   * 파일 또는 메모리 데이터 변환 (convertFile/convertBuffer 공통)
+   * 출력 형식이 여러 개면 형식마다 따로 인코딩해 outputs에 형식별 결과를 담고,
+   * 저장된 첫 출력(없으면 첫 형식)의 결과를 주 결과로 사용한다
+   * (success는 모든 출력이 성공한 경우만, skipped는 모든 출력을 건너뛴 경우만 true).
+   * 프레임 변환 설정(resolveTransform)과 통계는 출력 형식 수와 관계없이 원본 하나당 한 번 계산/집계한다.
+   * @param {string|Buffer} input - 입력 GIF 파일 경로 또는 데이터
+   * @param {{name: string, inputPath: string|null, outputPath: string|null}} target - 로그 이름과 입출력 경로
+   *   (outputPath가 없으면 파일로 저장하지 않고 결과의 buffer로 반환, 여러 형식이면 확장자만 바꿔 형식마다 저장,
+   *   바꾼 경로가 입력과 겹치면 CONVERTED_SUFFIX를 붙임)
+   * @param {Object} options - 변환 옵션
+   * @returns {Promise<Object>} 변환 결과 정보
+   */
+  async convertSource(input, target, options = {}) {
+    const { name, inputPath, outputPath } = target;
+    let source;
+
     try {
-      console.log(`🔄 변환 시작: ${path.basename(inputPath)}`);
-      
-      // 입력 파일 검증
-      await this.validateInputFile(inputPath);
+      console.log(`🔄 변환 시작: ${name}`);
       
+      // 입력 검증 (파일은 경로와 크기, 메모리 데이터는 크기, 둘 다 내용으로 형식 판별)
+      const inputFormats = resolveInputFormats(options.inputFormats ?? this.options.inputFormats);
+      const formats = resolveOutputFormats(options.format ?? this.options.format);
+      const outputPaths = formats.map(format => {
+        if (!outputPath || formats.length === 1) {
+          return outputPath;
+        }
+        // 확장자만 바꾼 경로가 입력과 겹치면 접미사를 붙이고, 지정한 경로 자체가 입력이면 아래에서 거부
+        const formatPath = this.replaceExtension(outputPath, format);
+        return path.resolve(formatPath) === path.resolve(outputPath) ? formatPath : this.avoidInputPath(formatPath, inputPath);
+      });
+      let sourceFormat;
+      if (inputPath) {
+        sourceFormat = await this.validateInputFile(inputPath, inputFormats);
+        
+        // 내용으로 형식을 판별하므로 WebP 입력이나 확장자가 .webp인 GIF도 들어올 수 있음
+        const overwrite = outputPaths.find(file => file && path.resolve(file) === path.resolve(inputPath));
+        if (overwrite) {
+          throw new Error(`출력 경로가 입력 파일과 같습니다: ${overwrite}`);
+        }
+      } else {
+        sourceFormat = this.validateInputBuffer(input, inputFormats);
+      }
+
+      const inputSize = inputPath ? (await fs.stat(inputPath)).size : input.length;
+
+      // 프레임 변환 옵션 (자르기, 크기 조정, 프레임 줄이기, 중복 프레임 병합, 재생 속도/순서)
+      const transformOptions = {};
+      for (const key of Object.keys(TRANSFORM_OPTION_RULES)) {
+        const value = options[key] ?? this.options[key];
+        if (value !== undefined && value !== null) {
+          transformOptions[key] = value;
+        }
+      }
+      validateTransformOptions(transformOptions);
+
+      // 원본 프레임 크기, 수, 지연 시간, 반복 횟수
+      const metadata = await sharp(input, { animated: true }).metadata();
+      const frame = {
+        width: metadata.width,
+        pageHeight: metadata.pageHeight || metadata.height,
+        pages: metadata.pages || 1,
+        delay: metadata.delay,
+        loop: metadata.loop
+      };
+
+      // 자르기/크기 조정/프레임 줄이기/중복 프레임 병합/재생 속도와 순서 설정 계산 (모든 프레임에 동일하게 적용)
+      // 자동 자르기 스캔과 중복 프레임 비교는 출력 형식과 무관하므로 원본당 한 번만 계산해 모든 형식이 공유
+      // 원본 지연 시간과 반복 횟수도 여기서 계산되어 loop/delay를 지정하지 않으면 그대로 유지된다
+      const transform = await resolveTransform(input, transformOptions, frame);
+
+      source = { sourceFormat, inputSize, formats, outputPaths, transformOptions, frame, transform };
+    } catch (error) {
+      return this.recordStats(this.conversionFailed(name, inputPath, error));
+    }
+
+    const { formats, outputPaths } = source;
+    if (formats.length === 1) {
+      return this.recordStats(await this.convertFormat(input, target, options, formats[0], source));
+    }
+
+    const outputs = [];
+    for (const [index, format] of formats.entries()) {
+      outputs.push(await this.convertFormat(input, {
+        name: `${name} → ${OUTPUT_FORMAT_LABELS[format]}`,
+        inputPath,
+        outputPath: outputPaths[index]
+      }, options, format, source));
+    }
+
+    const failed = outputs.filter(output => !output.success);
+    const primary = outputs.find(output => output.success && !output.skipped) ?? outputs[0];
+    return this.recordStats({
+      ...primary,
+      success: failed.length === 0,
+      skipped: outputs.every(output => output.skipped),
+      ...(failed.length > 0 && {
+        error: failed.map(output => `${OUTPUT_FORMAT_LABELS[output.outputFormat]}: ${output.error}`).join(', '),
+        errorCode: failed[0].errorCode
+      }),
+      processingTime: outputs.reduce((sum, output) => sum + output.processingTime, 0),
+      outputs
+    });
+  }
+
+  /**
+   * 한 출력 형식으로 변환 (입력 검증은 convertSource에서 끝난 상태)
+   * 형식마다 인코더 옵션(encoder-options.js의 형식별 규칙)을 따로 모아 검증하고,
+   * WebP 전용 기능(optimize, maxSize, retry 정책)은 형식 목록에 WebP가 있으면 WebP 출력에만 적용한다.
+   * @param {string|Buffer} input - 입력 파일 경로 또는 데이터
+   * @param {{name: string, inputPath: string|null, outputPath: string|null}} target - 로그 이름과 입출력 경로
+   * @param {Object} options - 변환 옵션
+   * @param {string} format - 출력 형식 (OUTPUT_FORMATS)
+   * @param {{sourceFormat: string, inputSize: number, formats: string[], transformOptions: Object, frame: Object, transform: Object}} source
+   *   - 입력 형식, 크기, 전체 출력 형식 목록, 원본 프레임 정보와 형식 간에 공유하는 프레임 변환 설정
+   * @returns {Promise<Object>} 형식별 변환 결과 정보
+   */
+  async convertFormat(input, target, options, format, source) {
+    const { name, inputPath, outputPath } = target;
+    const { sourceFormat, inputSize, formats } = source;
+    const formatLabel = OUTPUT_FORMAT_LABELS[format];
+    // AVIF는 첫 출력 프레임만 정지 이미지로 인코딩 (타이밍 검증 없음)
+    const still = format === 'avif';
+
+    try {
       // 출력 디렉토리 생성
-      await fs.ensureDir(path.dirname(outputPath));
+      if (outputPath) {
+        await fs.ensureDir(path.dirname(outputPath));
+      }
       
       const startTime = Date.now();
-      const inputStats = await fs.stat(inputPath);
       
-      // Sharp를 사용한 GIF → WebP 변환
-      // 옵션 병합 (매개변수 options가 인스턴스 options보다 우선)
-      const webpOptions = {
-        quality: options.quality ?? this.options.quality,
-        effort: options.effort ?? this.options.effort,
-        lossless: options.lossless ?? this.options.lossless,
-        loop: options.loop ?? this.options.loop,
-        force: options.force ?? this.options.force
+      // Sharp를 사용한 GIF(또는 허용된 다른 입력) → WebP/GIF/AVIF 변환
+      // 옵션 병합 (매개변수 options가 인스턴스 options보다 우선), 출력 형식의 인코더 옵션만 지정한 경우 전달
+      // (WebP: nearLossless, smartSubsample, alphaQuality, webpPreset, minSize, mixed, delay 등,
+      //  GIF: colors, dither, gifEffort, interFrameMaxError, interPaletteMaxError, loop, delay,
+      //  AVIF: avifQuality, avifEffort, avifLossless, chromaSubsampling)
+      const encoderOptions = {};
+      for (const key of Object.keys(FORMAT_ENCODER_RULES[format].rules)) {
+        const value = options[key] ?? this.options[key];
+        if (value !== undefined && value !== null) {
+          encoderOptions[key] = value;
+        }
+      }
+      encoderOptions.force = options.force ?? this.options.force;
+
+      // 품질 기반 최적화, 목표 크기 탐색, 재시도 정책은 WebP 설정을 조정하므로 WebP 출력에서만 사용
+      // (다른 형식과 함께 출력하면 WebP 출력에만 적용하고, 다른 형식의 retry 정책은 재시도 없이 keep/skip으로 처리)
+      let strategy = options.optimize ?? this.options.optimize;
+      let maxSize = options.maxSize ?? this.options.maxSize;
+      let ifLarger = options.ifLarger ?? this.options.ifLarger;
+      if (!LARGER_POLICIES.includes(ifLarger)) {
+        throw new Error(`지원하지 않는 크기 증가 정책입니다: ${ifLarger} (${LARGER_POLICIES.join(', ')})`);
+      }
+      if (format !== 'webp') {
+        const webpIncluded = formats.includes('webp');
+        if ((strategy || maxSize) && !webpIncluded) {
+          throw new Error(`${formatLabel} 출력에서는 optimize/maxSize 옵션을 사용할 수 없습니다`);
+        }
+        if (ifLarger.startsWith('retry') && !webpIncluded) {
+          throw new Error(`${formatLabel} 출력에서는 재시도 정책을 사용할 수 없습니다: ${ifLarger} (keep, skip)`);
+        }
+        strategy = null;
+        maxSize = null;
+        ifLarger = ifLarger === 'retry-skip' ? 'skip' : ifLarger === 'retry' ? 'keep' : ifLarger;
+      }
+
+      // 최적화 전략이 지정된 경우 파일별 권장 설정 사용
+      let optimization = null;
+      if (strategy) {
+        optimization = await this.selectOptimizedSettings(input, strategy);
+        encoderOptions.quality = optimization.quality;
+        encoderOptions.effort = optimization.effort;
+        encoderOptions.lossless = optimization.lossless;
+      }
+
+      const { transformOptions, frame, transform } = source;
+
+      // 인코더 옵션 범위 검증 (프레임별 delay는 출력 프레임 수와 비교)
+      validateFormatEncoderOptions(encoderOptions, format, {
+        frames: transform.frames ? transform.frames.keep.length : frame.pages
+      });
+
+      // GIF는 지연 시간을 10ms 단위로 저장하므로 누적 재생 시각 기준으로 미리 맞춰 재생 시간을 유지하고 그대로 검증
+      if (format === 'gif' && transform.delays) {
+        const delay = encoderOptions.delay ?? transform.delays;
+        encoderOptions.delay = quantizeDelays(
+          Array.isArray(delay) ? delay : new Array(transform.delays.length).fill(delay),
+          GIF_DELAY_STEP
+        );
+      }
+
+      // 목표 파일 크기가 지정된 경우 후보를 실제로 인코딩하며 설정 탐색
+      let outputBuffer;
+      let settings = encoderOptions;
+      let sizeTarget = null;
+
+      if (maxSize) {
+        const search = await this.encodeWithinSize(input, encoderOptions, maxSize, {
+          minQuality: options.minQuality ?? this.options.minQuality,
+          transform
+        });
+        outputBuffer = search.buffer;
+        settings = search.settings;
+        sizeTarget = search.sizeTarget;
+      } else {
+        outputBuffer = await this.encodeOutput(input, encoderOptions, transform, format);
+      }
+
+      // 출력이 원본보다 크면 정책에 따라 재시도/건너뜀
+      let sizeGuard = null;
+      if (outputBuffer.length > inputSize) {
+        const guarded = await this.applySizeGuard(input, outputBuffer, settings, inputSize, ifLarger, transform);
+        outputBuffer = guarded.buffer;
+        settings = guarded.settings;
+        sizeGuard = guarded.sizeGuard;
+      }
+
+      // 출력 타이밍 확인 (프레임 수, 재생 시간, 반복 횟수, 저장을 건너뛸 출력도 확인)
+      const outputMetadata = await sharp(outputBuffer, { animated: true }).metadata();
+      const expectedTiming = still ? null : this.expectedTiming(transform, settings);
+      const timingCheck = expectedTiming && this.checkTiming(outputMetadata, expectedTiming);
+      const verify = options.verify ?? this.options.verify;
+      const timing = timingCheck && {
+        sourceFrames: frame.pages,
+        sourceLoop: transform.loop,
+        expectedFrames: expectedTiming.frames,
+        expectedDuration: timingCheck.expectedDuration,
+        frames: timingCheck.frames,
+        duration: timingCheck.duration,
+        loop: timingCheck.loop,
+        mergedFrames: timingCheck.mergedFrames,
+        errors: timingCheck.errors,
+        verified: verify
       };
 
-      const webpBuffer = await sharp(inputPath, {
-        animated: true,
-        limitInputPixels: false
-      })
-        .webp(webpOptions)
-        .toBuffer();
+      // 자르기/크기 조정 결과 (입력/출력 프레임 크기)
+      const crop = transform.crop && {
+        ...transform.crop,
+        auto: Boolean(transformOptions.autoTrim),
+        inputWidth: frame.width,
+        inputHeight: frame.pageHeight
+      };
 
-      // 변환된 파일 저장
-      await fs.writeFile(outputPath, webpBuffer);
+      const frameRate = transform.frameRate && {
+        sourceFrames: frame.pages,
+        outputFrames: transform.frameRate.keep.length,
+        sourceFps: calculateFps(transform.frameRate.sourceDelays),
+        outputFps: calculateFps(transform.frameRate.delays),
+        duration: transform.frameRate.delays.reduce((sum, delay) => sum + delay, 0),
+        kept: transform.frameRate.keep
+      };
+
+      // 중복 프레임 병합 결과 (절약한 크기는 병합하지 않은 인코딩과 비교해 측정)
+      let duplicates = null;
+      if (transform.duplicates) {
+        const { threshold, sourceFrames, removed } = transform.duplicates;
+        duplicates = {
+          threshold,
+          sourceFrames,
+          outputFrames: sourceFrames - removed,
+          removed,
+          savedBytes: 0,
+          kept: removed > 0 ? transform.frames.keep : null
+        };
+        if (removed > 0 && !still && !(sizeGuard && sizeGuard.action === 'skipped')) {
+          duplicates.savedBytes = await this.measureDuplicateSavings(input, settings, transform, outputBuffer.length, format);
+        }
+      }
+
+      // 재생 속도/순서 결과 (반복 횟수는 원본 또는 loop 설정 그대로 유지)
+      const playback = transform.playback && {
+        ...transform.playback,
+        sourceFrames: frame.pages,
+        outputFrames: transform.frames ? transform.frames.keep.length : frame.pages,
+        loop: settings.loop ?? transform.loop,
+        kept: transform.frames ? transform.frames.keep : null
+      };
+
+      let resize = null;
+      if (transform.resize) {
+        resize = {
+          ...transform.resize,
+          inputWidth: crop ? crop.width : frame.width,
+          inputHeight: crop ? crop.height : frame.pageHeight,
+          outputWidth: outputMetadata.width,
+          outputHeight: outputMetadata.pageHeight || outputMetadata.height
+        };
+      }
+
+      if (sizeGuard && sizeGuard.action === 'skipped') {
+        console.log(`⏭️  저장 건너뜀: ${name} - ${formatLabel}가 원본보다 큼`);
+        console.log(`   📏 크기: ${this.formatBytes(inputSize)} → ${this.formatBytes(sizeGuard.finalSize)}`);
+        if (timing) {
+          const notes = ['저장하지 않아 검증 안 함', ...timing.errors];
+          console.log(`   🎬 타이밍: ${timing.frames}프레임, ${(timing.duration / 1000).toFixed(2)}초, ${this.formatLoop(timing.loop)} (${notes.join(', ')})`);
+        }
+
+        // 이전 실행의 출력이 남아 있으면 결과(outputPath: null)와 어긋나므로 삭제
+        const staleOutput = Boolean(outputPath) && await fs.pathExists(outputPath);
+        if (staleOutput) {
+          await fs.remove(outputPath);
+          console.log(`   🗑️  이전 출력 삭제: ${outputPath}`);
+        }
+
+        return {
+          success: true,
+          skipped: true,
+          reason: 'not-beneficial',
+          inputPath,
+          outputPath: null,
+          sourceFormat,
+          outputFormat: format,
+          inputSize: inputSize,
+          outputSize: null,
+          compressionRatio: null,
+          processingTime: Date.now() - startTime,
+          savedBytes: 0,
+          settings,
+          sizeTarget,
+          optimization,
+          sizeGuard,
+          crop,
+          resize,
+          frameRate,
+          duplicates,
+          playback,
+          staleOutputRemoved: staleOutput,
+          // 타이밍은 건너뛰기 전에 확인한 값을 기록하되, 저장하지 않은 출력이므로 검증 실패로 처리하지 않음
+          timing: timing && { ...timing, verified: false },
+          ...(outputPath ? {} : { buffer: null })
+        };
+      }
+
+      // 저장 전 타이밍 검증 (변환 옵션으로 의도하지 않은 프레임 수/재생 시간/반복 횟수 변화는 실패로 처리)
+      if (verify && timingCheck && timingCheck.errors.length > 0) {
+        throw new Error(`출력 검증 실패 - ${timingCheck.errors.join(', ')}`);
+      }
+
+      // 변환된 파일 저장 (메모리 변환은 결과의 buffer로 반환)
+      if (outputPath) {
+        await fs.writeFile(outputPath, outputBuffer);
+      }
       
-      const outputStats = await fs.stat(outputPath);
+      const outputSize = outputBuffer.length;
       const processingTime = Date.now() - startTime;
       
       // 압축률 계산
-      const compressionRatio = ((inputStats.size - outputStats.size) / inputStats.size) * 100;
-      
-      // 통계 업데이트
-      this.updateStats(inputStats.size, outputStats.size, true);
+      const compressionRatio = ((inputSize - outputSize) / inputSize) * 100;
       
       const result = {
         success: true,
         inputPath,
         outputPath,
-        inputSize: inputStats.size,
-        outputSize: outputStats.size,
+        sourceFormat,
+        outputFormat: format,
+        inputSize: inputSize,
+        outputSize,
         compressionRatio,
         processingTime,
-        savedBytes: inputStats.size - outputStats.size
+        savedBytes: inputSize - outputSize,
+        settings,
+        sizeTarget,
+        optimization,
+        sizeGuard,
+        crop,
+        resize,
+        frameRate,
+        duplicates,
+        playback,
+        timing,
+        ...(outputPath ? {} : { buffer: outputBuffer })
       };
       
-      console.log(`✅ 변환 완료: ${path.basename(inputPath)}`);
-      console.log(`   📏 크기: ${this.formatBytes(inputStats.size)} → ${this.formatBytes(outputStats.size)}`);
+      console.log(`✅ 변환 완료: ${name}`);
+      console.log(`   📏 크기: ${this.formatBytes(inputSize)} → ${this.formatBytes(outputSize)}`);
       console.log(`   📊 압축률: ${compressionRatio.toFixed(1)}%`);
       console.log(`   ⏱️  처리시간: ${processingTime}ms`);
+      if (sourceFormat !== 'gif') {
+        console.log(`   🖼️  입력 형식: ${sourceFormat}${frame.pages > 1 ? ` (${frame.pages}프레임)` : ' (정지 이미지)'}`);
+      }
+      if (still) {
+        console.log(`   🖼️  AVIF 출력: 첫 프레임 정지 이미지 (품질 ${settings.avifQuality ?? 50}${settings.avifLossless ? ', 무손실' : ''}${settings.chromaSubsampling ? `, ${settings.chromaSubsampling}` : ''})`);
+      }
+      if (format === 'gif') {
+        console.log(`   🎨 GIF 출력: 팔레트 ${settings.colors ?? 256}색, 디더링 ${settings.dither ?? 1}${settings.gifEffort ? `, 노력도 ${settings.gifEffort}` : ''}`);
+      }
+      if (crop) {
+        console.log(`   ✂️  ${crop.auto ? '자동 자르기' : '자르기'}: ${crop.inputWidth}x${crop.inputHeight} → ${crop.width}x${crop.height} (${crop.left},${crop.top})`);
+      }
+      if (resize) {
+        console.log(`   📐 크기 조정: ${resize.inputWidth}x${resize.inputHeight} → ${resize.outputWidth}x${resize.outputHeight} (${resize.fit}, ${resize.kernel})`);
+      }
+      if (frameRate) {
+        console.log(`   🎞️  프레임 줄이기: ${frameRate.sourceFrames} → ${frameRate.outputFrames}프레임 (${this.formatFps(frameRate.sourceFps)} → ${this.formatFps(frameRate.outputFps)}, 재생 시간 ${(frameRate.duration / 1000).toFixed(2)}초 유지)`);
+      }
+      if (duplicates) {
+        console.log(`   🧩 중복 프레임 병합: ${duplicates.removed}개 제거 (${duplicates.sourceFrames} → ${duplicates.outputFrames}프레임, ${this.formatBytes(duplicates.savedBytes)} 절약)`);
+      }
+      if (timing) {
+        const notes = [
+          timing.verified && '검증됨',
+          timing.mergedFrames > 0 && `인코더가 같은 프레임 ${timing.mergedFrames}개 병합`,
+          ...timing.errors
+        ].filter(Boolean);
+        console.log(`   🎬 타이밍: ${timing.frames}프레임, ${(timing.duration / 1000).toFixed(2)}초, ${this.formatLoop(timing.loop)}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
+      }
+      if (playback) {
+        console.log(`   ⏯️  재생: ${this.describePlayback(playback)} (${(playback.sourceDuration / 1000).toFixed(2)}초 → ${(playback.duration / 1000).toFixed(2)}초, ${playback.outputFrames}프레임)`);
+      }
+      if (optimization) {
+        console.log(`   🧠 최적화: ${optimization.strategy} → ${optimization.selectedStrategy} (품질 ${optimization.quality}, 노력도 ${optimization.effort}${optimization.lossless ? ', 무손실' : ''})`);
+        console.log(`      이유: ${optimization.selectionReason}`);
+        if (optimization.frameRateSuggestion && !frameRate) {
+          console.log(`   💡 프레임 줄이기 권장 (--max-fps ${optimization.frameRateSuggestion.maxFps}): ${optimization.frameRateSuggestion.reason}`);
+        }
+      }
+      if (sizeTarget) {
+        const status = sizeTarget.reached ? '달성' : '달성 불가';
+        console.log(`   🎯 목표 크기: ${this.formatBytes(sizeTarget.maxSize)} ${status} (품질 ${sizeTarget.quality}, 노력도 ${sizeTarget.effort}, 시도 ${sizeTarget.attempts}회)`);
+      }
+      if (sizeGuard) {
+        const detail = sizeGuard.action === 'retried'
+          ? `재시도 → ${sizeGuard.mode} ${this.formatBytes(sizeGuard.finalSize)}`
+          : '그대로 저장';
+        console.log(`   📈 원본보다 큼 (${this.formatBytes(sizeGuard.initialSize)}): ${detail}`);
+      }
       
       return result;
       
     } catch (error) {
-      console.error(`❌ 변환 실패: ${path.basename(inputPath)}`);
-      console.error(`   오류: ${error.message}`);
-      
-      this.updateStats(0, 0, false);
-      
-      return {
-        success: false,
-        inputPath,
-        error: error.message,
-        processingTime: 0
-      };
+      return this.conversionFailed(name, inputPath, error, format);
+    }
+  }
+
+  /**
+   * 변환 실패 기록 (로그, 실패 결과)
+   * @param {string} name - 로그에 표시할 이름
+   * @param {string|null} inputPath - 입력 파일 경로
+   * @param {Error} error - 발생한 오류 (code가 있으면 errorCode로 기록)
+   * @param {string|null} format - 실패한 출력 형식 (입력 검증이나 프레임 변환 계산 실패면 null)
+   * @returns {Object} 실패 결과
+   */
+  conversionFailed(name, inputPath, error, format = null) {
+    console.error(`❌ 변환 실패: ${name}`);
+    console.error(`   오류: ${error.message}`);
+    
+    return {
+      success: false,
+      inputPath,
+      outputFormat: format,
+      error: error.message,
+      errorCode: error.code ?? null,
+      processingTime: 0
+    };
+  }
+
+  /**
+   * 최적화 전략으로 파일별 권장 인코딩 설정 선택
+   * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+   * @param {string} strategy - 최적화 전략
+   * @returns {Promise<Object>} 선택된 설정과 전략 정보
+   */
+  async selectOptimizedSettings(inputPath, strategy) {
+    const result = await optimizeWithStrategy(inputPath, strategy, {
+      maxEffort: this.options.effort,
+      allowLossless: this.options.lossless
+    });
+
+    return {
+      strategy,
+      selectedStrategy: result.metadata.selectedStrategy,
+      selectionReason: result.metadata.selectionReason,
+      frameRateSuggestion: result.metadata.frameRateSuggestion ?? null,
+      quality: result.quality,
+      effort: result.effort,
+      lossless: result.lossless,
+      psnr: result.measuredPSNR ?? result.estimatedPSNR,
+      psnrMeasured: result.measuredPSNR !== undefined,
+      valid: validateOptimization(result)
+    };
+  }
+
+  /**
+   * 출력 형식에 맞는 인코더로 인코딩
+   * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+   * @param {Object} encoderOptions - 출력 형식의 인코더 옵션 (encoder-options.js)
+   * @param {Object} transform - 프레임 변환 설정 (transforms.js)
+   * @param {string} format - 출력 형식 (OUTPUT_FORMATS)
+   * @returns {Promise<Buffer>} 인코딩된 데이터
+   */
+  async encodeOutput(inputPath, encoderOptions, transform = {}, format = 'webp') {
+    if (format === 'avif') {
+      return await this.encodeAvif(inputPath, encoderOptions, transform);
+    }
+    return format === 'gif'
+      ? await this.encodeGif(inputPath, encoderOptions, transform)
+      : await this.encodeWebP(inputPath, encoderOptions, transform);
+  }
+
+  /**
+   * Sharp로 AVIF 정지 이미지 인코딩 수행 (자르기/크기 조정을 적용한 첫 출력 프레임)
+   * @param {string|Buffer} inputPath - 입력 파일 경로 또는 데이터
+   * @param {Object} avifOptions - AVIF 인코더 옵션 (encoder-options.js)
+   * @param {Object} transform - 프레임 변환 설정 (transforms.js)
+   * @returns {Promise<Buffer>} 인코딩된 AVIF 데이터
+   */
+  async encodeAvif(inputPath, avifOptions, transform = {}) {
+    return await createStillSource(inputPath, transform)
+      .avif(toSharpAvifOptions(avifOptions))
+      .toBuffer();
+  }
+
+  /**
+   * Sharp로 GIF 인코딩 수행 (팔레트 생성과 디더링은 libimagequant, 프레임 최적화는 cgif)
+   * @param {string|Buffer} inputPath - 입력 파일 경로 또는 데이터
+   * @param {Object} gifOptions - GIF 인코더 옵션 (encoder-options.js)
+   * @param {Object} transform - 프레임 변환 설정 (transforms.js)
+   * @returns {Promise<Buffer>} 인코딩된 GIF 데이터
+   */
+  async encodeGif(inputPath, gifOptions, transform = {}) {
+    const image = await createFrameSource(inputPath, transform);
+
+    // WebP 인코딩과 같이 원본(또는 프레임 변환을 적용한) 지연 시간과 반복 횟수를 명시적으로 전달
+    const delay = transform.delays ?? undefined;
+    const loop = transform.loop ?? undefined;
+
+    return await image
+      .gif(toSharpGifOptions({ loop, delay, ...gifOptions }))
+      .toBuffer();
+  }
+
+  /**
+   * Sharp로 WebP 인코딩 수행
+   * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+   * @param {Object} webpOptions - WebP 인코더 옵션 (encoder-options.js)
+   * @param {Object} transform - 프레임 변환 설정 (transforms.js, 예: { crop, resize, frames, delays, loop })
+   * @returns {Promise<Buffer>} 인코딩된 WebP 데이터
+   */
+  async encodeWebP(inputPath, webpOptions, transform = {}) {
+    const image = await createFrameSource(inputPath, transform);
+
+    // 원본(또는 프레임 변환을 적용한) 지연 시간과 반복 횟수를 명시적으로 전달 (loop/delay를 직접 지정하면 그 값이 우선)
+    const delay = transform.delays ?? undefined;
+    const loop = transform.loop ?? undefined;
+
+    return await image
+      .webp(toSharpWebpOptions({ loop, delay, ...webpOptions }))
+      .toBuffer();
+  }
+
+  /**
+   * 변환 설정으로 기대하는 출력 타이밍 계산
+   * 직접 지정한 loop/delay가 있으면 그 값을, 없으면 변환을 적용한 원본 지연 시간과 반복 횟수를 기대한다.
+   * @param {Object} transform - 프레임 변환 설정 (transforms.js)
+   * @param {Object} settings - 최종 인코딩에 사용한 WebP 옵션
+   * @returns {{frames: number, delays: number[], loop: number}|null} 기대 타이밍 (정지 이미지면 null)
+   */
+  expectedTiming(transform, settings) {
+    if (!transform.delays) {
+      return null;
+    }
+
+    const frames = transform.delays.length;
+    let delays = transform.delays;
+    if (Array.isArray(settings.delay)) {
+      delays = settings.delay;
+    } else if (settings.delay !== undefined && settings.delay !== null) {
+      delays = new Array(frames).fill(settings.delay);
+    }
+
+    return { frames, delays, loop: settings.loop ?? transform.loop };
+  }
+
+  /**
+   * 인코딩 결과의 타이밍을 기대값과 비교
+   * libwebp는 연속된 같은 프레임을 하나로 합치고 지연 시간을 더하므로, 프레임 수가 줄어든 경우는
+   * 합쳐진 프레임의 경계가 모두 기대한 프레임 경계와 일치할 때만 정상으로 본다.
+   * @param {Object} outputMetadata - 출력 WebP 메타데이터 (animated: true)
+   * @param {{frames: number, delays: number[], loop: number}} expected - 기대 타이밍
+   * @returns {{frames: number, duration: number, loop: number, expectedDuration: number, mergedFrames: number, errors: string[]}} 비교 결과
+   */
+  checkTiming(outputMetadata, expected) {
+    const frames = outputMetadata.pages || 1;
+    const delays = outputMetadata.delay || [];
+    const loop = outputMetadata.loop ?? 0;
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const boundaries = (values) => {
+      let elapsed = 0;
+      return values.map(value => (elapsed += value));
+    };
+
+    const duration = sum(delays);
+    const expectedDuration = sum(expected.delays);
+    const errors = [];
+
+    if (frames > expected.frames) {
+      errors.push(`프레임 수 ${expected.frames}개 → ${frames}개`);
+    } else if (frames < expected.frames) {
+      const expectedBoundaries = new Set(boundaries(expected.delays));
+      if (!boundaries(delays).every(time => expectedBoundaries.has(time))) {
+        errors.push(`프레임 수 ${expected.frames}개 → ${frames}개 (프레임 경계 불일치)`);
+      }
+    }
+    if (duration !== expectedDuration) {
+      errors.push(`재생 시간 ${expectedDuration}ms → ${duration}ms`);
+    }
+    if (loop !== expected.loop) {
+      errors.push(`반복 횟수 ${expected.loop} → ${loop}`);
+    }
+
+    return {
+      frames,
+      duration,
+      loop,
+      expectedDuration,
+      mergedFrames: errors.length === 0 ? expected.frames - frames : 0,
+      errors
+    };
+  }
+
+  /**
+   * 중복 프레임 병합으로 줄어든 크기 측정
+   * 같은 설정으로 병합 전 프레임(프레임 줄이기와 재생 속도/순서만 적용)을 다시 인코딩해 비교한다.
+   * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+   * @param {Object} settings - 최종 인코딩에 사용한 인코더 옵션
+   * @param {Object} transform - 중복 프레임을 병합한 변환 설정
+   * @param {number} outputSize - 병합 후 인코딩 크기 (bytes)
+   * @param {string} format - 출력 형식 (OUTPUT_FORMATS)
+   * @returns {Promise<number>} 절약한 크기 (bytes)
+   */
+  async measureDuplicateSavings(inputPath, settings, transform, outputSize, format = 'webp') {
+    // 프레임별 delay는 병합 후 프레임 수에 맞춘 값이므로 병합 전 인코딩에는 쓰지 않음
+    const { delay, ...baselineSettings } = settings;
+    if (delay !== undefined && !Array.isArray(delay)) {
+      baselineSettings.delay = delay;
+    }
+
+    const baseline = await this.encodeOutput(inputPath, baselineSettings, {
+      crop: transform.crop,
+      resize: transform.resize,
+      loop: transform.loop,
+      ...transform.duplicates.baseline
+    }, format);
+    return baseline.length - outputSize;
+  }
+
+  /**
+   * 목표 파일 크기 이하가 되는 가장 높은 품질 탐색
+   * 요청된 설정을 먼저 시도하고, 초과하면 품질을 이진 탐색한다.
+   * 최저 품질로도 초과하면 최대 노력도(6)로 한 번 더 탐색한다.
+   * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+   * @param {Object} webpOptions - 기준 WebP 옵션 (품질 상한)
+   * @param {number} maxSize - 목표 파일 크기 (bytes)
+   * @param {Object} searchOptions - 탐색 옵션 ({ minQuality, transform })
+   * @returns {Promise<{buffer: Buffer, settings: Object, sizeTarget: Object}>} 선택된 결과와 탐색 정보
+   */
+  async encodeWithinSize(inputPath, webpOptions, maxSize, searchOptions = {}) {
+    const minQuality = searchOptions.minQuality ?? 1;
+    let attempts = 0;
+
+    const encode = async (settings) => {
+      attempts++;
+      return { buffer: await this.encodeWebP(inputPath, settings, searchOptions.transform), settings };
+    };
+
+    const toResult = (candidate, reached) => ({
+      buffer: candidate.buffer,
+      settings: candidate.settings,
+      sizeTarget: {
+        maxSize,
+        reached,
+        quality: candidate.settings.quality,
+        effort: candidate.settings.effort,
+        lossless: candidate.settings.lossless,
+        outputSize: candidate.buffer.length,
+        attempts
+      }
+    });
+
+    // 1. 요청된 설정 그대로 시도
+    const initial = await encode(webpOptions);
+    if (initial.buffer.length <= maxSize) {
+      return toResult(initial, true);
+    }
+
+    // 2. 손실 압축으로 품질 이진 탐색 (무손실 요청이었다면 100부터)
+    const qualityCeiling = webpOptions.lossless ? 100 : webpOptions.quality - 1;
+    const efforts = webpOptions.effort < 6 ? [webpOptions.effort, 6] : [6];
+    let smallest = initial;
+
+    for (const effort of efforts) {
+      let low = minQuality;
+      let high = qualityCeiling;
+      let best = null;
+
+      while (low <= high) {
+        const quality = Math.floor((low + high) / 2);
+        const candidate = await encode({ ...webpOptions, lossless: false, nearLossless: false, effort, quality });
+
+        if (candidate.buffer.length < smallest.buffer.length) {
+          smallest = candidate;
+        }
+
+        if (candidate.buffer.length <= maxSize) {
+          best = candidate;
+          low = quality + 1;
+        } else {
+          high = quality - 1;
+        }
+      }
+
+      if (best) {
+        return toResult(best, true);
+      }
+    }
+
+    // 3. 목표 달성 불가 - 가장 작은 후보 사용
+    console.warn(`⚠️  목표 크기 ${this.formatBytes(maxSize)} 달성 불가: 최소 ${this.formatBytes(smallest.buffer.length)}`);
+    return toResult(smallest, false);
+  }
+
+  /**
+   * 출력이 원본보다 클 때 정책 적용
+   * retry 계열 정책은 무손실과 손실/무손실 혼합 모드를 시도해 가장 작은 결과를 고른다.
+   * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+   * @param {Buffer} buffer - 처음 인코딩한 WebP 데이터
+   * @param {Object} settings - 처음 인코딩에 사용한 설정
+   * @param {number} inputSize - 원본 크기 (bytes)
+   * @param {string} policy - 정책 (LARGER_POLICIES)
+   * @param {Object} transform - 프레임 변환 설정 (처음 인코딩과 동일하게 적용)
+   * @returns {Promise<{buffer: Buffer, settings: Object, sizeGuard: Object}>} 선택된 결과와 처리 내역
+   */
+  async applySizeGuard(inputPath, buffer, settings, inputSize, policy, transform = {}) {
+    let best = { buffer, settings, mode: 'original' };
+    const attempts = [];
+
+    if (policy === 'retry' || policy === 'retry-skip') {
+      const candidates = [
+        ['lossless', { ...settings, lossless: true, nearLossless: false, mixed: false }],
+        ['mixed', { ...settings, lossless: false, nearLossless: false, mixed: true }]
+      ];
+
+      for (const [mode, candidateSettings] of candidates) {
+        const candidate = await this.encodeWebP(inputPath, candidateSettings, transform);
+        attempts.push({ mode, size: candidate.length });
+        if (candidate.length < best.buffer.length) {
+          best = { buffer: candidate, settings: candidateSettings, mode };
+        }
+      }
     }
+
+    const stillLarger = best.buffer.length > inputSize;
+    let action = attempts.length > 0 ? 'retried' : 'kept';
+    if (stillLarger && (policy === 'skip' || policy === 'retry-skip')) {
+      action = 'skipped';
+    }
+
+    return {
+      buffer: best.buffer,
+      settings: best.settings,
+      sizeGuard: {
+        policy,
+        action,
+        mode: best.mode,
+        inputSize,
+        initialSize: buffer.length,
+        finalSize: best.buffer.length,
+        stillLarger,
+        attempts
+      }
+    };
   }
 
   /**
-   * 입력 파일 유효성 검사
+   * 입력 파일 유효성 검사 (확장자가 아닌 파일 내용으로 형식 판별)
+   * 오류에는 input-format.js의 코드(ERR_UNSUPPORTED_FORMAT, ERR_FORMAT_NOT_ALLOWED, ERR_GIF_TRUNCATED, ERR_GIF_CORRUPT)가 붙는다
    * @param {string} inputPath - 검사할 파일 경로
+   * @param {string[]} inputFormats - 허용할 입력 형식
+   * @returns {Promise<string>} 판별한 입력 형식
    */
-  async validateInputFile(inputPath) {
+  async validateInputFile(inputPath, inputFormats = INPUT_FORMATS) {
     // 파일 존재 확인
     if (!await fs.pathExists(inputPath)) {
       throw new Error(`파일을 찾을 수 없습니다: ${inputPath}`);
     }
     
-    // GIF 파일 확인
-    const ext = path.extname(inputPath).toLowerCase();
-    if (ext !== '.gif') {
-      throw new Error(`GIF 파일이 아닙니다: ${ext}`);
-    }
-    
     // 파일 크기 확인 (100MB 제한)
     const stats = await fs.stat(inputPath);
-    const maxSize = 100 * 1024 * 1024; // 100MB
-    if (stats.size > maxSize) {
-      throw new Error(`파일이 너무 큽니다: ${this.formatBytes(stats.size)} (최대 ${this.formatBytes(maxSize)})`);
+    if (stats.size > MAX_INPUT_SIZE) {
+      throw new Error(`파일이 너무 큽니다: ${this.formatBytes(stats.size)} (최대 ${this.formatBytes(MAX_INPUT_SIZE)})`);
     }
+    
+    // 형식 판별과 허용 목록 확인 (GIF는 잘림, 블록 구조까지)
+    return assertInput(await fs.readFile(inputPath), inputFormats).format;
   }
 
   /**
-   * 출력 파일 경로 생성
+   * 입력 데이터 유효성 검사 (validateInputFile과 같은 내용 검사)
+   * @param {Buffer} buffer - 검사할 데이터
+   * @param {string[]} inputFormats - 허용할 입력 형식
+   * @returns {string} 판별한 입력 형식
+   */
+  validateInputBuffer(buffer, inputFormats = INPUT_FORMATS) {
+    if (!Buffer.isBuffer(buffer)) {
+      throw new Error('입력 데이터는 Buffer여야 합니다');
+    }
+
+    if (buffer.length > MAX_INPUT_SIZE) {
+      throw new Error(`파일이 너무 큽니다: ${this.formatBytes(buffer.length)} (최대 ${this.formatBytes(MAX_INPUT_SIZE)})`);
+    }
+
+    return assertInput(buffer, inputFormats).format;
+  }
+
+  /**
+   * 출력 파일 경로 생성 (입력과 같은 경로가 되면 접미사를 붙임, 예: GIF → GIF, WebP → WebP)
    * @param {string} inputPath - 입력 파일 경로
    * @param {string} outputDir - 출력 디렉토리 (선택사항)
+   * @param {string} format - 출력 형식 (기본값: 변환기 format 옵션의 첫 형식)
    * @returns {string} 출력 파일 경로
    */
-  generateOutputPath(inputPath, outputDir = null) {
+  generateOutputPath(inputPath, outputDir = null, format = resolveOutputFormats(this.options.format)[0]) {
     const inputFileName = path.basename(inputPath, path.extname(inputPath));
-    const outputFileName = `${inputFileName}.webp`;
+    const outputFileName = `${inputFileName}.${format}`;
     
     if (outputDir) {
-      return path.join(outputDir, outputFileName);
+      return this.avoidInputPath(path.join(outputDir, outputFileName), inputPath);
+    } else {
+      return this.avoidInputPath(path.join(path.dirname(inputPath), outputFileName), inputPath);
+    }
+  }
+
+  /**
+   * 출력 경로의 확장자를 출력 형식에 맞게 변경 (여러 형식 출력)
+   * @param {string} outputPath - 주 출력 경로
+   * @param {string} format - 출력 형식
+   * @returns {string} 형식별 출력 경로
+   */
+  replaceExtension(outputPath, format) {
+    return path.join(path.dirname(outputPath), `${path.basename(outputPath, path.extname(outputPath))}.${format}`);
+  }
+
+  /**
+   * 만든 출력 경로가 입력 파일과 같으면 파일명에 CONVERTED_SUFFIX를 붙임
+   * (직접 지정한 출력 경로에는 쓰지 않음 - 그 경우는 덮어쓰기 오류로 거부)
+   * @param {string} outputPath - 만든 출력 경로
+   * @param {string|null} inputPath - 입력 파일 경로 (메모리 입력이면 null)
+   * @returns {string} 입력과 겹치지 않는 출력 경로
+   */
+  avoidInputPath(outputPath, inputPath) {
+    if (!inputPath || path.resolve(outputPath) !== path.resolve(inputPath)) {
+      return outputPath;
+    }
+    const ext = path.extname(outputPath);
+    return path.join(path.dirname(outputPath), `${path.basename(outputPath, ext)}${CONVERTED_SUFFIX}${ext}`);
+  }
+
+  /**
+   * 원본 하나의 변환 결과를 통계에 반영 (처리/건너뜀/실패 중 하나로 한 번만 집계)
+   * 여러 형식으로 출력해도 원본 크기는 한 번만 더하고 출력 크기는 주 결과의 크기를 쓴다.
+   * 형식별 출력 합계는 보고서의 outputFormats(summarizeOutputFormats)에 따로 집계된다.
+   * @param {Object} result - convertSource의 변환 결과
+   * @returns {Object} 같은 변환 결과
+   */
+  recordStats(result) {
+    if (result.success && result.skipped) {
+      this.stats.skipped++;
     } else {
-      return path.join(path.dirname(inputPath), outputFileName);
+      this.updateStats(result.inputSize, result.outputSize, result.success);
     }
+    return result;
   }
 
   /**
@@ -193,11 +1081,43 @@ export class GifToWebPConverter {
     this.stats = {
       processed: 0,
       failed: 0,
+      skipped: 0,
       totalSizeBefore: 0,
       totalSizeAfter: 0
     };
   }
 
+  /**
+   * 초당 프레임 수를 표시용 문자열로 변환
+   * @param {number|null} fps - 초당 프레임 수
+   * @returns {string} 포맷된 문자열
+   */
+  formatFps(fps) {
+    return fps === null ? '? fps' : `${parseFloat(fps.toFixed(1))}fps`;
+  }
+
+  /**
+   * 재생 속도/순서 설정을 표시용 문자열로 변환
+   * @param {{speed: number, reverse: boolean, boomerang: boolean}} playback - 재생 설정
+   * @returns {string} 포맷된 문자열 (예: "1.5배속, 거꾸로, 부메랑")
+   */
+  describePlayback(playback) {
+    return [
+      playback.speed !== 1 && `${parseFloat(playback.speed.toFixed(2))}배속`,
+      playback.reverse && '거꾸로',
+      playback.boomerang && '부메랑'
+    ].filter(Boolean).join(', ');
+  }
+
+  /**
+   * 반복 횟수를 표시용 문자열로 변환
+   * @param {number} loop - 반복 횟수 (0 = 무한)
+   * @returns {string} 포맷된 문자열
+   */
+  formatLoop(loop) {
+    return loop === 0 ? '무한 반복' : `${loop}회 반복`;
+  }
+
   /**
    * 바이트를 사람이 읽기 쉬운 형태로 변환
    * @param {number} bytes - 바이트 수
@@ -215,6 +1135,21 @@ export class GifToWebPConverter {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(decimals)) + ' ' + sizes[i];
   }
 
+  /**
+   * 설정 파일의 사용자 프리셋까지 찾아 변환기 생성
+   * preset이 이름이면 loadPresets()로 기본 프리셋과 설정 파일(config 또는 기본 검색 경로)을 합친 레지스트리에서 찾는다.
+   * @param {Object} options - 변환 옵션 (config: 설정 파일 경로, cwd: 설정 파일 검색 디렉토리)
+   * @returns {Promise<GifToWebPConverter>} 변환기
+   */
+  static async create(options = {}) {
+    const { config, cwd, ...converterOptions } = options;
+    if (typeof converterOptions.preset !== 'string' || converterOptions.presets) {
+      return new GifToWebPConverter(converterOptions);
+    }
+    const { presets } = await loadPresets({ configPath: config, cwd });
+    return new GifToWebPConverter({ ...converterOptions, presets });
+  }
+
   /**
    * Sharp 라이브러리 정보 출력
    */
@@ -224,6 +1159,7 @@ export class GifToWebPConverter {
       console.log('📚 Sharp 라이브러리 정보:');
       console.log(`   WebP 지원: ${info.webp ? '✅' : '❌'}`);
       console.log(`   GIF 지원: ${info.gif ? '✅' : '❌'}`);
+      console.log(`   AVIF 지원: ${info.heif?.output?.buffer ? '✅' : '❌'}`);
       console.log(`   애니메이션 지원: ${info.webp?.output?.animated ? '✅' : '❌'}`);
       
       const sharpVersion = sharp.versions;
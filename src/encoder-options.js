@@ -0,0 +1,301 @@
+/**
+ * WebP/GIF/AVIF 인코더 옵션 정의 및 검증
+ * 변환기, CLI, 프리셋이 같은 규칙으로 Sharp webp()/gif()/avif() 옵션을 검증
+ *
+ * @author ConvertWemp Team
+ * @version 1.0.0
+ */
+
+/**
+ * Sharp WebP 인코더 프리셋 (변환 프리셋과 구분하기 위해 webpPreset으로 지정)
+ */
+const WEBP_ENCODER_PRESETS = ['default', 'photo', 'picture', 'drawing', 'icon', 'text'];
+
+/**
+ * 출력 형식 (webp: 기본, gif: 구형 클라이언트용 역변환, avif: 첫 프레임 정지 미리보기)
+ */
+const OUTPUT_FORMATS = ['webp', 'gif', 'avif'];
+
+/**
+ * AVIF 크로마 서브샘플링 방식
+ */
+const AVIF_CHROMA_SUBSAMPLING = ['4:2:0', '4:4:4'];
+
+/**
+ * GIF 지연 시간 단위 (ms) - GIF는 1/100초 단위로 저장
+ */
+const GIF_DELAY_STEP = 10;
+
+/**
+ * WebP 인코더 옵션
+ * @typedef {Object} EncoderOptions
+ * @property {number} [quality] - 품질 (1-100, nearLossless에서는 전처리 강도)
+ * @property {number} [effort] - 압축 노력도 (0-6)
+ * @property {boolean} [lossless] - 무손실 압축
+ * @property {boolean} [nearLossless] - 준무손실 압축
+ * @property {boolean} [smartSubsample] - 고품질 크로마 서브샘플링
+ * @property {number} [alphaQuality] - 투명도 채널 품질 (0-100)
+ * @property {string} [webpPreset] - 인코더 프리셋 (photo, drawing, icon, text 등)
+ * @property {boolean} [minSize] - 애니메이션 키프레임을 쓰지 않아 크기 최소화 (느림)
+ * @property {boolean} [mixed] - 프레임별 손실/무손실 혼합 허용
+ * @property {number} [loop] - 반복 횟수 (0 = 무한, 0-65535)
+ * @property {number|number[]} [delay] - 프레임 지연 시간 (ms, 0-65535) - 단일 값 또는 프레임별 배열
+ */
+
+const isIntegerIn = (min, max) => (value) =>
+  (Number.isInteger(value) && value >= min && value <= max) || `${min}-${max} 정수여야 합니다`;
+const isNumberIn = (min, max) => (value) =>
+  (typeof value === 'number' && value >= min && value <= max) || `${min}-${max} 숫자여야 합니다`;
+const isBoolean = (value) => typeof value === 'boolean' || 'true 또는 false여야 합니다';
+const isDelay = isIntegerIn(0, 65535);
+
+/**
+ * 옵션별 검증 규칙 (통과 시 true, 실패 시 오류 설명)
+ */
+const ENCODER_OPTION_RULES = {
+  quality: isIntegerIn(1, 100),
+  effort: isIntegerIn(0, 6),
+  lossless: isBoolean,
+  nearLossless: isBoolean,
+  smartSubsample: isBoolean,
+  alphaQuality: isIntegerIn(0, 100),
+  webpPreset: (value) => WEBP_ENCODER_PRESETS.includes(value) || `${WEBP_ENCODER_PRESETS.join(', ')} 중 하나여야 합니다`,
+  minSize: isBoolean,
+  mixed: isBoolean,
+  loop: isIntegerIn(0, 65535),
+  delay: (value) => {
+    if (Array.isArray(value)) {
+      if (value.length === 0) return '빈 배열일 수 없습니다';
+      const invalid = value.find(item => isDelay(item) !== true);
+      return invalid === undefined || `프레임별 값은 0-65535 정수여야 합니다 (잘못된 값: ${JSON.stringify(invalid)})`;
+    }
+    return isDelay(value);
+  }
+};
+
+/**
+ * GIF 인코더 옵션 (Sharp gif(), 팔레트는 libimagequant로 생성)
+ * WebP 옵션과 이름이 겹치지 않게 노력도는 gifEffort로 지정
+ * @typedef {Object} GifEncoderOptions
+ * @property {number} [colors] - 팔레트 색상 수 (2-256)
+ * @property {number} [dither] - 디더링 강도 (0-1, 0 = 디더링 없음)
+ * @property {number} [gifEffort] - 팔레트 생성 노력도 (1-10)
+ * @property {number} [interFrameMaxError] - 이전 프레임과 같다고 보고 투명 처리할 최대 오차 (0-32, 0 = 무손실)
+ * @property {number} [interPaletteMaxError] - 이전 팔레트를 재사용할 최대 오차 (0-256)
+ * @property {number} [loop] - 반복 횟수 (0 = 무한, 0-65535)
+ * @property {number|number[]} [delay] - 프레임 지연 시간 (ms, 0-65535) - 단일 값 또는 프레임별 배열
+ */
+
+/**
+ * GIF 옵션별 검증 규칙 (loop, delay는 WebP와 같음)
+ */
+const GIF_ENCODER_OPTION_RULES = {
+  colors: isIntegerIn(2, 256),
+  dither: isNumberIn(0, 1),
+  gifEffort: isIntegerIn(1, 10),
+  interFrameMaxError: isNumberIn(0, 32),
+  interPaletteMaxError: isNumberIn(0, 256),
+  loop: ENCODER_OPTION_RULES.loop,
+  delay: ENCODER_OPTION_RULES.delay
+};
+
+/**
+ * AVIF 인코더 옵션 (Sharp avif(), 애니메이션은 지원하지 않으므로 첫 출력 프레임만 인코딩)
+ * 다른 형식과 함께 지정할 수 있도록 품질/노력도/무손실은 avif 접두사를 붙여 지정
+ * @typedef {Object} AvifEncoderOptions
+ * @property {number} [avifQuality] - 품질 (1-100)
+ * @property {number} [avifEffort] - 압축 노력도 (0-9)
+ * @property {boolean} [avifLossless] - 무손실 압축
+ * @property {string} [chromaSubsampling] - 크로마 서브샘플링 (4:2:0, 4:4:4)
+ */
+
+/**
+ * AVIF 옵션별 검증 규칙
+ */
+const AVIF_ENCODER_OPTION_RULES = {
+  avifQuality: isIntegerIn(1, 100),
+  avifEffort: isIntegerIn(0, 9),
+  avifLossless: isBoolean,
+  chromaSubsampling: (value) => AVIF_CHROMA_SUBSAMPLING.includes(value) || `${AVIF_CHROMA_SUBSAMPLING.join(', ')} 중 하나여야 합니다`
+};
+
+/**
+ * 출력 형식별 인코더 옵션 검증 규칙과 오류 메시지 이름
+ */
+const FORMAT_ENCODER_RULES = {
+  webp: { rules: ENCODER_OPTION_RULES, label: 'WebP' },
+  gif: { rules: GIF_ENCODER_OPTION_RULES, label: 'GIF' },
+  avif: { rules: AVIF_ENCODER_OPTION_RULES, label: 'AVIF' }
+};
+
+/**
+ * 출력 형식 목록 정규화 및 검증
+ * @param {string|string[]} formats - 출력 형식 (하나 또는 배열, 쉼표로 구분한 문자열)
+ * @returns {string[]} 정규화된 형식 목록 (첫 형식이 주 출력)
+ */
+function resolveOutputFormats(formats = 'webp') {
+  const list = typeof formats === 'string' ? formats.split(',') : formats;
+  if (!Array.isArray(list)) {
+    throw new Error(`출력 형식 옵션 오류 - format: ${JSON.stringify(formats)} (형식 이름 또는 배열이어야 합니다)`);
+  }
+
+  const resolved = [];
+  for (const item of list) {
+    const format = String(item).trim().toLowerCase();
+    if (!OUTPUT_FORMATS.includes(format)) {
+      throw new Error(`지원하지 않는 출력 형식입니다: ${item} (${OUTPUT_FORMATS.join(', ')})`);
+    }
+    if (!resolved.includes(format)) resolved.push(format);
+  }
+
+  if (resolved.length === 0) {
+    throw new Error('출력 형식 옵션 오류 - format: 빈 목록일 수 없습니다');
+  }
+
+  return resolved;
+}
+
+/**
+ * 규칙표로 옵션 검증 (정의되지 않은 값은 건너뜀)
+ * @param {Object} options - 검증할 옵션
+ * @param {Object} rules - 옵션별 검증 규칙
+ * @param {string} label - 오류 메시지의 인코더 이름
+ * @param {Object} context - { frames: 입력 프레임 수 (delay 배열 길이 검증용) }
+ * @returns {Object} 검증된 옵션
+ */
+function validateWithRules(options, rules, label, context) {
+  for (const [key, rule] of Object.entries(rules)) {
+    const value = options[key];
+    if (value === undefined || value === null) continue;
+
+    const check = rule(value);
+    if (check !== true) {
+      const shown = typeof value === 'number' ? String(value) : JSON.stringify(value);
+      throw new Error(`${label} 인코더 옵션 오류 - ${key}: ${shown} (${check})`);
+    }
+  }
+
+  if (Array.isArray(options.delay) && context.frames && options.delay.length !== context.frames) {
+    throw new Error(`${label} 인코더 옵션 오류 - delay: 프레임별 값 ${options.delay.length}개가 입력 프레임 수 ${context.frames}개와 다릅니다`);
+  }
+
+  return options;
+}
+
+/**
+ * 인코더 옵션 검증 (정의되지 않은 값은 건너뜀)
+ * @param {EncoderOptions} options - 검증할 옵션
+ * @param {Object} context - { frames: 입력 프레임 수 (delay 배열 길이 검증용) }
+ * @returns {EncoderOptions} 검증된 옵션
+ */
+function validateEncoderOptions(options, context = {}) {
+  return validateWithRules(options, ENCODER_OPTION_RULES, 'WebP', context);
+}
+
+/**
+ * GIF 인코더 옵션 검증 (정의되지 않은 값은 건너뜀)
+ * @param {GifEncoderOptions} options - 검증할 옵션
+ * @param {Object} context - { frames: 입력 프레임 수 (delay 배열 길이 검증용) }
+ * @returns {GifEncoderOptions} 검증된 옵션
+ */
+function validateGifEncoderOptions(options, context = {}) {
+  return validateWithRules(options, GIF_ENCODER_OPTION_RULES, 'GIF', context);
+}
+
+/**
+ * AVIF 인코더 옵션 검증 (정의되지 않은 값은 건너뜀)
+ * @param {AvifEncoderOptions} options - 검증할 옵션
+ * @returns {AvifEncoderOptions} 검증된 옵션
+ */
+function validateAvifEncoderOptions(options) {
+  return validateWithRules(options, AVIF_ENCODER_OPTION_RULES, 'AVIF', {});
+}
+
+/**
+ * 출력 형식에 맞는 규칙으로 인코더 옵션 검증
+ * @param {Object} options - 검증할 옵션
+ * @param {string} format - 출력 형식 (OUTPUT_FORMATS)
+ * @param {Object} context - { frames: 입력 프레임 수 (delay 배열 길이 검증용) }
+ * @returns {Object} 검증된 옵션
+ */
+function validateFormatEncoderOptions(options, format, context = {}) {
+  const { rules, label } = FORMAT_ENCODER_RULES[format];
+  return validateWithRules(options, rules, label, context);
+}
+
+/**
+ * 인코더 옵션을 Sharp webp() 옵션으로 변환
+ * @param {EncoderOptions & {force?: boolean}} options - 인코더 옵션
+ * @returns {Object} Sharp webp() 옵션
+ */
+function toSharpWebpOptions(options) {
+  const { webpPreset, ...rest } = options;
+  const sharpOptions = {};
+
+  for (const [key, value] of Object.entries(rest)) {
+    if (value !== undefined && value !== null) {
+      sharpOptions[key] = value;
+    }
+  }
+
+  if (webpPreset) {
+    sharpOptions.preset = webpPreset;
+  }
+
+  return sharpOptions;
+}
+
+/**
+ * GIF 인코더 옵션을 Sharp gif() 옵션으로 변환
+ * @param {GifEncoderOptions & {force?: boolean}} options - GIF 인코더 옵션
+ * @returns {Object} Sharp gif() 옵션
+ */
+function toSharpGifOptions(options) {
+  const { colors, gifEffort, ...rest } = options;
+  const sharpOptions = {};
+
+  for (const [key, value] of Object.entries({ ...rest, colours: colors, effort: gifEffort })) {
+    if (value !== undefined && value !== null) {
+      sharpOptions[key] = value;
+    }
+  }
+
+  return sharpOptions;
+}
+
+/**
+ * AVIF 인코더 옵션을 Sharp avif() 옵션으로 변환
+ * @param {AvifEncoderOptions & {force?: boolean}} options - AVIF 인코더 옵션
+ * @returns {Object} Sharp avif() 옵션
+ */
+function toSharpAvifOptions(options) {
+  const { avifQuality, avifEffort, avifLossless, ...rest } = options;
+  const sharpOptions = {};
+
+  for (const [key, value] of Object.entries({ ...rest, quality: avifQuality, effort: avifEffort, lossless: avifLossless })) {
+    if (value !== undefined && value !== null) {
+      sharpOptions[key] = value;
+    }
+  }
+
+  return sharpOptions;
+}
+
+export {
+  validateEncoderOptions,
+  validateGifEncoderOptions,
+  validateAvifEncoderOptions,
+  validateFormatEncoderOptions,
+  resolveOutputFormats,
+  toSharpWebpOptions,
+  toSharpGifOptions,
+  toSharpAvifOptions,
+  ENCODER_OPTION_RULES,
+  GIF_ENCODER_OPTION_RULES,
+  AVIF_ENCODER_OPTION_RULES,
+  FORMAT_ENCODER_RULES,
+  WEBP_ENCODER_PRESETS,
+  AVIF_CHROMA_SUBSAMPLING,
+  OUTPUT_FORMATS,
+  GIF_DELAY_STEP
+};
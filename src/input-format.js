@@ -0,0 +1,426 @@
+/**
+ * 입력 형식 판별 모듈
+ * 확장자 대신 파일 내용(매직 바이트, GIF는 블록 구조까지)으로 입력 형식을 판별하여 변환기, 배치 스캐너, GUI가 같은 규칙으로 검사
+ *
+ * @author ConvertWemp Team
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+
+/**
+ * 입력 검사 오류 코드 (Error.code로 전달)
+ * - ERR_UNSUPPORTED_FORMAT: 지원하는 이미지 형식의 헤더가 없음 (빈 데이터 포함)
+ * - ERR_FORMAT_NOT_ALLOWED: 지원하는 형식이지만 허용 목록(inputFormats)에 없음
+ * - ERR_NOT_GIF: GIF 헤더가 없음 (inspectGif로 GIF만 검사한 경우)
+ * - ERR_GIF_TRUNCATED: 트레일러(0x3B) 전에 데이터가 끝남
+ * - ERR_GIF_CORRUPT: 블록 구조가 잘못되었거나 프레임이 없음
+ */
+const INPUT_ERROR_CODES = {
+  UNSUPPORTED_FORMAT: 'ERR_UNSUPPORTED_FORMAT',
+  FORMAT_NOT_ALLOWED: 'ERR_FORMAT_NOT_ALLOWED',
+  NOT_GIF: 'ERR_NOT_GIF',
+  TRUNCATED: 'ERR_GIF_TRUNCATED',
+  CORRUPT: 'ERR_GIF_CORRUPT'
+};
+
+/**
+ * 지원하는 입력 형식 (Sharp가 읽을 수 있는 형식 중 헤더로 판별 가능한 것)
+ * gif, webp, tiff는 여러 프레임(페이지)을 애니메이션으로, png, jpeg, avif는 정지 이미지로 변환
+ */
+const INPUT_FORMATS = ['gif', 'webp', 'tiff', 'png', 'jpeg', 'avif'];
+
+/** 형식별 일반적인 확장자 (배치 스캔에서 내용과 확장자가 다른 파일 경고용) */
+const INPUT_FORMAT_EXTENSIONS = {
+  gif: ['.gif'],
+  webp: ['.webp'],
+  tiff: ['.tif', '.tiff'],
+  png: ['.png'],
+  jpeg: ['.jpg', '.jpeg'],
+  avif: ['.avif']
+};
+
+/** 형식 이름 별칭 */
+const INPUT_FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff' };
+
+// 형식 판별에 필요한 앞부분 크기 (AVIF ftyp 상자의 호환 브랜드 일부 포함)
+const SNIFF_SIZE = 32;
+
+/** GIF 시그니처 (헤더 6바이트) */
+const GIF_SIGNATURES = ['GIF87a', 'GIF89a'];
+
+const HEADER_SIZE = 6;
+const SCREEN_DESCRIPTOR_SIZE = 7;
+const IMAGE_DESCRIPTOR_SIZE = 9;
+
+const EXTENSION_INTRODUCER = 0x21;
+const IMAGE_SEPARATOR = 0x2c;
+const TRAILER = 0x3b;
+
+// LZW 최소 코드 크기 상한 (초기 코드 크기가 GIF 최대 12비트를 넘지 않아야 함)
+const MAX_LZW_CODE_SIZE = 11;
+
+/**
+ * GIF 검사 결과
+ * @typedef {Object} GifInspection
+ * @property {boolean} valid - 정상 GIF 여부
+ * @property {string|null} code - 오류 코드 (INPUT_ERROR_CODES, 정상이면 null)
+ * @property {string|null} message - 오류 설명 (정상이면 null)
+ * @property {string|null} version - GIF 버전 (87a, 89a)
+ * @property {number|null} width - 논리 화면 너비
+ * @property {number|null} height - 논리 화면 높이
+ * @property {number} frames - 끝까지 읽은 프레임 수
+ */
+
+/**
+ * 코드가 붙은 입력 오류 생성
+ * @param {string} code - 오류 코드 (INPUT_ERROR_CODES)
+ * @param {string} message - 오류 메시지
+ * @returns {Error} code 속성이 있는 오류
+ */
+function createInputError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * 헤더만으로 GIF 여부 확인
+ * @param {Buffer} buffer - 데이터 (앞 6바이트 이상)
+ * @returns {boolean} GIF 시그니처 여부
+ */
+function hasGifSignature(buffer) {
+  return buffer.length >= HEADER_SIZE && GIF_SIGNATURES.includes(buffer.toString('latin1', 0, HEADER_SIZE));
+}
+
+/**
+ * 입력 형식 허용 목록 정규화 및 검증
+ * @param {string|string[]} formats - 형식 목록 (배열 또는 쉼표로 구분한 문자열, jpg/tif 별칭 허용)
+ * @returns {string[]} 정규화된 형식 목록
+ */
+function resolveInputFormats(formats = INPUT_FORMATS) {
+  const list = typeof formats === 'string' ? formats.split(',') : formats;
+  if (!Array.isArray(list)) {
+    throw new Error(`입력 형식 옵션 오류 - inputFormats: ${JSON.stringify(formats)} (형식 이름 배열이어야 합니다)`);
+  }
+
+  const resolved = [];
+  for (const item of list) {
+    const name = String(item).trim().toLowerCase();
+    const format = INPUT_FORMAT_ALIASES[name] ?? name;
+    if (!INPUT_FORMATS.includes(format)) {
+      throw new Error(`입력 형식 옵션 오류 - inputFormats: ${JSON.stringify(item)} (${INPUT_FORMATS.join(', ')} 중 하나여야 합니다)`);
+    }
+    if (!resolved.includes(format)) resolved.push(format);
+  }
+
+  if (resolved.length === 0) {
+    throw new Error('입력 형식 옵션 오류 - inputFormats: 빈 목록일 수 없습니다');
+  }
+
+  return resolved;
+}
+
+/**
+ * 매직 바이트로 입력 형식 판별 (내용은 검사하지 않음)
+ * @param {Buffer} buffer - 데이터 (앞 32바이트면 충분)
+ * @returns {string|null} 형식 이름 (INPUT_FORMATS) 또는 null
+ */
+function detectInputFormat(buffer) {
+  const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+  if (hasGifSignature(buffer)) return 'gif';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+  if (buffer.length >= 12 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') return 'webp';
+  if (buffer.length >= 4 && (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*')) return 'tiff';
+
+  // ISOBMFF ftyp 상자: 주 브랜드 또는 호환 브랜드에 avif/avis가 있으면 AVIF
+  if (buffer.length >= 12 && ascii(4, 8) === 'ftyp') {
+    const boxEnd = Math.min(buffer.readUInt32BE(0), buffer.length);
+    for (let offset = 8; offset + 4 <= boxEnd; offset += 4) {
+      if (offset === 12) continue; // 부 버전
+      const brand = ascii(offset, offset + 4);
+      if (brand === 'avif' || brand === 'avis') return 'avif';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 입력 검사 결과
+ * @typedef {Object} InputInspection
+ * @property {boolean} valid - 변환 가능한 입력 여부
+ * @property {string|null} format - 판별한 형식 (INPUT_FORMATS, 알 수 없으면 null)
+ * @property {string|null} code - 오류 코드 (INPUT_ERROR_CODES, 정상이면 null)
+ * @property {string|null} message - 오류 설명 (정상이면 null)
+ * @property {number|null} frames - GIF 프레임 수 (다른 형식은 null, Sharp 메타데이터로 확인)
+ */
+
+/**
+ * 입력 데이터 검사 (형식 판별, 허용 목록 확인, GIF는 잘림/손상까지 확인)
+ * @param {Buffer} buffer - 검사할 데이터
+ * @param {string[]} formats - 허용할 형식 (resolveInputFormats로 정규화된 목록)
+ * @returns {InputInspection} 검사 결과
+ */
+function inspectInput(buffer, formats = INPUT_FORMATS) {
+  const format = detectInputFormat(buffer);
+  const fail = (code, message) => ({ valid: false, format, code, message, frames: null });
+
+  if (!format) {
+    // 헤더 도중에 끝난 GIF는 형식을 알 수 없는 데이터가 아니라 잘린 GIF로 보고
+    const gif = inspectGif(buffer);
+    if (gif.code === INPUT_ERROR_CODES.TRUNCATED) {
+      return { ...fail(gif.code, gif.message), format: 'gif' };
+    }
+    return fail(
+      INPUT_ERROR_CODES.UNSUPPORTED_FORMAT,
+      buffer.length === 0
+        ? '지원하지 않는 입력 형식입니다: 데이터가 비어 있습니다'
+        : `지원하지 않는 입력 형식입니다: 이미지 헤더를 찾을 수 없습니다 (${INPUT_FORMATS.join(', ')})`
+    );
+  }
+
+  if (!formats.includes(format)) {
+    return fail(INPUT_ERROR_CODES.FORMAT_NOT_ALLOWED, `허용되지 않은 입력 형식입니다: ${format} (허용: ${formats.join(', ')})`);
+  }
+
+  if (format === 'gif') {
+    const gif = inspectGif(buffer);
+    return gif.valid
+      ? { valid: true, format, code: null, message: null, frames: gif.frames }
+      : fail(gif.code, gif.message);
+  }
+
+  return { valid: true, format, code: null, message: null, frames: null };
+}
+
+/**
+ * 입력 데이터 검사 후 문제가 있으면 코드가 붙은 오류 발생
+ * @param {Buffer} buffer - 검사할 데이터
+ * @param {string[]} formats - 허용할 형식
+ * @returns {InputInspection} 정상 입력 검사 결과
+ */
+function assertInput(buffer, formats = INPUT_FORMATS) {
+  const inspection = inspectInput(buffer, formats);
+  if (!inspection.valid) {
+    throw createInputError(inspection.code, inspection.message);
+  }
+  return inspection;
+}
+
+/**
+ * 블록 구조를 따라가며 GIF 데이터 검사 (픽셀은 디코딩하지 않음)
+ * @param {Buffer} buffer - 검사할 데이터
+ * @returns {GifInspection} 검사 결과
+ */
+function inspectGif(buffer) {
+  const result = { valid: false, code: null, message: null, version: null, width: null, height: null, frames: 0 };
+
+  const fail = (code, message) => ({ ...result, code, message });
+  const truncated = (offset) => fail(
+    INPUT_ERROR_CODES.TRUNCATED,
+    `GIF 데이터가 잘렸습니다: ${offset} bytes에서 끝남 (완성된 프레임 ${result.frames}개)`
+  );
+
+  if (buffer.length === 0) {
+    return fail(INPUT_ERROR_CODES.NOT_GIF, 'GIF 데이터가 아닙니다: 데이터가 비어 있습니다');
+  }
+
+  if (!hasGifSignature(buffer)) {
+    // 헤더 도중에 끝난 경우는 잘린 GIF로 판단
+    const prefix = buffer.toString('latin1', 0, Math.min(buffer.length, HEADER_SIZE));
+    if (buffer.length < HEADER_SIZE && GIF_SIGNATURES.some(signature => signature.startsWith(prefix))) {
+      return truncated(buffer.length);
+    }
+    return fail(INPUT_ERROR_CODES.NOT_GIF, 'GIF 데이터가 아닙니다: GIF87a/GIF89a 헤더가 없습니다');
+  }
+
+  result.version = buffer.toString('latin1', 3, HEADER_SIZE);
+
+  let offset = HEADER_SIZE;
+  if (buffer.length < offset + SCREEN_DESCRIPTOR_SIZE) {
+    return truncated(buffer.length);
+  }
+
+  result.width = buffer.readUInt16LE(offset);
+  result.height = buffer.readUInt16LE(offset + 2);
+  const screenFlags = buffer[offset + 4];
+  offset += SCREEN_DESCRIPTOR_SIZE;
+
+  if (result.width === 0 || result.height === 0) {
+    return fail(INPUT_ERROR_CODES.CORRUPT, `손상된 GIF입니다: 화면 크기가 0입니다 (${result.width}x${result.height})`);
+  }
+
+  // 전역 색상표
+  if (screenFlags & 0x80) {
+    offset += 3 * (1 << ((screenFlags & 0x07) + 1));
+  }
+
+  // 데이터 하위 블록 건너뛰기 (크기 바이트 + 데이터, 크기 0에서 끝), 잘리면 null
+  const skipSubBlocks = (start) => {
+    let position = start;
+    while (position < buffer.length) {
+      const size = buffer[position];
+      position += 1 + size;
+      if (size === 0) return position;
+    }
+    return null;
+  };
+
+  while (offset < buffer.length) {
+    const blockStart = offset;
+    const introducer = buffer[offset];
+
+    if (introducer === TRAILER) {
+      if (result.frames === 0) {
+        return fail(INPUT_ERROR_CODES.CORRUPT, '손상된 GIF입니다: 프레임이 없습니다');
+      }
+      return { ...result, valid: true };
+    }
+
+    if (introducer === EXTENSION_INTRODUCER) {
+      // 확장 블록: 레이블 1바이트 + 하위 블록
+      const next = skipSubBlocks(offset + 2);
+      if (next === null) return truncated(buffer.length);
+      offset = next;
+      continue;
+    }
+
+    if (introducer === IMAGE_SEPARATOR) {
+      if (buffer.length < offset + 1 + IMAGE_DESCRIPTOR_SIZE) {
+        return truncated(buffer.length);
+      }
+
+      const imageFlags = buffer[offset + IMAGE_DESCRIPTOR_SIZE];
+      offset += 1 + IMAGE_DESCRIPTOR_SIZE;
+
+      // 지역 색상표
+      if (imageFlags & 0x80) {
+        offset += 3 * (1 << ((imageFlags & 0x07) + 1));
+      }
+
+      if (offset >= buffer.length) {
+        return truncated(buffer.length);
+      }
+
+      const codeSize = buffer[offset];
+      if (codeSize > MAX_LZW_CODE_SIZE) {
+        return fail(INPUT_ERROR_CODES.CORRUPT, `손상된 GIF입니다: 프레임 ${result.frames + 1}의 LZW 코드 크기가 잘못되었습니다 (${codeSize})`);
+      }
+
+      if (buffer[offset + 1] === 0) {
+        return fail(INPUT_ERROR_CODES.CORRUPT, `손상된 GIF입니다: 프레임 ${result.frames + 1}에 이미지 데이터가 없습니다`);
+      }
+
+      const next = skipSubBlocks(offset + 1);
+      if (next === null) return truncated(buffer.length);
+      offset = next;
+      result.frames++;
+      continue;
+    }
+
+    return fail(
+      INPUT_ERROR_CODES.CORRUPT,
+      `손상된 GIF입니다: ${blockStart} bytes 위치에 알 수 없는 블록이 있습니다 (0x${introducer.toString(16).padStart(2, '0')})`
+    );
+  }
+
+  // 트레일러 없이 끝남
+  return truncated(buffer.length);
+}
+
+/**
+ * GIF 데이터 검사 후 문제가 있으면 코드가 붙은 오류 발생
+ * @param {Buffer} buffer - 검사할 데이터
+ * @returns {GifInspection} 정상 GIF 검사 결과
+ */
+function assertGif(buffer) {
+  const inspection = inspectGif(buffer);
+  if (!inspection.valid) {
+    throw createInputError(inspection.code, inspection.message);
+  }
+  return inspection;
+}
+
+/**
+ * 파일 앞부분 읽기
+ * @param {string} filePath - 파일 경로
+ * @param {number} length - 읽을 바이트 수
+ * @returns {Promise<Buffer>} 읽은 데이터 (파일이 더 짧으면 파일 크기만큼)
+ */
+async function readFileHeader(filePath, length) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * 파일 헤더로 GIF 여부 확인 (배치 스캔용, 파일 전체를 읽지 않음)
+ * @param {string} filePath - 파일 경로
+ * @returns {Promise<boolean>} GIF 시그니처 여부 (읽을 수 없으면 false)
+ */
+async function isGifFile(filePath) {
+  try {
+    return hasGifSignature(await readFileHeader(filePath, HEADER_SIZE));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 파일 헤더로 입력 형식 판별 (배치 스캔용, 파일 전체를 읽지 않음)
+ * @param {string} filePath - 파일 경로
+ * @returns {Promise<string|null>} 형식 이름 (읽을 수 없거나 알 수 없으면 null)
+ */
+async function detectFileFormat(filePath) {
+  try {
+    return detectInputFormat(await readFileHeader(filePath, SNIFF_SIZE));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * GIF 파일 전체 검사
+ * @param {string} filePath - 파일 경로
+ * @returns {Promise<GifInspection>} 검사 결과
+ */
+async function inspectGifFile(filePath) {
+  return inspectGif(await fs.readFile(filePath));
+}
+
+/**
+ * 입력 파일 전체 검사
+ * @param {string} filePath - 파일 경로
+ * @param {string[]} formats - 허용할 형식
+ * @returns {Promise<InputInspection>} 검사 결과
+ */
+async function inspectInputFile(filePath, formats = INPUT_FORMATS) {
+  return inspectInput(await fs.readFile(filePath), formats);
+}
+
+export {
+  inspectInput,
+  assertInput,
+  detectInputFormat,
+  detectFileFormat,
+  inspectInputFile,
+  resolveInputFormats,
+  inspectGif,
+  assertGif,
+  hasGifSignature,
+  isGifFile,
+  inspectGifFile,
+  createInputError,
+  INPUT_ERROR_CODES,
+  INPUT_FORMATS,
+  INPUT_FORMAT_EXTENSIONS,
+  GIF_SIGNATURES
+};
@@ -9,6 +9,8 @@
 import sharp from 'sharp';
 import fs from 'fs-extra';
 import path from 'path';
+import { calculateMSE, calculatePSNR } from './quality-analyzer.js';
+import { WEBP_PRESETS, OPTIMIZE_STRATEGIES } from './presets.js'; // WEBP_PRESETS, OPTIMIZE_STRATEGIES는 기존 API 호환용 재노출
 
 /**
  * 최적화 설정 인터페이스
@@ -19,6 +21,8 @@ import path from 'path';
  * @property {number} minQuality - 최소 품질 설정 (30)
  * @property {number} maxEffort - 최대 압축 노력도 (6)
  * @property {boolean} allowLossless - 무손실 압축 허용 여부
+ * @property {number} sampleFrames - 측정 기반 최적화 시 인코딩할 샘플 프레임 수
+ * @property {number} qualityStep - 측정 기반 최적화 시 후보 품질 간격
  */
 
 /**
@@ -42,18 +46,20 @@ const DEFAULT_OPTIONS = {
   maxQuality: 95,
   minQuality: 45,
   maxEffort: 6,
-  allowLossless: false
+  allowLossless: false,
+  sampleFrames: 10,
+  qualityStep: 5
 };
 
 /**
- * WebP 변환 설정 프리셋
+ * 프레임 줄이기 권장 기준
+ * 초당 프레임 수가 minFps를 넘고 파일이 크거나 프레임이 많으면 suggestedMaxFps를 권장
  */
-const WEBP_PRESETS = {
-  high_quality: { quality: 90, effort: 6, lossless: false },
-  balanced: { quality: 75, effort: 6, lossless: false },
-  high_compression: { quality: 60, effort: 6, lossless: false },
-  ultra_compression: { quality: 45, effort: 6, lossless: false },
-  lossless: { quality: 100, effort: 6, lossless: true }
+const FRAME_RATE_SUGGESTION = {
+  minFps: 30,
+  minFileSize: 5 * 1024 * 1024,
+  minFrames: 60,
+  suggestedMaxFps: 25
 };
 
 /**
@@ -61,34 +67,81 @@ const WEBP_PRESETS = {
  * @typedef {Object} GIFAnalysis
  * @property {number} fileSize - 원본 파일 크기
  * @property {number} width - 이미지 너비
- * @property {number} height - 이미지 높이
- * @property {number} frames - 프레임 수 (추정)
+ * @property {number} height - 이미지(프레임) 높이
+ * @property {number} pageHeight - 프레임 한 장의 높이
+ * @property {number} frames - 실제 프레임 수
+ * @property {number[]} delays - 프레임별 지연 시간 (ms)
+ * @property {number} duration - 전체 재생 시간 (ms)
+ * @property {number|null} fps - 원본 초당 프레임 수 (재생 시간이 0이면 null)
+ * @property {number} loop - 반복 횟수 (0 = 무한 반복)
+ * @property {boolean[]} frameTransparency - 프레임별 투명 픽셀 존재 여부
+ * @property {number} transparentFrames - 투명 픽셀을 가진 프레임 수
  * @property {string} format - 파일 포맷
  * @property {number} density - 픽셀 밀도
  * @property {boolean} hasAlpha - 투명도 채널 존재 여부
  */
 
+/**
+ * 프레임별 투명 픽셀 존재 여부 확인
+ * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+ * @param {number} frames - 프레임 수
+ * @returns {Promise<boolean[]>} 프레임별 투명 여부
+ */
+async function detectFrameTransparency(inputPath, frames) {
+  const { data, info } = await sharp(inputPath, { animated: true, limitInputPixels: false })
+    .ensureAlpha()
+    .extractChannel(3)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  
+  const frameBytes = info.width * (info.height / frames);
+  const transparency = [];
+  
+  for (let frame = 0; frame < frames; frame++) {
+    const alpha = data.subarray(frame * frameBytes, (frame + 1) * frameBytes);
+    transparency.push(alpha.some(value => value < 255));
+  }
+  
+  return transparency;
+}
+
 /**
  * GIF 파일 분석
- * @param {string} inputPath - 입력 GIF 파일 경로
+ * 디코딩된 GIF에서 실제 프레임 수, 프레임별 지연 시간, 반복 횟수, 투명도를 읽음
+ * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
  * @returns {Promise<GIFAnalysis>} 분석 결과
  */
 async function analyzeGIF(inputPath) {
   try {
-    const stats = await fs.stat(inputPath);
+    const fileSize = Buffer.isBuffer(inputPath) ? inputPath.length : (await fs.stat(inputPath)).size;
     const metadata = await sharp(inputPath).metadata();
     
-    // 프레임 수는 Sharp에서 직접 지원하지 않으므로 추정
-    const estimatedFrames = Math.max(1, Math.floor(stats.size / (metadata.width * metadata.height * 3)));
+    const frames = metadata.pages || 1;
+    const pageHeight = metadata.pageHeight || metadata.height;
+    const delays = Array.isArray(metadata.delay) ? metadata.delay : new Array(frames).fill(0);
+    const duration = delays.reduce((sum, delay) => sum + delay, 0);
+    const fps = duration > 0 ? frames / (duration / 1000) : null;
+    
+    const hasAlpha = metadata.channels === 4 || metadata.hasAlpha;
+    const frameTransparency = hasAlpha
+      ? await detectFrameTransparency(inputPath, frames)
+      : new Array(frames).fill(false);
     
     return {
-      fileSize: stats.size,
+      fileSize,
       width: metadata.width,
-      height: metadata.height,
-      frames: Math.min(estimatedFrames, 100), // 최대 100프레임으로 제한
+      height: pageHeight,
+      pageHeight,
+      frames,
+      delays,
+      duration,
+      fps,
+      loop: metadata.loop ?? 0,
+      frameTransparency,
+      transparentFrames: frameTransparency.filter(Boolean).length,
       format: metadata.format,
       density: metadata.density || 72,
-      hasAlpha: metadata.channels === 4 || metadata.hasAlpha
+      hasAlpha
     };
     
   } catch (error) {
@@ -96,6 +149,26 @@ async function analyzeGIF(inputPath) {
   }
 }
 
+/**
+ * 프레임 줄이기 권장 여부 판단 (무거운 고프레임 GIF)
+ * @param {GIFAnalysis} analysis - 분석 결과
+ * @returns {{maxFps: number, reason: string}|null} 권장 최대 초당 프레임 수와 이유 (권장하지 않으면 null)
+ */
+function suggestFrameRate(analysis) {
+  const { minFps, minFileSize, minFrames, suggestedMaxFps } = FRAME_RATE_SUGGESTION;
+  if (analysis.fps === null || analysis.fps <= minFps) return null;
+
+  const heavy = [];
+  if (analysis.fileSize > minFileSize) heavy.push(`${(analysis.fileSize / 1024 / 1024).toFixed(1)}MB`);
+  if (analysis.frames >= minFrames) heavy.push(`${analysis.frames}프레임`);
+  if (heavy.length === 0) return null;
+
+  return {
+    maxFps: suggestedMaxFps,
+    reason: `${analysis.fps.toFixed(1)}fps 고프레임 (${heavy.join(', ')}) - 최대 ${suggestedMaxFps}fps로 줄이면 재생 시간은 유지하면서 크기 감소`
+  };
+}
+
 /**
  * 크기 기반 품질 예측
  * @param {number} width - 이미지 너비
@@ -286,7 +359,7 @@ async function optimizeBalanced(analysis, options = {}) {
 
 /**
  * 적응형 최적화 (파일 특성에 따라 자동 선택)
- * @param {string} inputPath - 입력 GIF 파일 경로
+ * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
  * @param {OptimizationOptions} options - 최적화 옵션
  * @returns {Promise<OptimizationResult>} 최적화 결과
  */
@@ -306,6 +379,10 @@ async function optimizeAdaptive(inputPath, options = {}) {
       strategy = 'compression';
     } else if (analysis.frames > 50) { // 프레임 많음 - 압축 우선
       strategy = 'compression';
+    } else if (analysis.duration > 10000) { // 긴 재생 시간 - 압축 우선
+      strategy = 'compression';
+    } else if (analysis.transparentFrames > 0) { // 투명 프레임 - 가장자리 손상 방지 위해 품질 우선
+      strategy = 'quality';
     }
     
     let result;
@@ -323,6 +400,7 @@ async function optimizeAdaptive(inputPath, options = {}) {
     // 결과에 전략 정보 추가
     result.metadata.selectedStrategy = strategy;
     result.metadata.selectionReason = getStrategyReason(analysis, strategy);
+    result.metadata.frameRateSuggestion = suggestFrameRate(analysis);
     
     return result;
     
@@ -331,6 +409,161 @@ async function optimizeAdaptive(inputPath, options = {}) {
   }
 }
 
+/**
+ * 지정한 전략으로 파일별 최적화 수행
+ * 어떤 전략이든 결과 metadata에 selectedStrategy와 selectionReason을 기록한다.
+ * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+ * @param {string} strategy - 최적화 전략 (OPTIMIZE_STRATEGIES 중 하나)
+ * @param {OptimizationOptions} options - 최적화 옵션
+ * @returns {Promise<OptimizationResult|MeasuredOptimizationResult>} 최적화 결과
+ */
+async function optimizeWithStrategy(inputPath, strategy, options = {}) {
+  if (!OPTIMIZE_STRATEGIES.includes(strategy)) {
+    throw new Error(`지원하지 않는 최적화 전략입니다: ${strategy} (${OPTIMIZE_STRATEGIES.join(', ')})`);
+  }
+  
+  if (strategy === 'adaptive') {
+    return await optimizeAdaptive(inputPath, options);
+  }
+  
+  let result;
+  if (strategy === 'measured') {
+    result = await optimizeMeasured(inputPath, options);
+  } else {
+    const analysis = await analyzeGIF(inputPath);
+    const optimizers = {
+      compression: optimizeForCompression,
+      quality: optimizeForQuality,
+      balanced: optimizeBalanced
+    };
+    result = await optimizers[strategy](analysis, options);
+  }
+  
+  result.metadata.selectedStrategy = strategy;
+  result.metadata.selectionReason = `사용자 지정 전략 [${summarizeAnalysis(result.metadata.inputAnalysis)}]`;
+  result.metadata.frameRateSuggestion = suggestFrameRate(result.metadata.inputAnalysis);
+  
+  return result;
+}
+
+/**
+ * 측정 기반 최적화 결과
+ * @typedef {Object} MeasuredOptimizationResult
+ * @property {number} quality - 선택된 품질 설정
+ * @property {number} effort - 압축 노력도
+ * @property {boolean} lossless - 무손실 압축 여부
+ * @property {number} measuredSize - 선택된 품질로 모든 프레임을 인코딩한 실측 크기
+ * @property {number} measuredPSNR - 샘플 프레임의 실측 PSNR
+ * @property {number} compressionRatio - 실측 크기 기준 압축률
+ * @property {boolean} criteriaMet - minPSNR과 targetCompressionRatio 동시 충족 여부 (압축률은 실측 크기 기준)
+ * @property {Object} metadata - 후보별 측정값 등 추가 정보 (후보의 size는 샘플 크기를 프레임 수로 환산한 추정치)
+ */
+
+/**
+ * 애니메이션 버퍼/파일을 흰 배경에 합성한 RGB 픽셀 데이터로 디코딩
+ * @param {string|Buffer} input - 입력 경로 또는 버퍼
+ * @param {Object} sharpOptions - Sharp 입력 옵션 (page, pages 등)
+ * @returns {Promise<Buffer>} 모든 프레임이 세로로 이어진 RGB 데이터
+ */
+async function decodeFramesToRGB(input, sharpOptions = {}) {
+  return await sharp(input, { limitInputPixels: false, ...sharpOptions })
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * 측정 기반 최적화
+ * 샘플 프레임을 여러 품질로 실제 인코딩하고, 샘플 크기를 프레임 수로 환산한 추정 크기와 PSNR로
+ * minPSNR과 targetCompressionRatio를 모두 만족하는 가장 낮은 품질을 선택한 뒤,
+ * 선택한 품질로 모든 프레임을 인코딩해 실측 크기를 구한다 (샘플이 전체 프레임이면 다시 인코딩하지 않음)
+ * @param {string|Buffer} inputPath - 입력 GIF 파일 경로 또는 데이터
+ * @param {OptimizationOptions} options - 최적화 옵션
+ * @returns {Promise<MeasuredOptimizationResult>} 최적화 결과
+ */
+async function optimizeMeasured(inputPath, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  
+  try {
+    const analysis = await analyzeGIF(inputPath);
+    const pages = analysis.frames;
+    
+    // 애니메이션 중앙의 연속된 프레임 구간을 샘플로 사용
+    const sampleCount = Math.max(1, Math.min(pages, opts.sampleFrames));
+    const sampleStart = Math.floor((pages - sampleCount) / 2);
+    const sampleOptions = { page: sampleStart, pages: sampleCount };
+    const sizeScale = pages / sampleCount;
+    
+    const originalPixels = await decodeFramesToRGB(inputPath, sampleOptions);
+    
+    // 후보 품질 목록 (높은 품질부터)
+    const qualities = [];
+    for (let q = opts.maxQuality; q >= opts.minQuality; q -= opts.qualityStep) {
+      qualities.push(q);
+    }
+    
+    const candidates = [];
+    for (const quality of qualities) {
+      const webpBuffer = await sharp(inputPath, { limitInputPixels: false, ...sampleOptions })
+        .webp({ quality, effort: opts.maxEffort, lossless: false, loop: 0 })
+        .toBuffer();
+      
+      const compressedPixels = await decodeFramesToRGB(webpBuffer, { pages: -1 });
+      const psnr = calculatePSNR(calculateMSE(originalPixels, compressedPixels, 3));
+      const size = Math.round(webpBuffer.length * sizeScale);
+      
+      candidates.push({
+        quality,
+        size,
+        psnr,
+        compressionRatio: (analysis.fileSize - size) / analysis.fileSize
+      });
+    }
+    
+    const meetsPSNR = candidates.filter(c => c.psnr >= opts.minPSNR);
+    const meetsAll = meetsPSNR.filter(c => c.compressionRatio >= opts.targetCompressionRatio);
+    
+    // 1) 두 기준 모두 충족하는 최저 품질 2) PSNR만 충족하는 최저 품질 3) PSNR이 가장 높은 후보
+    const lowestQuality = (list) => list.reduce((a, b) => (b.quality < a.quality ? b : a));
+    const selected = meetsAll.length > 0 ? lowestQuality(meetsAll)
+      : meetsPSNR.length > 0 ? lowestQuality(meetsPSNR)
+      : candidates.reduce((a, b) => (b.psnr > a.psnr ? b : a));
+    
+    let measuredSize = selected.size;
+    if (sampleCount < pages) {
+      const fullBuffer = await sharp(inputPath, { animated: true, limitInputPixels: false })
+        .webp({ quality: selected.quality, effort: opts.maxEffort, lossless: false, loop: 0 })
+        .toBuffer();
+      measuredSize = fullBuffer.length;
+    }
+    const compressionRatio = (analysis.fileSize - measuredSize) / analysis.fileSize;
+    
+    return {
+      quality: selected.quality,
+      effort: opts.maxEffort,
+      lossless: false,
+      measuredSize,
+      measuredPSNR: selected.psnr,
+      compressionRatio,
+      criteriaMet: meetsAll.length > 0 && compressionRatio >= opts.targetCompressionRatio,
+      metadata: {
+        optimizationStrategy: 'measured',
+        inputAnalysis: analysis,
+        totalFrames: pages,
+        sampleFrames: sampleCount,
+        sampleStart,
+        candidateSizesEstimated: sampleCount < pages,
+        encodeCount: candidates.length + (sampleCount < pages ? 1 : 0),
+        candidates
+      }
+    };
+    
+  } catch (error) {
+    throw new Error(`측정 기반 최적화 실패: ${error.message}`);
+  }
+}
+
 /**
  * 전략 선택 이유 반환
  * @param {GIFAnalysis} analysis - 분석 결과
@@ -350,10 +583,27 @@ function getStrategyReason(analysis, strategy) {
     reasons.push('고해상도 이미지');
   }
   if (analysis.frames > 50) {
-    reasons.push('다량 프레임 (>50)');
+    reasons.push(`다량 프레임 (${analysis.frames}개 >50)`);
+  }
+  if (analysis.duration > 10000) {
+    reasons.push(`긴 재생 시간 (${(analysis.duration / 1000).toFixed(1)}초 >10초)`);
+  }
+  if (analysis.transparentFrames > 0) {
+    reasons.push(`투명 프레임 ${analysis.transparentFrames}/${analysis.frames}개`);
   }
   
-  return reasons.length > 0 ? reasons.join(', ') : '기본 균형 전략';
+  return `${reasons.length > 0 ? reasons.join(', ') : '기본 균형 전략'} [${summarizeAnalysis(analysis)}]`;
+}
+
+/**
+ * 분석 결과 요약 문자열
+ * @param {GIFAnalysis} analysis - 분석 결과
+ * @returns {string} 프레임 수, 해상도, 재생 시간, 반복 횟수 요약
+ */
+function summarizeAnalysis(analysis) {
+  const fps = analysis.fps === null ? '' : ` ${analysis.fps.toFixed(1)}fps`;
+  return `${analysis.frames}프레임, ${analysis.width}x${analysis.pageHeight}, ` +
+    `${(analysis.duration / 1000).toFixed(1)}초${fps}, 반복 ${analysis.loop === 0 ? '무한' : `${analysis.loop}회`}`;
 }
 
 /**
@@ -365,9 +615,10 @@ function getStrategyReason(analysis, strategy) {
 function validateOptimization(result, options = {}) {
   const opts = { ...DEFAULT_OPTIONS, ...options };
   
-  // PSNR 최소 요구사항 확인
-  if (result.estimatedPSNR < opts.minPSNR) {
-    console.warn(`⚠️  PSNR이 최소 요구사항(${opts.minPSNR})보다 낮습니다: ${result.estimatedPSNR.toFixed(2)}`);
+  // PSNR 최소 요구사항 확인 (실측값이 있으면 우선 사용)
+  const psnr = result.measuredPSNR ?? result.estimatedPSNR;
+  if (psnr < opts.minPSNR) {
+    console.warn(`⚠️  PSNR이 최소 요구사항(${opts.minPSNR})보다 낮습니다: ${psnr.toFixed(2)}`);
     return false;
   }
   
@@ -385,8 +636,13 @@ export {
   optimizeForQuality,
   optimizeBalanced,
   optimizeAdaptive,
+  optimizeMeasured,
+  optimizeWithStrategy,
   validateOptimization,
   predictQualityFromSize,
+  suggestFrameRate,
   WEBP_PRESETS,
-  DEFAULT_OPTIONS
+  FRAME_RATE_SUGGESTION,
+  DEFAULT_OPTIONS,
+  OPTIMIZE_STRATEGIES
 }; 
\ No newline at end of file
@@ -0,0 +1,224 @@
+/**
+ * 변환 프리셋 레지스트리
+ * 변환기, CLI, GUI가 함께 사용하는 이름 붙은 설정 모음과 사용자 설정 파일 로더
+ *
+ * @author ConvertWemp Team
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { ENCODER_OPTION_RULES } from './encoder-options.js';
+import { validateTransformOptions, TRANSFORM_OPTION_RULES } from './transforms.js';
+
+/**
+ * 변환 프리셋 (그 밖의 WebP 인코더 옵션은 encoder-options.js의 EncoderOptions,
+ * 크기 조정 옵션은 transforms.js의 TransformOptions 참고)
+ * @typedef {Object} Preset
+ * @property {string} [label] - 표시 이름 (GUI 버튼)
+ * @property {string} [description] - 설명
+ * @property {number} [quality] - 품질 설정 (1-100)
+ * @property {number} [effort] - 압축 노력도 (0-6)
+ * @property {boolean} [lossless] - 무손실 압축 여부
+ * @property {string} [optimize] - 파일별 최적화 전략
+ * @property {number} [maxSize] - 목표 최대 파일 크기 (bytes)
+ */
+
+/**
+ * 파일별 최적화 전략 (--optimize)
+ * adaptive는 파일 특성에 따라 compression/quality/balanced 중 하나를 자동 선택
+ * optimizer.js와 프리셋 검증이 함께 사용하므로 순환 import가 생기지 않게 여기에 둔다
+ */
+const OPTIMIZE_STRATEGIES = ['adaptive', 'compression', 'quality', 'balanced', 'measured'];
+
+/**
+ * 기본 제공 프리셋
+ */
+const BUILTIN_PRESETS = Object.freeze({
+  default: { label: '⚙️ 기본설정', description: '기본 설정', quality: 75, effort: 6, lossless: false },
+  auto: { label: '🎯 자동최적화', description: '파일 특성에 따라 설정 자동 선택', quality: 75, effort: 6, lossless: false, optimize: 'adaptive' },
+  high_quality: { label: '🎨 고품질', description: '고품질 보관용', quality: 90, effort: 6, lossless: false },
+  balanced: { label: '⚖️ 균형', description: '크기와 품질의 균형', quality: 75, effort: 6, lossless: false },
+  high_compression: { label: '📦 고압축', description: '웹 게시용 작은 파일', quality: 60, effort: 6, lossless: false },
+  ultra_compression: { label: '🗜️ 초고압축', description: '썸네일/프리뷰용', quality: 45, effort: 6, lossless: false },
+  lossless: { label: '💎 무손실', description: '원본 화질 그대로', quality: 100, effort: 6, lossless: true }
+});
+
+/**
+ * 기본 프리셋의 WebP 인코딩 설정 (optimizer.js의 기존 WEBP_PRESETS 호환)
+ */
+const WEBP_PRESETS = Object.freeze(Object.fromEntries(
+  Object.entries(BUILTIN_PRESETS).map(([name, { quality, effort, lossless }]) => [name, { quality, effort, lossless }])
+));
+
+/**
+ * 설정 파일 이름 (작업 디렉토리 → 홈 디렉토리 순으로 검색)
+ */
+const PROJECT_CONFIG_FILE_NAME = 'convertwemp.config.json';
+const HOME_CONFIG_FILE_NAME = '.convertwemp.json';
+
+/**
+ * 프리셋 필드별 검증 규칙 (인코더 옵션은 변환기와 같은 규칙 사용)
+ */
+const PRESET_FIELDS = {
+  label: (value) => typeof value === 'string' || '문자열이어야 합니다',
+  description: (value) => typeof value === 'string' || '문자열이어야 합니다',
+  ...ENCODER_OPTION_RULES,
+  ...TRANSFORM_OPTION_RULES,
+  optimize: (value) => OPTIMIZE_STRATEGIES.includes(value) || `${OPTIMIZE_STRATEGIES.join(', ')} 중 하나여야 합니다`,
+  maxSize: (value) => (Number.isInteger(value) && value > 0) || '양의 정수(bytes)여야 합니다'
+};
+
+/**
+ * 프리셋 검증
+ * @param {string} name - 프리셋 이름
+ * @param {Preset} preset - 프리셋 설정
+ * @returns {Preset} 검증된 프리셋
+ */
+function validatePreset(name, preset) {
+  if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+    throw new Error(`프리셋 이름이 올바르지 않습니다: "${name}" (영문, 숫자, _, - 만 사용)`);
+  }
+
+  if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+    throw new Error(`프리셋 "${name}"은(는) 객체여야 합니다`);
+  }
+
+  for (const [key, value] of Object.entries(preset)) {
+    const rule = PRESET_FIELDS[key];
+    if (!rule) {
+      throw new Error(`프리셋 "${name}": 알 수 없는 설정입니다: ${key} (${Object.keys(PRESET_FIELDS).join(', ')})`);
+    }
+
+    const check = rule(value);
+    if (check !== true) {
+      throw new Error(`프리셋 "${name}": ${key} 값 ${JSON.stringify(value)}이(가) 올바르지 않습니다 - ${check}`);
+    }
+  }
+
+  // 크기 조정 방식(너비/높이, 최대 길이, 배율)은 하나만 지정 가능
+  try {
+    validateTransformOptions(preset);
+  } catch (error) {
+    throw new Error(`프리셋 "${name}": ${error.message}`);
+  }
+
+  return preset;
+}
+
+/**
+ * 설정 파일 경로 찾기
+ * @param {string} cwd - 검색 시작 디렉토리
+ * @returns {Promise<string|null>} 설정 파일 경로 (없으면 null)
+ */
+async function findConfigFile(cwd = process.cwd()) {
+  const candidates = [
+    path.join(cwd, PROJECT_CONFIG_FILE_NAME),
+    path.join(os.homedir(), HOME_CONFIG_FILE_NAME)
+  ];
+
+  for (const candidate of candidates) {
+    if (await fs.pathExists(candidate)) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 기본 프리셋과 설정 파일의 사용자 프리셋을 합친 레지스트리 로드
+ * 사용자 프리셋은 같은 이름의 기본 프리셋을 덮어쓴다.
+ * @param {Object} options - { configPath: 설정 파일 경로 (지정 시 반드시 존재해야 함), cwd: 검색 디렉토리 }
+ * @returns {Promise<{presets: Object<string, Preset & {name: string, source: string}>, configPath: string|null}>}
+ *   프리셋 레지스트리와 사용된 설정 파일 경로
+ */
+async function loadPresets(options = {}) {
+  const presets = {};
+  for (const [name, preset] of Object.entries(BUILTIN_PRESETS)) {
+    presets[name] = { ...preset, name, source: 'builtin' };
+  }
+
+  let configPath = null;
+  if (options.configPath) {
+    configPath = path.resolve(options.configPath);
+    if (!await fs.pathExists(configPath)) {
+      throw new Error(`설정 파일을 찾을 수 없습니다: ${configPath}`);
+    }
+  } else {
+    configPath = await findConfigFile(options.cwd);
+  }
+
+  if (!configPath) {
+    return { presets, configPath };
+  }
+
+  let config;
+  try {
+    config = await fs.readJson(configPath);
+  } catch (error) {
+    throw new Error(`설정 파일을 읽을 수 없습니다: ${configPath} (${error.message})`);
+  }
+
+  const userPresets = config.presets ?? {};
+  if (typeof userPresets !== 'object' || Array.isArray(userPresets)) {
+    throw new Error(`설정 파일의 presets는 객체여야 합니다: ${configPath}`);
+  }
+
+  for (const [name, preset] of Object.entries(userPresets)) {
+    try {
+      validatePreset(name, preset);
+    } catch (error) {
+      throw new Error(`${error.message} (${configPath})`);
+    }
+    presets[name] = { label: name, ...preset, name, source: 'config' };
+  }
+
+  return { presets, configPath };
+}
+
+/**
+ * 프리셋 이름 또는 객체를 프리셋으로 확인
+ * @param {string|Preset} preset - 프리셋 이름 또는 프리셋 객체
+ * @param {Object<string, Preset>} presets - 검색할 레지스트리 (기본: 기본 제공 프리셋)
+ * @returns {Preset} 프리셋
+ */
+function resolvePreset(preset, presets = BUILTIN_PRESETS) {
+  if (typeof preset !== 'string') {
+    const { name = 'custom', source, ...settings } = preset;
+    return validatePreset(name, settings);
+  }
+
+  if (!Object.hasOwn(presets, preset)) {
+    throw new Error(`알 수 없는 프리셋입니다: ${preset} (사용 가능: ${Object.keys(presets).join(', ')})`);
+  }
+
+  return presets[preset];
+}
+
+/**
+ * 프리셋에서 변환 옵션만 추출
+ * @param {Preset} preset - 프리셋
+ * @returns {Object} 변환기 옵션 (인코더 옵션, 크기 조정 옵션, optimize, maxSize)
+ */
+function presetToOptions(preset) {
+  const options = {};
+  for (const key of [...Object.keys(ENCODER_OPTION_RULES), ...Object.keys(TRANSFORM_OPTION_RULES), 'optimize', 'maxSize']) {
+    if (preset[key] !== undefined) {
+      options[key] = preset[key];
+    }
+  }
+  return options;
+}
+
+export {
+  loadPresets,
+  resolvePreset,
+  validatePreset,
+  presetToOptions,
+  findConfigFile,
+  BUILTIN_PRESETS,
+  WEBP_PRESETS,
+  OPTIMIZE_STRATEGIES
+};
@@ -1,5 +1,5 @@
 /**
- * PSNR 품질 분석 모듈
+ * PSNR/SSIM 품질 분석 모듈
  * GIF to WebP 변환 시 이미지 품질을 정확히 측정하고 분석
  * 
  * @author ConvertWemp Team
@@ -9,18 +9,47 @@
 import sharp from 'sharp';
 import fs from 'fs-extra';
 import path from 'path';
+import { INPUT_FORMAT_EXTENSIONS } from './input-format.js';
+import { OUTPUT_FORMATS } from './encoder-options.js';
 
 /**
  * 품질 분석 결과 인터페이스
  * @typedef {Object} QualityAnalysisResult
  * @property {number} psnr - PSNR 값 (Peak Signal-to-Noise Ratio)
  * @property {number} mse - MSE 값 (Mean Squared Error)
- * @property {number} ssim - SSIM 값 (Structural Similarity Index, 추정)
+ * @property {number} ssim - SSIM 값 (Structural Similarity Index, 단일 스케일, 프레임 평균)
+ * @property {number|null} msSsim - MS-SSIM 값 (프레임 평균, ssimMethod가 MS-SSIM을 계산한 경우만, 아니면 null)
  * @property {number} compressionRatio - 실제 압축률
  * @property {number} qualityScore - 종합 품질 점수 (0-100)
+ * @property {FrameAnalysis} frames - 프레임별 분석 결과
+ * @property {AlphaAnalysis|null} alpha - 알파 채널 분석 결과 (투명도가 없으면 null)
+ * @property {{format: string, heatmaps: string[], strip: string}|null} diffImages - 저장된 차이 이미지 경로
  * @property {Object} metadata - 추가 분석 정보
  */
 
+/**
+ * 알파 채널 분석 결과
+ * @typedef {Object} AlphaAnalysis
+ * @property {number} psnr - 알파 채널 PSNR
+ * @property {number} mse - 알파 채널 MSE
+ * @property {number} flippedPixels - 불투명↔투명이 뒤바뀐 픽셀 수 (전체 프레임 합)
+ * @property {number} flippedRatio - 뒤바뀐 픽셀 비율
+ * @property {number} edgePixels - 원본 알파 가장자리 픽셀 수
+ * @property {number} fringePSNR - 가장자리 픽셀의 합성 색상 PSNR (헤일로/프린지 지표)
+ * @property {string|Object} background - 색상 지표 계산에 사용한 배경색
+ */
+
+/**
+ * 프레임별 품질 분석 결과
+ * @typedef {Object} FrameAnalysis
+ * @property {number} frameCount - 비교한 프레임 수
+ * @property {boolean} frameCountMismatch - 원본과 변환본의 프레임 수 불일치 여부
+ * @property {Array<{index: number, mse: number, psnr: number, ssim: number}>} perFrame - 프레임별 측정값
+ * @property {{index: number, psnr: number, ssim: number}} worstFrame - PSNR이 가장 낮은 프레임
+ * @property {{psnr: number, ssim: number}} mean - 프레임 평균값 (무한대 PSNR 제외)
+ * @property {{psnr: Object, ssim: Object}} percentiles - p5/p25/p50/p75/p95 백분위수
+ */
+
 /**
  * 이미지 비교 통계
  * @typedef {Object} ImageComparisonStats
@@ -45,45 +74,400 @@ const QUALITY_THRESHOLDS = {
 };
 
 /**
- * 이미지를 RGB 픽셀 배열로 변환
+ * SSIM 계산 상수 (Wang et al. 2004)
+ */
+const SSIM_CONSTANTS = {
+  windowSize: 11,
+  sigma: 1.5,
+  k1: 0.01,
+  k2: 0.03,
+  maxPixelValue: 255
+};
+
+/**
+ * MS-SSIM 스케일별 가중치 (Wang et al. 2003)
+ */
+const MS_SSIM_WEIGHTS = [0.0448, 0.2856, 0.3001, 0.2363, 0.1333];
+
+/**
+ * 'auto' 모드에서 MS-SSIM을 함께 계산하는 최소 프레임 픽셀 수
+ */
+const MS_SSIM_AUTO_MIN_PIXELS = 512 * 512;
+
+/**
+ * 색상 지표 계산 시 투명 픽셀을 합성할 기본 배경색
+ */
+const DEFAULT_BACKGROUND = '#ffffff';
+
+/**
+ * 불투명으로 간주하는 알파 임계값 (이상이면 불투명)
+ */
+const ALPHA_OPAQUE_THRESHOLD = 128;
+
+/**
+ * 차이 히트맵에서 최대 색으로 표시되는 픽셀 차이 값
+ */
+const DIFF_HEATMAP_SATURATION = 64;
+
+/**
+ * 차이 이미지 형식 (png: 프레임별 PNG, webp: 애니메이션 WebP)
+ */
+const DIFF_FORMATS = ['png', 'webp'];
+
+/**
+ * 히트맵 컬러맵 (검정 → 빨강 → 노랑 → 흰색)
+ */
+const HEATMAP_STOPS = [
+  [0, 0, 0],
+  [255, 0, 0],
+  [255, 255, 0],
+  [255, 255, 255]
+];
+
+/**
+ * 배경색 지정을 RGB로 변환
+ * @param {string|{r: number, g: number, b: number}} background - '#rgb', '#rrggbb' 또는 {r, g, b}
+ * @returns {{r: number, g: number, b: number}} RGB 값
+ */
+function parseBackground(background = DEFAULT_BACKGROUND) {
+  if (typeof background === 'object' && background !== null) {
+    return { r: background.r ?? 0, g: background.g ?? 0, b: background.b ?? 0 };
+  }
+  
+  const hex = String(background).replace(/^#/, '');
+  const full = hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex;
+  if (!/^[0-9a-f]{6}$/i.test(full)) {
+    throw new Error(`배경색 형식이 올바르지 않습니다: ${background}`);
+  }
+  
+  return {
+    r: parseInt(full.slice(0, 2), 16),
+    g: parseInt(full.slice(2, 4), 16),
+    b: parseInt(full.slice(4, 6), 16)
+  };
+}
+
+/**
+ * 애니메이션 이미지를 프레임별 픽셀 배열로 변환
+ * 색상은 배경색에 합성한 RGB, 알파는 별도 배열로 반환
  * @param {string} imagePath - 이미지 파일 경로
  * @param {number} targetWidth - 목표 너비 (리사이즈용)
- * @param {number} targetHeight - 목표 높이 (리사이즈용)
- * @returns {Promise<{data: Uint8Array, width: number, height: number, channels: number}>}
+ * @param {number} targetHeight - 목표 프레임 높이 (리사이즈용)
+ * @param {Object} options - { background: 합성 배경색, crop: 변환 시 적용한 Sharp extract() 영역,
+ *   resize: 변환 시 적용한 Sharp resize() 설정, frames: 변환 시 남긴 프레임 번호 (참조 이미지 생성용) }
+ * @returns {Promise<{frames: Uint8Array[], alphaFrames: Uint8Array[], width: number, height: number, channels: number, hasAlpha: boolean}>}
  */
-async function imageToPixelArray(imagePath, targetWidth = null, targetHeight = null) {
+async function imageToFrameArrays(imagePath, targetWidth = null, targetHeight = null, options = {}) {
   try {
-    let sharpInstance = sharp(imagePath);
+    const background = parseBackground(options.background);
+    let sharpInstance = sharp(imagePath, { animated: true, limitInputPixels: false });
+    
+    const metadata = await sharpInstance.metadata();
+    const pageHeight = metadata.pageHeight || metadata.height;
     
-    // 첫 번째 프레임만 추출 (애니메이션 GIF의 경우)
-    if (path.extname(imagePath).toLowerCase() === '.gif') {
-      sharpInstance = sharpInstance.png(); // GIF를 PNG로 변환하여 첫 프레임 추출
+    // 변환과 같은 자르기/크기 조정 설정이 있으면 그대로 적용하고,
+    // 없으면 프레임 크기가 다른 경우에만 목표 크기로 리사이즈 (각 프레임에 동일하게 적용)
+    if (options.crop) {
+      sharpInstance = sharpInstance.extract(options.crop);
     }
+    const sourceWidth = options.crop ? options.crop.width : metadata.width;
+    const sourceHeight = options.crop ? options.crop.height : pageHeight;
     
-    // 필요한 경우 리사이즈
-    if (targetWidth && targetHeight) {
+    if (options.resize) {
+      sharpInstance = sharpInstance.resize(options.resize);
+    } else if (targetWidth && targetHeight && (sourceWidth !== targetWidth || sourceHeight !== targetHeight)) {
       sharpInstance = sharpInstance.resize(targetWidth, targetHeight, {
         fit: 'fill',
         kernel: sharp.kernel.lanczos3
       });
     }
     
-    // RGB 형식으로 변환
     const { data, info } = await sharpInstance
-      .removeAlpha() // 알파 채널 제거 (ensureAlpha 대신 사용)
+      .toColourspace('srgb')
+      .ensureAlpha()
       .raw()
       .toBuffer({ resolveWithObject: true });
     
+    const frameCount = info.pages || 1;
+    const frameHeight = info.pageHeight || info.height;
+    const framePixels = info.width * frameHeight;
+    
+    if (targetWidth && targetHeight && (info.width !== targetWidth || frameHeight !== targetHeight)) {
+      throw new Error(`프레임 크기 불일치: ${info.width}x${frameHeight} (기대값 ${targetWidth}x${targetHeight})`);
+    }
+    
+    // 프레임을 줄여 변환한 경우 남긴 프레임만 비교
+    const frameIndices = options.frames
+      ? options.frames.filter(index => index < frameCount)
+      : Array.from({ length: frameCount }, (_, index) => index);
+    
+    const frames = [];
+    const alphaFrames = [];
+    for (const f of frameIndices) {
+      const rgb = new Uint8Array(framePixels * 3);
+      const alpha = new Uint8Array(framePixels);
+      
+      for (let i = 0; i < framePixels; i++) {
+        const src = (f * framePixels + i) * 4;
+        const a = data[src + 3];
+        const dst = i * 3;
+        
+        // 배경색 위에 알파 합성
+        rgb[dst] = Math.round((data[src] * a + background.r * (255 - a)) / 255);
+        rgb[dst + 1] = Math.round((data[src + 1] * a + background.g * (255 - a)) / 255);
+        rgb[dst + 2] = Math.round((data[src + 2] * a + background.b * (255 - a)) / 255);
+        alpha[i] = a;
+      }
+      
+      frames.push(rgb);
+      alphaFrames.push(alpha);
+    }
+    
     return {
-      data: new Uint8Array(data),
+      frames,
+      alphaFrames,
       width: info.width,
-      height: info.height,
-      channels: info.channels
+      height: frameHeight,
+      channels: 3,
+      hasAlpha: Boolean(metadata.hasAlpha)
     };
     
   } catch (error) {
-    throw new Error(`이미지 픽셀 배열 변환 실패: ${error.message}`);
+    throw new Error(`프레임 픽셀 배열 변환 실패: ${error.message}`);
+  }
+}
+
+/**
+ * 프레임 알파 채널 비교
+ * 알파 MSE, 불투명도가 뒤집힌 픽셀 수, 가장자리(fringe) 색상 오차를 측정
+ * @param {Uint8Array} originalAlpha - 원본 알파
+ * @param {Uint8Array} compressedAlpha - 변환본 알파
+ * @param {Uint8Array} originalRGB - 원본 합성 RGB
+ * @param {Uint8Array} compressedRGB - 변환본 합성 RGB
+ * @param {number} width - 프레임 너비
+ * @param {number} height - 프레임 높이
+ * @returns {{mse: number, flippedPixels: number, edgePixels: number, fringeMSE: number}}
+ */
+function compareAlphaFrame(originalAlpha, compressedAlpha, originalRGB, compressedRGB, width, height) {
+  const isOpaque = (value) => value >= ALPHA_OPAQUE_THRESHOLD;
+  
+  let flippedPixels = 0;
+  let edgePixels = 0;
+  let fringeSquaredDiff = 0;
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const a = originalAlpha[i];
+      
+      if (isOpaque(a) !== isOpaque(compressedAlpha[i])) {
+        flippedPixels++;
+      }
+      
+      // 가장자리: 반투명 픽셀 또는 4방향 이웃 중 불투명도가 다른 픽셀이 있는 픽셀
+      const differs = (nx, ny) => nx >= 0 && ny >= 0 && nx < width && ny < height &&
+        isOpaque(originalAlpha[ny * width + nx]) !== isOpaque(a);
+      const isEdge = (a > 0 && a < 255) ||
+        differs(x - 1, y) || differs(x + 1, y) || differs(x, y - 1) || differs(x, y + 1);
+      
+      if (isEdge) {
+        edgePixels++;
+        for (let c = 0; c < 3; c++) {
+          const diff = originalRGB[i * 3 + c] - compressedRGB[i * 3 + c];
+          fringeSquaredDiff += diff * diff;
+        }
+      }
+    }
+  }
+  
+  return {
+    mse: calculateMSE(originalAlpha, compressedAlpha, 1),
+    flippedPixels,
+    edgePixels,
+    fringeMSE: edgePixels > 0 ? fringeSquaredDiff / (edgePixels * 3) : 0
+  };
+}
+
+/**
+ * 프레임 차이 히트맵 생성
+ * 픽셀별 RGB/알파 최대 절대 차이를 컬러맵으로 표시
+ * @param {Uint8Array} originalRGB - 원본 합성 RGB
+ * @param {Uint8Array} compressedRGB - 변환본 합성 RGB
+ * @param {Uint8Array} originalAlpha - 원본 알파
+ * @param {Uint8Array} compressedAlpha - 변환본 알파
+ * @returns {Uint8Array} 히트맵 RGB 데이터
+ */
+function createDiffHeatmap(originalRGB, compressedRGB, originalAlpha, compressedAlpha) {
+  const pixelCount = originalAlpha.length;
+  const heatmap = new Uint8Array(pixelCount * 3);
+  const segments = HEATMAP_STOPS.length - 1;
+  
+  for (let i = 0; i < pixelCount; i++) {
+    let diff = Math.abs(originalAlpha[i] - compressedAlpha[i]);
+    for (let c = 0; c < 3; c++) {
+      diff = Math.max(diff, Math.abs(originalRGB[i * 3 + c] - compressedRGB[i * 3 + c]));
+    }
+    
+    const t = Math.min(1, diff / DIFF_HEATMAP_SATURATION) * segments;
+    const segment = Math.min(segments - 1, Math.floor(t));
+    const local = t - segment;
+    const from = HEATMAP_STOPS[segment];
+    const to = HEATMAP_STOPS[segment + 1];
+    
+    for (let c = 0; c < 3; c++) {
+      heatmap[i * 3 + c] = Math.round(from[c] + (to[c] - from[c]) * local);
+    }
+  }
+  
+  return heatmap;
+}
+
+/**
+ * 원본/변환본/차이 이미지를 가로로 이어 붙인 스트립 생성
+ * @param {Uint8Array[]} panels - 같은 크기의 RGB 패널들
+ * @param {number} width - 패널 너비
+ * @param {number} height - 패널 높이
+ * @param {number} gap - 패널 사이 간격 (px)
+ * @returns {{data: Uint8Array, width: number}} 스트립 RGB 데이터와 너비
+ */
+function createComparisonStrip(panels, width, height, gap = 4) {
+  const stripWidth = width * panels.length + gap * (panels.length - 1);
+  const strip = new Uint8Array(stripWidth * height * 3).fill(128); // 회색 간격
+  
+  for (let y = 0; y < height; y++) {
+    panels.forEach((panel, p) => {
+      const src = y * width * 3;
+      const dst = (y * stripWidth + p * (width + gap)) * 3;
+      strip.set(panel.subarray(src, src + width * 3), dst);
+    });
+  }
+  
+  return { data: strip, width: stripWidth };
+}
+
+/**
+ * 차이 히트맵과 비교 스트립 파일 저장
+ * png: 프레임별 히트맵 PNG + 최저 품질 프레임의 스트립 PNG
+ * webp: 히트맵 애니메이션 WebP + 스트립 애니메이션 WebP
+ * @param {Object} originalFrames - imageToFrameArrays 결과 (원본)
+ * @param {Object} compressedFrames - imageToFrameArrays 결과 (변환본)
+ * @param {number} frameCount - 비교한 프레임 수
+ * @param {number} worstIndex - 최저 품질 프레임 인덱스
+ * @param {Object} options - { dir, format, name, delay }
+ * @returns {Promise<{format: string, heatmaps: string[], strip: string}>} 저장된 파일 경로
+ */
+async function writeDiffImages(originalFrames, compressedFrames, frameCount, worstIndex, options) {
+  const { dir, format = 'png', name, delay } = options;
+  const { width, height } = originalFrames;
+  
+  if (!DIFF_FORMATS.includes(format)) {
+    throw new Error(`지원하지 않는 차이 이미지 형식입니다: ${format} (${DIFF_FORMATS.join(', ')})`);
+  }
+  
+  await fs.ensureDir(dir);
+  
+  const heatmapOf = (i) => createDiffHeatmap(
+    originalFrames.frames[i], compressedFrames.frames[i],
+    originalFrames.alphaFrames[i], compressedFrames.alphaFrames[i]
+  );
+  const stripOf = (i, heatmap) => createComparisonStrip(
+    [originalFrames.frames[i], compressedFrames.frames[i], heatmap], width, height
+  );
+  
+  const written = { format, heatmaps: [], strip: null };
+  
+  if (format === 'png') {
+    // 히트맵은 프레임마다 바로 저장하고, 비교 스트립은 저장하는 최저 품질 프레임만 만든다
+    let worstStrip = null;
+    for (let i = 0; i < frameCount; i++) {
+      const heatmap = heatmapOf(i);
+      const filePath = path.join(dir, `${name}_diff_${String(i).padStart(3, '0')}.png`);
+      await sharp(heatmap, { raw: { width, height, channels: 3 } }).png().toFile(filePath);
+      written.heatmaps.push(filePath);
+      if (i === worstIndex) {
+        worstStrip = stripOf(i, heatmap);
+      }
+    }
+    
+    written.strip = path.join(dir, `${name}_strip.png`);
+    await sharp(worstStrip.data, { raw: { width: worstStrip.width, height, channels: 3 } })
+      .png()
+      .toFile(written.strip);
+  } else {
+    const heatmaps = [];
+    const strips = [];
+    for (let i = 0; i < frameCount; i++) {
+      const heatmap = heatmapOf(i);
+      heatmaps.push(heatmap);
+      strips.push(stripOf(i, heatmap));
+    }
+    
+    const stack = (buffers) => Buffer.concat(buffers.map(b => Buffer.from(b.buffer, b.byteOffset, b.byteLength)));
+    const webpOptions = { lossless: true, loop: 0, ...(delay ? { delay: delay.slice(0, frameCount) } : {}) };
+    
+    const heatmapPath = path.join(dir, `${name}_diff.webp`);
+    await sharp(stack(heatmaps), { raw: { width, height: height * frameCount, channels: 3, pageHeight: height } })
+      .webp(webpOptions)
+      .toFile(heatmapPath);
+    written.heatmaps.push(heatmapPath);
+    
+    const stripWidth = strips[0].width;
+    written.strip = path.join(dir, `${name}_strip.webp`);
+    await sharp(stack(strips.map(strip => strip.data)), { raw: { width: stripWidth, height: height * frameCount, channels: 3, pageHeight: height } })
+      .webp(webpOptions)
+      .toFile(written.strip);
   }
+  
+  return written;
+}
+
+/**
+ * 정렬된 배열에서 백분위수 값 반환 (nearest-rank)
+ * @param {number[]} sorted - 오름차순 정렬된 값
+ * @param {number} p - 백분위 (0-100)
+ * @returns {number} 백분위수 값
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+/**
+ * 프레임별 측정값 요약
+ * @param {Array<{index: number, mse: number, psnr: number, ssim: number}>} perFrame - 프레임별 측정값
+ * @returns {Object} 최악 프레임, 평균, 백분위수
+ */
+function summarizeFrames(perFrame) {
+  const worst = perFrame.reduce((a, b) => (b.psnr < a.psnr ? b : a));
+  
+  const finitePSNR = perFrame.map(f => f.psnr).filter(Number.isFinite);
+  const meanPSNR = finitePSNR.length > 0
+    ? finitePSNR.reduce((sum, v) => sum + v, 0) / finitePSNR.length
+    : Infinity;
+  const meanSSIM = perFrame.reduce((sum, f) => sum + f.ssim, 0) / perFrame.length;
+  
+  const sortedPSNR = perFrame.map(f => f.psnr).sort((a, b) => a - b);
+  const sortedSSIM = perFrame.map(f => f.ssim).sort((a, b) => a - b);
+  const percentilesOf = (sorted) => ({
+    p5: percentile(sorted, 5),
+    p25: percentile(sorted, 25),
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p95: percentile(sorted, 95)
+  });
+  
+  return {
+    worstFrame: { index: worst.index, psnr: worst.psnr, ssim: worst.ssim },
+    mean: {
+      psnr: Number.isFinite(meanPSNR) ? Math.round(meanPSNR * 100) / 100 : meanPSNR,
+      ssim: Math.round(meanSSIM * 10000) / 10000
+    },
+    percentiles: {
+      psnr: percentilesOf(sortedPSNR),
+      ssim: percentilesOf(sortedSSIM)
+    }
+  };
 }
 
 /**
@@ -126,9 +510,269 @@ function calculatePSNR(mse, maxPixelValue = 255) {
   return Math.round(psnr * 100) / 100; // 소수점 둘째 자리까지
 }
 
+/**
+ * 1차원 가우시안 커널 생성
+ * @param {number} size - 커널 크기
+ * @param {number} sigma - 표준편차
+ * @returns {Float64Array} 정규화된 커널
+ */
+function gaussianKernel(size, sigma) {
+  const kernel = new Float64Array(size);
+  const center = (size - 1) / 2;
+  let sum = 0;
+  
+  for (let i = 0; i < size; i++) {
+    kernel[i] = Math.exp(-((i - center) ** 2) / (2 * sigma * sigma));
+    sum += kernel[i];
+  }
+  
+  for (let i = 0; i < size; i++) {
+    kernel[i] /= sum;
+  }
+  
+  return kernel;
+}
+
+/**
+ * 분리형 가우시안 블러 (경계에서는 유효한 가중치만으로 재정규화)
+ * @param {Float64Array} plane - 입력 평면
+ * @param {number} width - 너비
+ * @param {number} height - 높이
+ * @param {Float64Array} kernel - 1차원 커널
+ * @returns {Float64Array} 블러된 평면
+ */
+function blurPlane(plane, width, height, kernel) {
+  const radius = (kernel.length - 1) / 2;
+  const temp = new Float64Array(plane.length);
+  const output = new Float64Array(plane.length);
+  
+  // 가로 방향
+  for (let y = 0; y < height; y++) {
+    const row = y * width;
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let weight = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const xx = x + k;
+        if (xx < 0 || xx >= width) continue;
+        sum += plane[row + xx] * kernel[k + radius];
+        weight += kernel[k + radius];
+      }
+      temp[row + x] = sum / weight;
+    }
+  }
+  
+  // 세로 방향
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      let weight = 0;
+      for (let k = -radius; k <= radius; k++) {
+        const yy = y + k;
+        if (yy < 0 || yy >= height) continue;
+        sum += temp[yy * width + x] * kernel[k + radius];
+        weight += kernel[k + radius];
+      }
+      output[y * width + x] = sum / weight;
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * 인터리브된 픽셀 데이터에서 평면 추출
+ * @param {Uint8Array} pixels - 픽셀 데이터
+ * @param {number} channels - 채널 수
+ * @param {number|'luma'} channel - 채널 인덱스 또는 'luma' (BT.601 휘도)
+ * @returns {Float64Array} 평면 데이터
+ */
+function extractPlane(pixels, channels, channel = 'luma') {
+  const pixelCount = pixels.length / channels;
+  const plane = new Float64Array(pixelCount);
+  
+  for (let i = 0; i < pixelCount; i++) {
+    const offset = i * channels;
+    if (channel === 'luma' && channels >= 3) {
+      plane[i] = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+    } else {
+      plane[i] = pixels[offset + (channel === 'luma' ? 0 : channel)];
+    }
+  }
+  
+  return plane;
+}
+
+/**
+ * 2x2 평균으로 평면 축소 (MS-SSIM용)
+ * @param {Float64Array} plane - 입력 평면
+ * @param {number} width - 너비
+ * @param {number} height - 높이
+ * @returns {{plane: Float64Array, width: number, height: number}}
+ */
+function downsamplePlane(plane, width, height) {
+  const newWidth = Math.floor(width / 2);
+  const newHeight = Math.floor(height / 2);
+  const output = new Float64Array(newWidth * newHeight);
+  
+  for (let y = 0; y < newHeight; y++) {
+    for (let x = 0; x < newWidth; x++) {
+      const i = (y * 2) * width + x * 2;
+      output[y * newWidth + x] = (plane[i] + plane[i + 1] + plane[i + width] + plane[i + width + 1]) / 4;
+    }
+  }
+  
+  return { plane: output, width: newWidth, height: newHeight };
+}
+
+/**
+ * 평면 간 SSIM 맵 평균 계산
+ * @param {Float64Array} x - 원본 평면
+ * @param {Float64Array} y - 비교 평면
+ * @param {number} width - 너비
+ * @param {number} height - 높이
+ * @returns {{ssim: number, cs: number}} 평균 SSIM과 대비-구조 항 평균
+ */
+function ssimPlane(x, y, width, height) {
+  const { windowSize, sigma, k1, k2, maxPixelValue } = SSIM_CONSTANTS;
+  const size = Math.max(1, Math.min(windowSize, width, height));
+  const kernel = gaussianKernel(size % 2 === 0 ? size - 1 : size, sigma);
+  const c1 = (k1 * maxPixelValue) ** 2;
+  const c2 = (k2 * maxPixelValue) ** 2;
+  
+  const xx = new Float64Array(x.length);
+  const yy = new Float64Array(x.length);
+  const xy = new Float64Array(x.length);
+  for (let i = 0; i < x.length; i++) {
+    xx[i] = x[i] * x[i];
+    yy[i] = y[i] * y[i];
+    xy[i] = x[i] * y[i];
+  }
+  
+  const muX = blurPlane(x, width, height, kernel);
+  const muY = blurPlane(y, width, height, kernel);
+  const sigmaXX = blurPlane(xx, width, height, kernel);
+  const sigmaYY = blurPlane(yy, width, height, kernel);
+  const sigmaXY = blurPlane(xy, width, height, kernel);
+  
+  let ssimSum = 0;
+  let csSum = 0;
+  for (let i = 0; i < x.length; i++) {
+    const mx = muX[i];
+    const my = muY[i];
+    const vx = Math.max(0, sigmaXX[i] - mx * mx);
+    const vy = Math.max(0, sigmaYY[i] - my * my);
+    const cov = sigmaXY[i] - mx * my;
+    
+    const cs = (2 * cov + c2) / (vx + vy + c2);
+    csSum += cs;
+    ssimSum += ((2 * mx * my + c1) / (mx * mx + my * my + c1)) * cs;
+  }
+  
+  return { ssim: ssimSum / x.length, cs: csSum / x.length };
+}
+
+/**
+ * 채널별 SSIM 계산 (가우시안 윈도우 11x11, σ=1.5)
+ * @param {Uint8Array} originalPixels - 원본 픽셀 데이터
+ * @param {Uint8Array} compressedPixels - 압축된 픽셀 데이터
+ * @param {number} width - 이미지 너비
+ * @param {number} height - 이미지 높이
+ * @param {number} channels - 채널 수
+ * @returns {number[]} 채널별 SSIM 값
+ */
+function calculateChannelSSIM(originalPixels, compressedPixels, width, height, channels = 3) {
+  const values = [];
+  
+  for (let c = 0; c < channels; c++) {
+    const { ssim } = ssimPlane(
+      extractPlane(originalPixels, channels, c),
+      extractPlane(compressedPixels, channels, c),
+      width,
+      height
+    );
+    values.push(Math.round(ssim * 10000) / 10000);
+  }
+  
+  return values;
+}
+
+/**
+ * SSIM (Structural Similarity Index) 계산
+ * 기본은 휘도(Y) 채널 기준이며, perChannel 옵션 시 채널별 SSIM의 평균
+ * @param {Uint8Array} originalPixels - 원본 픽셀 데이터
+ * @param {Uint8Array} compressedPixels - 압축된 픽셀 데이터
+ * @param {number} width - 이미지 너비
+ * @param {number} height - 이미지 높이
+ * @param {number} channels - 채널 수
+ * @param {Object} options - { perChannel: boolean }
+ * @returns {number} SSIM 값 (-1~1, 일반적으로 0-1)
+ */
+function calculateSSIM(originalPixels, compressedPixels, width, height, channels = 3, options = {}) {
+  if (originalPixels.length !== compressedPixels.length) {
+    throw new Error('픽셀 배열 크기가 일치하지 않습니다');
+  }
+  
+  if (options.perChannel) {
+    const values = calculateChannelSSIM(originalPixels, compressedPixels, width, height, channels);
+    return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10000) / 10000;
+  }
+  
+  const { ssim } = ssimPlane(
+    extractPlane(originalPixels, channels),
+    extractPlane(compressedPixels, channels),
+    width,
+    height
+  );
+  
+  return Math.round(ssim * 10000) / 10000;
+}
+
+/**
+ * MS-SSIM (Multi-Scale SSIM) 계산 - 휘도 채널 기준
+ * 큰 이미지에서 시청 거리 차이를 반영. 이미지가 작으면 가능한 스케일 수만큼만 사용
+ * @param {Uint8Array} originalPixels - 원본 픽셀 데이터
+ * @param {Uint8Array} compressedPixels - 압축된 픽셀 데이터
+ * @param {number} width - 이미지 너비
+ * @param {number} height - 이미지 높이
+ * @param {number} channels - 채널 수
+ * @returns {number} MS-SSIM 값 (0-1)
+ */
+function calculateMSSSIM(originalPixels, compressedPixels, width, height, channels = 3) {
+  if (originalPixels.length !== compressedPixels.length) {
+    throw new Error('픽셀 배열 크기가 일치하지 않습니다');
+  }
+  
+  // 가장 작은 스케일에서도 윈도우 크기 이상이 되도록 스케일 수 제한
+  let scales = 1;
+  while (scales < MS_SSIM_WEIGHTS.length &&
+         Math.min(width, height) / 2 ** scales >= SSIM_CONSTANTS.windowSize) {
+    scales++;
+  }
+  const weights = MS_SSIM_WEIGHTS.slice(0, scales);
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+  
+  let x = { plane: extractPlane(originalPixels, channels), width, height };
+  let y = { plane: extractPlane(compressedPixels, channels), width, height };
+  let result = 1;
+  
+  for (let scale = 0; scale < scales; scale++) {
+    const { ssim, cs } = ssimPlane(x.plane, y.plane, x.width, x.height);
+    const value = scale === scales - 1 ? ssim : cs;
+    result *= Math.max(0, value) ** (weights[scale] / weightSum);
+    
+    if (scale < scales - 1) {
+      x = downsamplePlane(x.plane, x.width, x.height);
+      y = downsamplePlane(y.plane, y.width, y.height);
+    }
+  }
+  
+  return Math.round(result * 10000) / 10000;
+}
+
 /**
  * SSIM (Structural Similarity Index) 추정
- * 실제 SSIM은 복잡한 계산이 필요하므로 PSNR 기반으로 추정
+ * 픽셀 데이터가 없을 때 PSNR로부터 근사하는 용도 (측정값은 calculateSSIM 사용)
  * @param {number} psnr - PSNR 값
  * @returns {number} 추정 SSIM 값 (0-1)
  */
@@ -186,13 +830,15 @@ function calculateQualityScore(psnr, ssim, compressionRatio) {
  * @returns {string} 품질 등급
  */
 function getQualityGrade(psnr, ssim, qualityScore) {
-  if (psnr >= QUALITY_THRESHOLDS.excellent.psnr && qualityScore >= QUALITY_THRESHOLDS.excellent.score) {
+  const meets = (grade) => psnr >= QUALITY_THRESHOLDS[grade].psnr && ssim >= QUALITY_THRESHOLDS[grade].ssim;
+  
+  if (meets('excellent') && qualityScore >= QUALITY_THRESHOLDS.excellent.score) {
     return 'excellent';
-  } else if (psnr >= QUALITY_THRESHOLDS.good.psnr && qualityScore >= QUALITY_THRESHOLDS.good.score) {
+  } else if (meets('good') && qualityScore >= QUALITY_THRESHOLDS.good.score) {
     return 'good';
-  } else if (psnr >= QUALITY_THRESHOLDS.acceptable.psnr && qualityScore >= QUALITY_THRESHOLDS.acceptable.score) {
+  } else if (meets('acceptable') && qualityScore >= QUALITY_THRESHOLDS.acceptable.score) {
     return 'acceptable';
-  } else if (psnr >= QUALITY_THRESHOLDS.poor.psnr) {
+  } else if (meets('poor')) {
     return 'poor';
   } else {
     return 'unacceptable';
@@ -203,41 +849,143 @@ function getQualityGrade(psnr, ssim, qualityScore) {
  * 이미지 파일 간 품질 비교
  * @param {string} originalPath - 원본 이미지 경로
  * @param {string} compressedPath - 압축된 이미지 경로
+ * @param {Object} options - 분석 옵션
+ * @param {'ssim'|'ms-ssim'|'auto'} options.ssimMethod - MS-SSIM 계산 여부 (ssim: 계산 안 함, ms-ssim: 항상, auto: 큰 이미지만)
+ *   MS-SSIM은 msSsim 필드에 따로 기록하며, 등급과 기준에 쓰이는 ssim은 항상 단일 스케일 SSIM
+ * @param {boolean} options.perChannel - 채널별 SSIM 계산 여부 (ssim 방식에서만)
+ * @param {string|Object} options.background - 색상 지표 계산 시 합성할 배경색 (기본: 흰색)
+ * @param {string} options.diffOut - 지정 시 차이 히트맵과 비교 스트립을 저장할 디렉토리
+ * @param {'png'|'webp'} options.diffFormat - 차이 이미지 형식 (png: 프레임별, webp: 애니메이션)
+ * @param {Object} options.crop - 변환 시 적용한 Sharp extract() 영역 (원본을 같은 영역으로 잘라 참조로 사용)
+ * @param {Object} options.resize - 변환 시 적용한 Sharp resize() 설정 (원본을 같은 방식으로 축소해 참조로 사용)
+ * @param {number[]} options.frames - 프레임을 줄이거나 중복 프레임을 병합해 변환한 경우 남긴 원본 프레임 번호 (같은 프레임끼리 비교)
  * @returns {Promise<QualityAnalysisResult>} 품질 분석 결과
  */
-async function compareImageQuality(originalPath, compressedPath) {
+async function compareImageQuality(originalPath, compressedPath, options = {}) {
+  const {
+    ssimMethod = 'ssim',
+    perChannel = false,
+    background = DEFAULT_BACKGROUND,
+    diffOut = null,
+    diffFormat = 'png',
+    crop = null,
+    resize = null,
+    frames: keptFrames = null
+  } = options;
+  
   try {
     // 파일 크기 정보 수집
     const originalStats = await fs.stat(originalPath);
     const compressedStats = await fs.stat(compressedPath);
     const compressionRatio = (originalStats.size - compressedStats.size) / originalStats.size;
     
-    // 원본 이미지의 메타데이터 확인
-    const originalMetadata = await sharp(originalPath).metadata();
+    // 원본/변환본 메타데이터 확인 (height는 첫 프레임 높이)
+    const [originalMetadata, compressedMetadata] = await Promise.all([
+      sharp(originalPath).metadata(),
+      sharp(compressedPath).metadata()
+    ]);
     
-    // 두 이미지를 같은 크기로 정규화하여 픽셀 비교
-    const targetWidth = originalMetadata.width;
-    const targetHeight = originalMetadata.height;
+    // 변환본 크기를 기준으로 정규화 - 잘리거나 크기 조정된 변환본을 다시 늘리지 않고
+    // 원본을 같은 영역/크기로 변환한 참조 이미지와 비교. 자르기/크기 조정 설정을 받으면 결과 크기가
+    // 원본과 같아도 그대로 적용하고, 설정 없이 크기만 다르면 목표 크기로 리사이즈
+    const targetWidth = compressedMetadata.width;
+    const targetHeight = compressedMetadata.height;
+    const referenceResized = Boolean(crop || resize) ||
+      originalMetadata.width !== targetWidth || originalMetadata.height !== targetHeight;
     
     console.log(`🔍 품질 분석 시작: ${targetWidth}x${targetHeight}`);
+    if (referenceResized) {
+      console.log(`   📐 원본 ${originalMetadata.width}x${originalMetadata.height}을(를) 같은 ${crop ? '영역/' : ''}크기로 변환해 비교`);
+    }
     
-    // 픽셀 데이터 추출
-    const [originalPixels, compressedPixels] = await Promise.all([
-      imageToPixelArray(originalPath, targetWidth, targetHeight),
-      imageToPixelArray(compressedPath, targetWidth, targetHeight)
+    // 프레임별 픽셀 데이터 추출
+    const [originalFrames, compressedFrames] = await Promise.all([
+      imageToFrameArrays(originalPath, targetWidth, targetHeight, {
+        background,
+        crop,
+        resize,
+        frames: keptFrames
+      }),
+      imageToFrameArrays(compressedPath, targetWidth, targetHeight, { background })
     ]);
     
+    const hasAlpha = originalFrames.hasAlpha || compressedFrames.hasAlpha;
+    
     // 채널 수 확인 및 조정
-    const channels = Math.min(originalPixels.channels, compressedPixels.channels, 3); // RGB만 비교
+    const channels = Math.min(originalFrames.channels, compressedFrames.channels, 3); // RGB만 비교
+    
+    const frameCount = Math.min(originalFrames.frames.length, compressedFrames.frames.length);
+    const frameCountMismatch = originalFrames.frames.length !== compressedFrames.frames.length;
+    if (frameCountMismatch) {
+      console.warn(`⚠️  프레임 수 불일치: 원본 ${originalFrames.frames.length}개, 변환본 ${compressedFrames.frames.length}개`);
+    }
     
-    // MSE 계산
-    const mse = calculateMSE(originalPixels.data, compressedPixels.data, channels);
+    const { width: frameWidth, height: frameHeight } = originalFrames;
+    const useMSSSIM = ssimMethod === 'ms-ssim' ||
+      (ssimMethod === 'auto' && frameWidth * frameHeight >= MS_SSIM_AUTO_MIN_PIXELS);
     
-    // PSNR 계산
+    // 프레임별 MSE/PSNR/SSIM 계산
+    const perFrame = [];
+    let totalMSE = 0;
+    const alphaTotals = { mse: 0, flippedPixels: 0, edgePixels: 0, fringeSquaredDiff: 0 };
+    for (let i = 0; i < frameCount; i++) {
+      const original = originalFrames.frames[i];
+      const compressed = compressedFrames.frames[i];
+      const frameMSE = calculateMSE(original, compressed, channels);
+      const frameResult = {
+        index: i,
+        mse: frameMSE,
+        psnr: calculatePSNR(frameMSE),
+        ssim: calculateSSIM(original, compressed, frameWidth, frameHeight, channels)
+      };
+      if (useMSSSIM) {
+        frameResult.msSsim = calculateMSSSIM(original, compressed, frameWidth, frameHeight, channels);
+      }
+      if (perChannel) {
+        frameResult.channelSSIM = calculateChannelSSIM(original, compressed, frameWidth, frameHeight, channels);
+      }
+      if (hasAlpha) {
+        const alpha = compareAlphaFrame(
+          originalFrames.alphaFrames[i], compressedFrames.alphaFrames[i],
+          original, compressed, frameWidth, frameHeight
+        );
+        frameResult.alphaPSNR = calculatePSNR(alpha.mse);
+        frameResult.flippedPixels = alpha.flippedPixels;
+        frameResult.fringePSNR = calculatePSNR(alpha.fringeMSE);
+        alphaTotals.mse += alpha.mse;
+        alphaTotals.flippedPixels += alpha.flippedPixels;
+        alphaTotals.edgePixels += alpha.edgePixels;
+        alphaTotals.fringeSquaredDiff += alpha.fringeMSE * alpha.edgePixels;
+      }
+      perFrame.push(frameResult);
+      totalMSE += frameMSE;
+    }
+    
+    // 알파 채널 요약 (투명도가 없는 이미지는 null)
+    const alpha = hasAlpha ? {
+      psnr: calculatePSNR(alphaTotals.mse / frameCount),
+      mse: alphaTotals.mse / frameCount,
+      flippedPixels: alphaTotals.flippedPixels,
+      flippedRatio: alphaTotals.flippedPixels / (frameWidth * frameHeight * frameCount),
+      edgePixels: alphaTotals.edgePixels,
+      fringePSNR: calculatePSNR(alphaTotals.edgePixels > 0 ? alphaTotals.fringeSquaredDiff / alphaTotals.edgePixels : 0),
+      background: typeof background === 'string' ? background : parseBackground(background)
+    } : null;
+    
+    // 전체 프레임 기준 MSE, PSNR, SSIM (SSIM은 프레임 평균)
+    const mse = totalMSE / frameCount;
     const psnr = calculatePSNR(mse);
+    const ssim = Math.round((perFrame.reduce((sum, f) => sum + f.ssim, 0) / frameCount) * 10000) / 10000;
+    const msSsim = useMSSSIM
+      ? Math.round((perFrame.reduce((sum, f) => sum + f.msSsim, 0) / frameCount) * 10000) / 10000
+      : null;
     
-    // SSIM 추정
-    const ssim = estimateSSIM(psnr);
+    const frames = {
+      frameCount,
+      frameCountMismatch,
+      perFrame,
+      ...summarizeFrames(perFrame)
+    };
     
     // 종합 품질 점수 계산
     const qualityScore = calculateQualityScore(psnr, ssim, compressionRatio);
@@ -245,31 +993,60 @@ async function compareImageQuality(originalPath, compressedPath) {
     // 품질 등급 결정
     const qualityGrade = getQualityGrade(psnr, ssim, qualityScore);
     
+    // 차이 히트맵 저장 (선택)
+    const diffImages = diffOut
+      ? await writeDiffImages(originalFrames, compressedFrames, frameCount, frames.worstFrame.index, {
+        dir: diffOut,
+        format: diffFormat,
+        name: path.basename(compressedPath, path.extname(compressedPath)),
+        delay: keptFrames ? compressedMetadata.delay : originalMetadata.delay
+      })
+      : null;
+    
     const result = {
       psnr,
       mse,
       ssim,
+      msSsim,
       compressionRatio,
       qualityScore,
+      frames,
+      alpha,
+      diffImages,
       metadata: {
         qualityGrade,
         originalSize: originalStats.size,
         compressedSize: compressedStats.size,
         width: targetWidth,
         height: targetHeight,
+        originalWidth: originalMetadata.width,
+        originalHeight: originalMetadata.height,
+        referenceResized,
         channels,
+        originalPath,
+        compressedPath,
         originalFormat: originalMetadata.format,
         compressedFormat: path.extname(compressedPath).substring(1),
+        ssimMethod: useMSSSIM ? 'ms-ssim' : 'ssim',
         analysis: {
-          pixelCount: targetWidth * targetHeight,
-          bytesCompared: originalPixels.data.length,
+          pixelCount: targetWidth * targetHeight * frameCount,
+          bytesCompared: targetWidth * targetHeight * channels * frameCount,
           avgPixelDifference: Math.sqrt(mse),
           sizeSavings: originalStats.size - compressedStats.size
         }
       }
     };
     
-    console.log(`✅ 품질 분석 완료: PSNR ${psnr}dB, 품질 점수 ${qualityScore}, 등급 ${qualityGrade}`);
+    console.log(`✅ 품질 분석 완료: PSNR ${psnr}dB, SSIM ${ssim}, 품질 점수 ${qualityScore}, 등급 ${qualityGrade}`);
+    if (frameCount > 1) {
+      console.log(`   🎞️  ${frameCount}프레임, 최저 PSNR ${frames.worstFrame.psnr}dB (#${frames.worstFrame.index})`);
+    }
+    if (diffImages) {
+      console.log(`   🗺️  차이 이미지 저장: ${diffImages.strip}`);
+    }
+    if (alpha) {
+      console.log(`   🫥 알파 PSNR ${alpha.psnr}dB, 불투명도 반전 ${alpha.flippedPixels}px, 가장자리 PSNR ${alpha.fringePSNR}dB`);
+    }
     
     return result;
     
@@ -278,12 +1055,112 @@ async function compareImageQuality(originalPath, compressedPath) {
   }
 }
 
+/** 디렉토리 쌍 매칭 기본 확장자: 원본은 지원하는 모든 입력 형식, 변환본은 모든 출력 형식 */
+const ORIGINAL_EXTENSIONS = Object.values(INPUT_FORMAT_EXTENSIONS).flat();
+const CONVERTED_EXTENSIONS = OUTPUT_FORMATS.map(format => `.${format}`);
+
+/**
+ * 확장자 목록 정규화 (점 유무와 대소문자 무시)
+ * @param {string|string[]} extensions - 확장자 또는 목록 (예: '.gif', ['gif', 'png'])
+ * @returns {string[]} 점으로 시작하는 소문자 확장자 목록
+ */
+function normalizeExtensions(extensions) {
+  return [extensions].flat().map(ext => `.${ext.replace(/^\./, '').toLowerCase()}`);
+}
+
+/**
+ * 디렉토리에서 지정한 확장자의 파일 목록 수집
+ * @param {string} dir - 검색할 디렉토리
+ * @param {string[]} extensions - 확장자 목록 (예: ['.gif', '.png'])
+ * @param {boolean} recursive - 하위 디렉토리 포함 여부
+ * @returns {Promise<string[]>} 파일 경로 배열
+ */
+async function listFilesByExtension(dir, extensions, recursive) {
+  const files = [];
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory() && recursive) {
+      files.push(...await listFilesByExtension(fullPath, extensions, recursive));
+    } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(fullPath);
+    }
+  }
+  
+  return files.sort();
+}
+
+/**
+ * 원본/변환본 디렉토리의 파일을 확장자를 뺀 파일명으로 짝짓기
+ * 기본적으로 원본은 지원하는 모든 입력 형식, 변환본은 모든 출력 형식의 확장자를 대상으로 한다.
+ * 같은 디렉토리를 쓰면 두 확장자 목록이 겹치지 않아야 한다.
+ * @param {string} originalDir - 원본 디렉토리
+ * @param {string} convertedDir - 변환본 디렉토리
+ * @param {Object} options - { originalExt: 확장자 또는 목록, convertedExt: 확장자 또는 목록, recursive: false }
+ * @returns {Promise<{pairs: Array<{original: string, compressed: string}>, unmatchedOriginals: string[], unmatchedConverted: string[], duplicates: string[]}>}
+ *   짝지어진 쌍과 짝이 없는 파일, 파일명이 중복되어 짝지을 수 없는 파일
+ */
+async function matchImagePairs(originalDir, convertedDir, options = {}) {
+  const { originalExt = ORIGINAL_EXTENSIONS, convertedExt = CONVERTED_EXTENSIONS, recursive = false } = options;
+  const originalExtensions = normalizeExtensions(originalExt);
+  const convertedExtensions = normalizeExtensions(convertedExt);
+  
+  for (const dir of [originalDir, convertedDir]) {
+    const stats = await fs.stat(dir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`디렉토리를 찾을 수 없습니다: ${dir}`);
+    }
+  }
+  
+  const shared = originalExtensions.filter(ext => convertedExtensions.includes(ext));
+  if (path.resolve(originalDir) === path.resolve(convertedDir) && shared.length > 0) {
+    throw new Error(`원본과 변환본이 같은 디렉토리면 확장자가 겹치지 않아야 합니다: ${shared.join(', ')}`);
+  }
+  
+  const duplicates = [];
+  const indexByName = (files) => {
+    const index = new Map();
+    for (const file of files) {
+      const name = path.basename(file, path.extname(file));
+      if (index.has(name)) {
+        duplicates.push(file);
+      } else {
+        index.set(name, file);
+      }
+    }
+    return index;
+  };
+  
+  const originals = indexByName(await listFilesByExtension(originalDir, originalExtensions, recursive));
+  const converted = indexByName(await listFilesByExtension(convertedDir, convertedExtensions, recursive));
+  
+  const pairs = [];
+  const unmatchedOriginals = [];
+  for (const [name, original] of originals) {
+    if (converted.has(name)) {
+      pairs.push({ original, compressed: converted.get(name) });
+      converted.delete(name);
+    } else {
+      unmatchedOriginals.push(original);
+    }
+  }
+  
+  return {
+    pairs,
+    unmatchedOriginals,
+    unmatchedConverted: [...converted.values()],
+    duplicates
+  };
+}
+
 /**
  * 배치 품질 분석
  * @param {Array<{original: string, compressed: string}>} imagePairs - 이미지 쌍 배열
+ * @param {Object} options - compareImageQuality 분석 옵션
  * @returns {Promise<Array<QualityAnalysisResult>>} 품질 분석 결과 배열
  */
-async function batchQualityAnalysis(imagePairs) {
+async function batchQualityAnalysis(imagePairs, options = {}) {
   const results = [];
   
   console.log(`🔍 배치 품질 분석 시작: ${imagePairs.length}개 파일`);
@@ -294,7 +1171,7 @@ async function batchQualityAnalysis(imagePairs) {
     try {
       console.log(`📊 분석 중 (${i + 1}/${imagePairs.length}): ${path.basename(original)}`);
       
-      const result = await compareImageQuality(original, compressed);
+      const result = await compareImageQuality(original, compressed, options);
       result.metadata.batchIndex = i;
       result.metadata.originalFile = path.basename(original);
       result.metadata.compressedFile = path.basename(compressed);
@@ -316,7 +1193,9 @@ async function batchQualityAnalysis(imagePairs) {
           error: error.message,
           batchIndex: i,
           originalFile: path.basename(original),
-          compressedFile: path.basename(compressed)
+          compressedFile: path.basename(compressed),
+          originalPath: original,
+          compressedPath: compressed
         }
       });
     }
@@ -364,9 +1243,25 @@ function generateQualityReport(analysisResult) {
     report += `📈 품질 점수: ${result.qualityScore}/100\n`;
     report += `📏 PSNR: ${result.psnr}dB\n`;
     report += `🔗 SSIM: ${result.ssim}\n`;
+    if (result.msSsim !== null && result.msSsim !== undefined) {
+      report += `🔗 MS-SSIM: ${result.msSsim}\n`;
+    }
     report += `📦 압축률: ${(result.compressionRatio * 100).toFixed(1)}%\n`;
     report += `📐 해상도: ${result.metadata.width}x${result.metadata.height}\n`;
     report += `💾 크기 감소: ${(result.metadata.analysis.sizeSavings / 1024).toFixed(1)}KB\n`;
+    if (result.frames && result.frames.frameCount > 1) {
+      const { frames } = result;
+      report += `🎞️  프레임 수: ${frames.frameCount}${frames.frameCountMismatch ? ' (원본과 불일치)' : ''}\n`;
+      report += `   최저 프레임: #${frames.worstFrame.index} (PSNR ${frames.worstFrame.psnr}dB, SSIM ${frames.worstFrame.ssim})\n`;
+      report += `   평균 PSNR: ${frames.mean.psnr}dB, 평균 SSIM: ${frames.mean.ssim}\n`;
+      report += `   PSNR 백분위: p5 ${frames.percentiles.psnr.p5}dB / p50 ${frames.percentiles.psnr.p50}dB / p95 ${frames.percentiles.psnr.p95}dB\n`;
+    }
+    if (result.alpha) {
+      const { alpha } = result;
+      report += `🫥 알파 PSNR: ${alpha.psnr}dB\n`;
+      report += `   불투명도 반전 픽셀: ${alpha.flippedPixels}개 (${(alpha.flippedRatio * 100).toFixed(2)}%)\n`;
+      report += `   가장자리 PSNR: ${alpha.fringePSNR}dB (${alpha.edgePixels}px)\n`;
+    }
   } else {
     // 배치 분석 보고서
     const avgPSNR = validResults.reduce((sum, r) => sum + r.psnr, 0) / validResults.length;
@@ -396,25 +1291,255 @@ function generateQualityReport(analysisResult) {
   return report;
 }
 
+/**
+ * HTML 특수문자 이스케이프
+ * @param {*} value - 출력할 값
+ * @returns {string} 이스케이프된 문자열
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * 이미지 파일을 data URI로 변환 (오프라인 보고서용)
+ * @param {string} filePath - 이미지 경로
+ * @param {number} maxBytes - 포함할 최대 파일 크기
+ * @returns {Promise<string|null>} data URI (없거나 너무 크면 null)
+ */
+async function fileToDataURI(filePath, maxBytes) {
+  if (!filePath || !(await fs.pathExists(filePath))) {
+    return null;
+  }
+  
+  const stats = await fs.stat(filePath);
+  if (stats.size > maxBytes) {
+    return null;
+  }
+  
+  const mimeTypes = { '.gif': 'image/gif', '.webp': 'image/webp', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.avif': 'image/avif' };
+  const mime = mimeTypes[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+  const data = await fs.readFile(filePath);
+  
+  return `data:${mime};base64,${data.toString('base64')}`;
+}
+
+/**
+ * HTML 보고서의 미리보기 설명에 쓰는 확장자별 형식 이름
+ */
+const PREVIEW_FORMAT_LABELS = {
+  '.webp': 'WebP', '.gif': 'GIF', '.avif': 'AVIF', '.png': 'PNG',
+  '.jpg': 'JPEG', '.jpeg': 'JPEG', '.tif': 'TIFF', '.tiff': 'TIFF'
+};
+
+/**
+ * HTML 품질 분석 보고서 생성
+ * 외부 리소스 없이 동작하도록 미리보기 이미지, 스타일, 스크립트를 모두 포함
+ * @param {Array<QualityAnalysisResult>} results - batchQualityAnalysis 결과
+ * @param {Object} options - 보고서 옵션
+ * @param {string} options.title - 보고서 제목
+ * @param {boolean} options.embedPreviews - 미리보기 이미지 포함 여부 (기본: true)
+ * @param {number} options.maxPreviewSize - 미리보기로 포함할 최대 파일 크기 (기본: 5MB)
+ * @returns {Promise<string>} HTML 문서
+ */
+async function generateHtmlReport(results, options = {}) {
+  const {
+    title = 'ConvertWemp 품질 분석 보고서',
+    embedPreviews = true,
+    maxPreviewSize = 5 * 1024 * 1024
+  } = options;
+  
+  const list = Array.isArray(results) ? results : [results];
+  const grades = ['excellent', 'good', 'acceptable', 'poor', 'unacceptable', 'error'];
+  const gradeLabels = {
+    excellent: '우수', good: '양호', acceptable: '허용', poor: '부족', unacceptable: '불가', error: '오류'
+  };
+  const gradeColors = {
+    excellent: '#38a169', good: '#3182ce', acceptable: '#d69e2e', poor: '#dd6b20', unacceptable: '#e53e3e', error: '#718096'
+  };
+  
+  const formatSize = (bytes) => (bytes ? `${(bytes / 1024).toFixed(1)} KB` : '-');
+  const formatPSNR = (psnr) => (psnr === Infinity ? '∞' : `${psnr} dB`);
+  const sortValue = (value) => (value === Infinity ? 1e9 : value ?? 0);
+  
+  // 파일별 행
+  const rows = [];
+  for (const result of list) {
+    const meta = result.metadata || {};
+    const grade = meta.qualityGrade || 'error';
+    
+    const preview = async (filePath) => {
+      if (!embedPreviews) return '';
+      const uri = await fileToDataURI(filePath, maxPreviewSize);
+      return uri
+        ? `<img src="${uri}" alt="${escapeHtml(path.basename(filePath))}" loading="lazy">`
+        : '<span class="muted">미리보기 없음</span>';
+    };
+    
+    const name = meta.originalFile || path.basename(meta.originalPath || '');
+    const compressedName = meta.compressedFile || path.basename(meta.compressedPath || '');
+    const compressedLabel = PREVIEW_FORMAT_LABELS[path.extname(compressedName).toLowerCase()] || '변환본';
+    rows.push(`
+      <tr>
+        <td data-sort="${escapeHtml(name)}">
+          <div class="name">${escapeHtml(name)}</div>
+          <div class="muted">${escapeHtml(compressedName)}</div>
+          ${meta.error ? `<div class="error">${escapeHtml(meta.error)}</div>` : ''}
+        </td>
+        <td class="previews">
+          <figure>${await preview(meta.originalPath)}<figcaption>원본</figcaption></figure>
+          <figure>${await preview(meta.compressedPath)}<figcaption>${compressedLabel}</figcaption></figure>
+        </td>
+        <td data-sort="${sortValue(meta.originalSize)}">${formatSize(meta.originalSize)}</td>
+        <td data-sort="${sortValue(meta.compressedSize)}">${formatSize(meta.compressedSize)}</td>
+        <td data-sort="${sortValue(result.compressionRatio)}">${(result.compressionRatio * 100).toFixed(1)}%</td>
+        <td data-sort="${sortValue(result.psnr)}">${formatPSNR(result.psnr)}</td>
+        <td data-sort="${sortValue(result.ssim)}">${result.ssim}</td>
+        <td data-sort="${sortValue(result.qualityScore)}">${result.qualityScore}</td>
+        <td data-sort="${grades.indexOf(grade)}"><span class="grade" style="background:${gradeColors[grade]}">${gradeLabels[grade] || escapeHtml(grade)}</span></td>
+      </tr>`);
+  }
+  
+  // 등급 분포 차트 (인라인 SVG)
+  const counts = grades.map(grade => list.filter(r => (r.metadata?.qualityGrade || 'error') === grade).length);
+  const maxCount = Math.max(1, ...counts);
+  const barHeight = 22;
+  const chart = `
+    <svg class="chart" viewBox="0 0 420 ${grades.length * (barHeight + 6)}" role="img" aria-label="품질 등급 분포">
+      ${grades.map((grade, i) => {
+        const y = i * (barHeight + 6);
+        const width = (counts[i] / maxCount) * 300;
+        return `<text x="0" y="${y + 16}">${gradeLabels[grade]}</text>` +
+          `<rect x="60" y="${y}" width="${width}" height="${barHeight}" rx="3" fill="${gradeColors[grade]}"></rect>` +
+          `<text x="${66 + width}" y="${y + 16}">${counts[i]}</text>`;
+      }).join('')}
+    </svg>`;
+  
+  const valid = list.filter(r => r.psnr > 0);
+  const average = (key) => (valid.length > 0
+    ? valid.reduce((sum, r) => sum + (Number.isFinite(r[key]) ? r[key] : 0), 0) / valid.length
+    : 0);
+  
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #2d3748; background: #f7fafc; }
+  h1 { color: #5a67d8; }
+  .summary { display: flex; gap: 24px; flex-wrap: wrap; align-items: flex-start; margin-bottom: 24px; }
+  .card { background: #fff; border-radius: 8px; padding: 16px 20px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+  .chart { width: 420px; font-size: 13px; }
+  table { width: 100%; border-collapse: collapse; background: #fff; box-shadow: 0 1px 3px rgba(0,0,0,0.1); }
+  th, td { padding: 8px 10px; border-bottom: 1px solid #e2e8f0; text-align: left; vertical-align: middle; }
+  th { background: #edf2f7; cursor: pointer; user-select: none; white-space: nowrap; }
+  th.sorted-asc::after { content: ' ▲'; }
+  th.sorted-desc::after { content: ' ▼'; }
+  .previews { display: flex; gap: 8px; }
+  figure { margin: 0; text-align: center; }
+  figure img { max-width: 160px; max-height: 160px; background: repeating-conic-gradient(#ddd 0% 25%, #fff 0% 50%) 50% / 16px 16px; }
+  figcaption, .muted { color: #718096; font-size: 12px; }
+  .name { font-weight: 600; }
+  .error { color: #e53e3e; font-size: 12px; }
+  .grade { color: #fff; padding: 2px 8px; border-radius: 10px; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">생성 시각: ${escapeHtml(new Date().toISOString())}</p>
+<section class="summary">
+  <div class="card">
+    <div>총 파일 수: <strong>${list.length}</strong> (성공 ${valid.length} / 실패 ${list.length - valid.length})</div>
+    <div>평균 품질 점수: <strong>${average('qualityScore').toFixed(1)}</strong></div>
+    <div>평균 PSNR: <strong>${average('psnr').toFixed(2)} dB</strong></div>
+    <div>평균 SSIM: <strong>${average('ssim').toFixed(4)}</strong></div>
+    <div>평균 압축률: <strong>${(average('compressionRatio') * 100).toFixed(1)}%</strong></div>
+  </div>
+  <div class="card">${chart}</div>
+</section>
+<table id="results">
+  <thead>
+    <tr>
+      <th data-type="text">파일</th>
+      <th data-nosort>미리보기 (원본 / 변환본)</th>
+      <th data-type="number">원본 크기</th>
+      <th data-type="number">출력 크기</th>
+      <th data-type="number">압축률</th>
+      <th data-type="number">PSNR</th>
+      <th data-type="number">SSIM</th>
+      <th data-type="number">점수</th>
+      <th data-type="number">등급</th>
+    </tr>
+  </thead>
+  <tbody>${rows.join('')}
+  </tbody>
+</table>
+<script>
+  (function () {
+    var table = document.getElementById('results');
+    var headers = table.querySelectorAll('th');
+    headers.forEach(function (th, column) {
+      if (th.hasAttribute('data-nosort')) return;
+      th.addEventListener('click', function () {
+        var ascending = !th.classList.contains('sorted-asc');
+        headers.forEach(function (h) { h.classList.remove('sorted-asc', 'sorted-desc'); });
+        th.classList.add(ascending ? 'sorted-asc' : 'sorted-desc');
+        var numeric = th.getAttribute('data-type') === 'number';
+        var body = table.tBodies[0];
+        Array.prototype.slice.call(body.rows).sort(function (a, b) {
+          var x = a.cells[column].getAttribute('data-sort');
+          var y = b.cells[column].getAttribute('data-sort');
+          var order = numeric ? parseFloat(x) - parseFloat(y) : x.localeCompare(y);
+          return ascending ? order : -order;
+        }).forEach(function (row) { body.appendChild(row); });
+      });
+    });
+  })();
+</script>
+</body>
+</html>
+`;
+}
+
 /**
  * 품질 기준 검증
+ * 평균 PSNR이 높아도 중간의 깨진 프레임을 놓치지 않도록 프레임별 PSNR은 기본으로 minPSNR과 같은 기준을 적용한다
+ * (minFramePSNR: null로 생략 가능)
  * @param {QualityAnalysisResult} result - 분석 결과
  * @param {Object} criteria - 품질 기준
  * @returns {boolean} 기준 통과 여부
  */
 function validateQualityCriteria(result, criteria = {}) {
   const {
-    minPSNR = 35,
+    minPSNR = 35, // null이면 해당 기준 생략
     minQualityScore = 75,
     maxCompressionRatio = 0.64,
-    minCompressionRatio = 0.60
+    minCompressionRatio = 0.60,
+    minFramePSNR = minPSNR, // 모든 프레임이 이 값 이상이어야 함 (기본값: minPSNR, null이면 생략)
+    minFrameSSIM = null, // 지정 시 모든 프레임이 이 값 이상이어야 함
+    minAlphaPSNR = null, // 지정 시 알파 채널 기준 적용
+    maxFlippedRatio = null
   } = criteria;
   
+  const perFrame = result.frames?.perFrame || [];
+  const lowPSNRFrames = minFramePSNR === null ? [] : perFrame.filter(f => f.psnr < minFramePSNR);
+  const lowSSIMFrames = minFrameSSIM === null ? [] : perFrame.filter(f => f.ssim < minFrameSSIM);
+  
   const checks = {
-    psnr: result.psnr >= minPSNR,
-    qualityScore: result.qualityScore >= minQualityScore,
-    compressionRatio: result.compressionRatio >= minCompressionRatio && 
-                     result.compressionRatio <= maxCompressionRatio
+    psnr: minPSNR === null || result.psnr >= minPSNR,
+    qualityScore: minQualityScore === null || result.qualityScore >= minQualityScore,
+    compressionRatio: (minCompressionRatio === null || result.compressionRatio >= minCompressionRatio) && 
+                     (maxCompressionRatio === null || result.compressionRatio <= maxCompressionRatio),
+    framePSNR: lowPSNRFrames.length === 0,
+    frameSSIM: lowSSIMFrames.length === 0,
+    alphaPSNR: minAlphaPSNR === null || !result.alpha || result.alpha.psnr >= minAlphaPSNR,
+    flippedRatio: maxFlippedRatio === null || !result.alpha || result.alpha.flippedRatio <= maxFlippedRatio
   };
   
   const passed = Object.values(checks).every(check => check);
@@ -423,7 +1548,11 @@ function validateQualityCriteria(result, criteria = {}) {
     console.warn('⚠️  품질 기준 미달:');
     if (!checks.psnr) console.warn(`   PSNR: ${result.psnr}dB < ${minPSNR}dB`);
     if (!checks.qualityScore) console.warn(`   품질 점수: ${result.qualityScore} < ${minQualityScore}`);
-    if (!checks.compressionRatio) console.warn(`   압축률: ${(result.compressionRatio * 100).toFixed(1)}% (목표: ${minCompressionRatio * 100}-${maxCompressionRatio * 100}%)`);
+    if (!checks.compressionRatio) console.warn(`   압축률: ${(result.compressionRatio * 100).toFixed(1)}% (목표: ${(minCompressionRatio ?? 0) * 100}-${(maxCompressionRatio ?? 1) * 100}%)`);
+    if (!checks.framePSNR) console.warn(`   프레임 PSNR < ${minFramePSNR}dB: ${lowPSNRFrames.map(f => `#${f.index}(${f.psnr}dB)`).join(', ')}`);
+    if (!checks.frameSSIM) console.warn(`   프레임 SSIM < ${minFrameSSIM}: ${lowSSIMFrames.map(f => `#${f.index}(${f.ssim})`).join(', ')}`);
+    if (!checks.alphaPSNR) console.warn(`   알파 PSNR: ${result.alpha.psnr}dB < ${minAlphaPSNR}dB`);
+    if (!checks.flippedRatio) console.warn(`   불투명도 반전 비율: ${(result.alpha.flippedRatio * 100).toFixed(2)}% > ${maxFlippedRatio * 100}%`);
   }
   
   return passed;
@@ -432,12 +1561,19 @@ function validateQualityCriteria(result, criteria = {}) {
 export {
   compareImageQuality,
   batchQualityAnalysis,
+  matchImagePairs,
   generateQualityReport,
+  generateHtmlReport,
   validateQualityCriteria,
   calculateMSE,
   calculatePSNR,
   estimateSSIM,
+  calculateSSIM,
+  calculateChannelSSIM,
+  calculateMSSSIM,
   calculateQualityScore,
-  imageToPixelArray,
-  QUALITY_THRESHOLDS
+  getQualityGrade,
+  imageToFrameArrays,
+  QUALITY_THRESHOLDS,
+  DIFF_FORMATS
 }; 
\ No newline at end of file
@@ -0,0 +1,429 @@
+/**
+ * 기계 판독용 보고서 내보내기 모듈
+ * 배치 변환 결과와 품질 분석 결과를 JSON/CSV로 저장 (CI 연동용)
+ *
+ * @author ConvertWemp Team
+ * @version 1.0.0
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * JSON 보고서 스키마 버전
+ * 필드가 추가되면 minor, 기존 필드의 의미/형식이 바뀌면 major를 올린다.
+ */
+const REPORT_SCHEMA_VERSION = '1.14';
+
+/**
+ * 보고서 공통 구조
+ * @typedef {Object} Report
+ * @property {string} schemaVersion - 스키마 버전 (REPORT_SCHEMA_VERSION)
+ * @property {'batch'|'analysis'} type - 보고서 종류
+ * @property {string} generatedAt - 생성 시각 (ISO 8601)
+ * @property {{name: string, version: string}} tool - 생성 도구 정보
+ * @property {Object} settings - 작업에 사용된 옵션
+ * @property {Object} summary - 집계 통계
+ * @property {Array<BatchFileRecord|AnalysisFileRecord>} files - 파일별 결과
+ */
+
+/**
+ * 배치 변환 파일별 결과
+ * @typedef {Object} BatchFileRecord
+ * @property {string} inputPath - 입력 파일 경로
+ * @property {string|null} outputPath - 출력 파일 경로
+ * @property {boolean} success - 성공 여부
+ * @property {boolean} skipped - 출력이 원본보다 커서 저장하지 않았는지 여부
+ * @property {string|null} sourceFormat - 입력 형식 (gif, webp, tiff, png, jpeg, avif)
+ * @property {string|null} outputFormat - 출력 형식 (webp, gif, avif) - 여러 형식이면 주 출력(첫 형식)
+ * @property {number|null} inputSize - 입력 크기 (bytes)
+ * @property {number|null} outputSize - 출력 크기 (bytes)
+ * @property {number|null} savedBytes - 절감 크기 (bytes)
+ * @property {number|null} compressionRatio - 압축률 (%)
+ * @property {number} processingTime - 처리 시간 (ms)
+ * @property {Object|null} settings - 실제 사용된 인코딩 설정
+ * @property {Object|null} sizeTarget - 목표 크기 탐색 결과
+ * @property {Object|null} optimization - 최적화 전략 선택 결과 (strategy, selectedStrategy, selectionReason 등)
+ * @property {Object|null} sizeGuard - 출력이 원본보다 컸을 때의 처리 내역 (policy, action, mode, initialSize, finalSize)
+ * @property {Object|null} crop - 자르기 내역 (left, top, width, height, auto)
+ * @property {Object|null} resize - 크기 조정 내역 (fit, kernel, inputWidth, inputHeight, outputWidth, outputHeight)
+ * @property {Object|null} frameRate - 프레임 줄이기 내역 (sourceFrames, outputFrames, sourceFps, outputFps, duration)
+ * @property {Object|null} duplicates - 중복 프레임 병합 내역 (threshold, sourceFrames, outputFrames, removed, savedBytes)
+ * @property {Object|null} playback - 재생 속도/순서 내역 (speed, reverse, boomerang, sourceFrames, outputFrames, sourceDuration, duration, loop)
+ * @property {Object|null} timing - 출력 타이밍 (sourceFrames, sourceLoop, frames, duration, loop, mergedFrames, verified)
+ * @property {Object|null} quality - 품질 지표 (품질 분석을 실행한 경우)
+ * @property {string|null} error - 오류 메시지
+ * @property {string|null} errorCode - 입력 검사 오류 코드 (input-format.js의 INPUT_ERROR_CODES)
+ * @property {Object<string, OutputRecord>|null} outputs - 출력 형식별 결과 (여러 형식을 출력한 경우)
+ */
+
+/**
+ * 여러 형식 출력의 형식별 결과
+ * @typedef {Object} OutputRecord
+ * @property {string|null} outputPath - 출력 파일 경로
+ * @property {boolean} success - 성공 여부
+ * @property {boolean} skipped - 출력이 원본보다 커서 저장하지 않았는지 여부
+ * @property {number|null} outputSize - 출력 크기 (bytes)
+ * @property {number|null} compressionRatio - 압축률 (%)
+ * @property {number} processingTime - 처리 시간 (ms)
+ * @property {Object|null} settings - 실제 사용된 형식별 인코딩 설정
+ * @property {Object|null} quality - 품질 지표 (품질 분석을 실행하고 저장된 출력만)
+ * @property {string|null} error - 오류 메시지
+ */
+
+/**
+ * 품질 분석 파일별 결과
+ * @typedef {Object} AnalysisFileRecord
+ * @property {string} originalPath - 원본 경로
+ * @property {string} compressedPath - 변환본 경로
+ * @property {number|null} originalSize - 원본 크기 (bytes)
+ * @property {number|null} compressedSize - 변환본 크기 (bytes)
+ * @property {number} compressionRatio - 압축률 (0-1)
+ * @property {number|null} psnr - PSNR (dB, 동일 이미지는 null)
+ * @property {number} ssim - SSIM (단일 스케일)
+ * @property {number|null} msSsim - MS-SSIM (계산한 경우만)
+ * @property {number} qualityScore - 품질 점수 (0-100)
+ * @property {string} grade - 품질 등급
+ * @property {Object|null} frames - 프레임 요약 (count, worstIndex, worstPSNR, meanPSNR, p5PSNR)
+ * @property {Object|null} alpha - 알파 요약 (psnr, flippedPixels, fringePSNR)
+ * @property {string|null} error - 오류 메시지
+ */
+
+/**
+ * JSON에 표현할 수 없는 무한대 값을 null로 변환
+ * @param {number} value - 숫자 값
+ * @returns {number|null} 유한한 값 또는 null
+ */
+function finiteOrNull(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * package.json에서 도구 정보 읽기
+ * @returns {Promise<{name: string, version: string}>} 도구 이름과 버전
+ */
+async function getToolInfo() {
+  try {
+    const pkg = await fs.readJson(new URL('../package.json', import.meta.url));
+    return { name: pkg.name, version: pkg.version };
+  } catch {
+    return { name: 'convertwemp', version: 'unknown' };
+  }
+}
+
+/**
+ * 출력 형식별 성공/건너뜀/실패 수와 출력 크기 집계 (여러 형식을 출력한 결과만)
+ * @param {Object[]} results - convertFile 결과 배열
+ * @returns {Object<string, {successful: number, skipped: number, failed: number, outputSize: number}>} 형식별 집계
+ */
+function summarizeOutputFormats(results) {
+  const summary = {};
+  results.flatMap(result => result.outputs ?? []).forEach(output => {
+    if (!summary[output.outputFormat]) {
+      summary[output.outputFormat] = { successful: 0, skipped: 0, failed: 0, outputSize: 0 };
+    }
+    const entry = summary[output.outputFormat];
+    if (!output.success) {
+      entry.failed++;
+    } else if (output.skipped) {
+      entry.skipped++;
+    } else {
+      entry.successful++;
+      entry.outputSize += output.outputSize;
+    }
+  });
+  return summary;
+}
+
+/**
+ * 배치 변환 보고서 생성
+ * @param {Object[]} results - convertFile 결과 배열
+ * @param {Object} stats - GifToWebPConverter.getStats() 결과
+ * @param {Object} context - { totalTime, settings }
+ * @returns {Promise<Report>} 보고서 객체
+ */
+async function createBatchReport(results, stats, context = {}) {
+  const successful = results.filter(r => r.success);
+  const strategies = {};
+  successful.filter(r => r.optimization).forEach(r => {
+    strategies[r.optimization.selectedStrategy] = (strategies[r.optimization.selectedStrategy] || 0) + 1;
+  });
+
+  const files = results.map(result => ({
+    inputPath: result.inputPath,
+    outputPath: result.outputPath ?? null,
+    success: result.success,
+    skipped: result.skipped ?? false,
+    sourceFormat: result.sourceFormat ?? null,
+    outputFormat: result.outputFormat ?? null,
+    inputSize: result.inputSize ?? null,
+    outputSize: result.outputSize ?? null,
+    savedBytes: result.savedBytes ?? null,
+    compressionRatio: result.compressionRatio ?? null,
+    processingTime: result.processingTime ?? 0,
+    settings: result.settings ?? null,
+    sizeTarget: result.sizeTarget ?? null,
+    optimization: result.optimization ? {
+      ...result.optimization,
+      psnr: finiteOrNull(result.optimization.psnr)
+    } : null,
+    sizeGuard: result.sizeGuard ? {
+      policy: result.sizeGuard.policy,
+      action: result.sizeGuard.action,
+      mode: result.sizeGuard.mode,
+      initialSize: result.sizeGuard.initialSize,
+      finalSize: result.sizeGuard.finalSize
+    } : null,
+    crop: result.crop ? {
+      left: result.crop.left,
+      top: result.crop.top,
+      width: result.crop.width,
+      height: result.crop.height,
+      auto: result.crop.auto
+    } : null,
+    resize: result.resize ? {
+      fit: result.resize.fit,
+      kernel: result.resize.kernel,
+      inputWidth: result.resize.inputWidth,
+      inputHeight: result.resize.inputHeight,
+      outputWidth: result.resize.outputWidth,
+      outputHeight: result.resize.outputHeight
+    } : null,
+    frameRate: result.frameRate ? {
+      sourceFrames: result.frameRate.sourceFrames,
+      outputFrames: result.frameRate.outputFrames,
+      sourceFps: result.frameRate.sourceFps,
+      outputFps: result.frameRate.outputFps,
+      duration: result.frameRate.duration
+    } : null,
+    duplicates: result.duplicates ? {
+      threshold: result.duplicates.threshold,
+      sourceFrames: result.duplicates.sourceFrames,
+      outputFrames: result.duplicates.outputFrames,
+      removed: result.duplicates.removed,
+      savedBytes: result.duplicates.savedBytes
+    } : null,
+    playback: result.playback ? {
+      speed: result.playback.speed,
+      reverse: result.playback.reverse,
+      boomerang: result.playback.boomerang,
+      sourceFrames: result.playback.sourceFrames,
+      outputFrames: result.playback.outputFrames,
+      sourceDuration: result.playback.sourceDuration,
+      duration: result.playback.duration,
+      loop: result.playback.loop
+    } : null,
+    timing: result.timing ? {
+      sourceFrames: result.timing.sourceFrames,
+      sourceLoop: result.timing.sourceLoop,
+      frames: result.timing.frames,
+      duration: result.timing.duration,
+      loop: result.timing.loop,
+      mergedFrames: result.timing.mergedFrames,
+      verified: result.timing.verified
+    } : null,
+    quality: result.quality ? {
+      ...result.quality,
+      psnr: finiteOrNull(result.quality.psnr),
+      worstFramePSNR: finiteOrNull(result.quality.worstFramePSNR)
+    } : null,
+    error: result.error ?? null,
+    errorCode: result.errorCode ?? null,
+    // CSV에서 outputs.avif.outputSize처럼 펼쳐지도록 형식 이름을 키로 사용
+    outputs: result.outputs ? Object.fromEntries(result.outputs.map(output => [output.outputFormat, {
+      outputPath: output.outputPath ?? null,
+      success: output.success,
+      skipped: output.skipped ?? false,
+      outputSize: output.outputSize ?? null,
+      compressionRatio: output.compressionRatio ?? null,
+      processingTime: output.processingTime ?? 0,
+      settings: output.settings ?? null,
+      quality: output.quality ? {
+        ...output.quality,
+        psnr: finiteOrNull(output.quality.psnr),
+        worstFramePSNR: finiteOrNull(output.quality.worstFramePSNR)
+      } : null,
+      error: output.error ?? null
+    }])) : null
+  }));
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    type: 'batch',
+    generatedAt: new Date().toISOString(),
+    tool: await getToolInfo(),
+    settings: context.settings ?? {},
+    summary: {
+      ...stats,
+      total: results.length,
+      successful: successful.length,
+      failed: results.length - successful.length,
+      grew: results.filter(r => r.sizeGuard).length,
+      totalTime: context.totalTime ?? null,
+      avgProcessingTime: successful.length > 0
+        ? successful.reduce((sum, r) => sum + r.processingTime, 0) / successful.length
+        : 0,
+      strategies,
+      outputFormats: summarizeOutputFormats(results)
+    },
+    files
+  };
+}
+
+/**
+ * 품질 분석 보고서 생성
+ * @param {Array<QualityAnalysisResult>} results - compareImageQuality/batchQualityAnalysis 결과
+ * @param {Object} context - { settings, criteria, passed }
+ * @returns {Promise<Report>} 보고서 객체
+ */
+async function createAnalysisReport(results, context = {}) {
+  const list = Array.isArray(results) ? results : [results];
+  const valid = list.filter(r => r.psnr > 0);
+  const average = (key) => (valid.length > 0
+    ? valid.reduce((sum, r) => sum + (Number.isFinite(r[key]) ? r[key] : 0), 0) / valid.length
+    : 0);
+
+  const grades = {};
+  list.forEach(r => {
+    const grade = r.metadata?.qualityGrade || 'error';
+    grades[grade] = (grades[grade] || 0) + 1;
+  });
+
+  const files = list.map(result => {
+    const meta = result.metadata || {};
+    return {
+      originalPath: meta.originalPath ?? null,
+      compressedPath: meta.compressedPath ?? null,
+      originalSize: meta.originalSize ?? null,
+      compressedSize: meta.compressedSize ?? null,
+      compressionRatio: result.compressionRatio,
+      psnr: finiteOrNull(result.psnr),
+      ssim: result.ssim,
+      msSsim: result.msSsim ?? null,
+      ssimMethod: meta.ssimMethod ?? null,
+      qualityScore: result.qualityScore,
+      grade: meta.qualityGrade || 'error',
+      frames: result.frames ? {
+        count: result.frames.frameCount,
+        countMismatch: result.frames.frameCountMismatch,
+        worstIndex: result.frames.worstFrame.index,
+        worstPSNR: finiteOrNull(result.frames.worstFrame.psnr),
+        meanPSNR: finiteOrNull(result.frames.mean.psnr),
+        p5PSNR: finiteOrNull(result.frames.percentiles.psnr.p5)
+      } : null,
+      alpha: result.alpha ? {
+        psnr: finiteOrNull(result.alpha.psnr),
+        flippedPixels: result.alpha.flippedPixels,
+        fringePSNR: finiteOrNull(result.alpha.fringePSNR)
+      } : null,
+      passed: result.passed ?? null,
+      error: meta.error ?? null
+    };
+  });
+
+  return {
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    type: 'analysis',
+    generatedAt: new Date().toISOString(),
+    tool: await getToolInfo(),
+    settings: context.settings ?? {},
+    summary: {
+      total: list.length,
+      successful: valid.length,
+      failed: list.length - valid.length,
+      avgPSNR: average('psnr'),
+      avgSSIM: average('ssim'),
+      avgQualityScore: average('qualityScore'),
+      avgCompressionRatio: average('compressionRatio'),
+      grades,
+      criteria: context.criteria ?? null,
+      passed: context.passed ?? null
+    },
+    files
+  };
+}
+
+/**
+ * 중첩 객체를 점 표기 키로 평탄화
+ * @param {Object} object - 평탄화할 객체
+ * @param {string} prefix - 키 접두사
+ * @returns {Object} 평탄화된 객체
+ */
+function flatten(object, prefix = '') {
+  const flat = {};
+
+  for (const [key, value] of Object.entries(object)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flatten(value, name));
+    } else {
+      flat[name] = Array.isArray(value) ? value.join(' ') : value;
+    }
+  }
+
+  return flat;
+}
+
+/**
+ * CSV 필드 이스케이프 (RFC 4180)
+ * @param {*} value - 필드 값
+ * @returns {string} 이스케이프된 필드
+ */
+function escapeCsv(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 보고서의 파일별 결과를 CSV로 변환 (중첩 필드는 점 표기 열)
+ * @param {Report} report - 보고서 객체
+ * @returns {string} CSV 텍스트
+ */
+function reportToCsv(report) {
+  const rows = report.files.map(file => flatten(file));
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+
+  const lines = [columns.map(escapeCsv).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsv(row[column])).join(','));
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * 보고서 파일 저장
+ * @param {Report} report - 보고서 객체
+ * @param {Object} targets - { json: JSON 경로, csv: CSV 경로 }
+ * @returns {Promise<string[]>} 저장된 파일 경로
+ */
+async function writeReport(report, targets = {}) {
+  const written = [];
+
+  if (targets.json) {
+    await fs.outputFile(targets.json, JSON.stringify(report, null, 2) + '\n');
+    written.push(path.resolve(targets.json));
+  }
+
+  if (targets.csv) {
+    await fs.outputFile(targets.csv, reportToCsv(report));
+    written.push(path.resolve(targets.csv));
+  }
+
+  return written;
+}
+
+export {
+  createBatchReport,
+  createAnalysisReport,
+  reportToCsv,
+  writeReport,
+  summarizeOutputFormats,
+  REPORT_SCHEMA_VERSION
+};
@@ -0,0 +1,608 @@
+/**
+ * 애니메이션 프레임 변환 모듈
+ * 변환 시 모든 프레임에 동일하게 적용할 자르기/크기 조정, 프레임 줄이기, 중복 프레임 병합, 재생 속도/순서 옵션 정의, 검증, Sharp 파이프라인 적용
+ *
+ * @author ConvertWemp Team
+ * @version 1.0.0
+ */
+
+import sharp from 'sharp';
+
+/**
+ * 크기 조정 맞춤 방식 (Sharp fit)
+ */
+const RESIZE_FITS = ['inside', 'contain', 'cover', 'fill', 'outside'];
+
+/**
+ * 크기 조정 커널 (Sharp kernel)
+ */
+const RESIZE_KERNELS = Object.keys(sharp.kernel);
+
+/**
+ * 자동 자르기 기본 임계값 (배경/첫 프레임과의 채널 차이, Sharp trim()과 같은 기본값)
+ */
+const DEFAULT_TRIM_THRESHOLD = 10;
+
+/**
+ * 중복 프레임 병합 기본 임계값 (직전에 남긴 프레임과의 픽셀별 최대 채널 차이)
+ */
+const DEFAULT_DEDUPE_THRESHOLD = 4;
+
+/**
+ * 지연 시간 정보가 없는 프레임의 기본 지연 시간 (ms)
+ */
+const DEFAULT_FRAME_DELAY = 100;
+
+/**
+ * WebP 프레임 지연 시간 상한 (ms)
+ */
+const MAX_FRAME_DELAY = 65535;
+
+/**
+ * 프레임 변환 옵션
+ * @typedef {Object} TransformOptions
+ * @property {{x: number, y: number, width: number, height: number}} [crop] - 자를 영역 (px, 크기 조정 전 적용)
+ * @property {boolean} [autoTrim] - 정적인 배경 테두리 자동 자르기
+ * @property {number} [trimThreshold] - 자동 자르기 임계값 (0-255, 기본값: 10)
+ * @property {number} [width] - 출력 프레임 너비 (px)
+ * @property {number} [height] - 출력 프레임 높이 (px)
+ * @property {number} [maxDimension] - 긴 변의 최대 길이 (px, 확대하지 않음)
+ * @property {number} [scale] - 배율 (%, 예: 50 = 절반)
+ * @property {string} [fit] - 너비/높이를 모두 지정할 때의 맞춤 방식 (기본값: inside)
+ * @property {string} [kernel] - 크기 조정 커널 (기본값: lanczos3)
+ * @property {number} [maxFps] - 최대 초당 프레임 수 (초과하는 프레임은 제거하고 지연 시간을 앞 프레임에 더함)
+ * @property {number} [dropEvery] - N번째 프레임마다 제거 (2 이상, 지연 시간은 앞 프레임에 더함)
+ * @property {boolean} [dedupe] - 연속된 중복 프레임을 하나로 병합 (지연 시간은 합산)
+ * @property {number} [dedupeThreshold] - 중복으로 볼 픽셀별 최대 채널 차이 (0-255, 기본값: 4)
+ * @property {number} [speed] - 재생 속도 배율 (예: 2 = 두 배 빠르게, 모든 지연 시간을 나눔)
+ * @property {boolean} [reverse] - 거꾸로 재생
+ * @property {boolean} [boomerang] - 정방향 재생 후 양 끝 프레임을 반복하지 않고 역방향 재생
+ */
+
+const isPositiveInteger = (value) => (Number.isInteger(value) && value > 0) || '양의 정수여야 합니다';
+const isCropRegion = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return '{ x, y, width, height } 객체여야 합니다';
+  const valid = Number.isInteger(value.x) && value.x >= 0 && Number.isInteger(value.y) && value.y >= 0 &&
+    Number.isInteger(value.width) && value.width > 0 && Number.isInteger(value.height) && value.height > 0;
+  return valid || 'x, y는 0 이상, width, height는 양의 정수여야 합니다';
+};
+
+/**
+ * 옵션별 검증 규칙 (통과 시 true, 실패 시 오류 설명)
+ */
+const TRANSFORM_OPTION_RULES = {
+  crop: isCropRegion,
+  autoTrim: (value) => typeof value === 'boolean' || 'true 또는 false여야 합니다',
+  trimThreshold: (value) => (Number.isInteger(value) && value >= 0 && value <= 255) || '0-255 정수여야 합니다',
+  width: isPositiveInteger,
+  height: isPositiveInteger,
+  maxDimension: isPositiveInteger,
+  scale: (value) => (typeof value === 'number' && value > 0 && value <= 1000) || '0보다 크고 1000 이하인 숫자(%)여야 합니다',
+  fit: (value) => RESIZE_FITS.includes(value) || `${RESIZE_FITS.join(', ')} 중 하나여야 합니다`,
+  kernel: (value) => RESIZE_KERNELS.includes(value) || `${RESIZE_KERNELS.join(', ')} 중 하나여야 합니다`,
+  maxFps: (value) => (typeof value === 'number' && value > 0 && value <= 1000) || '0보다 크고 1000 이하인 숫자여야 합니다',
+  dropEvery: (value) => (Number.isInteger(value) && value >= 2) || '2 이상의 정수여야 합니다',
+  dedupe: (value) => typeof value === 'boolean' || 'true 또는 false여야 합니다',
+  dedupeThreshold: (value) => (Number.isInteger(value) && value >= 0 && value <= 255) || '0-255 정수여야 합니다',
+  speed: (value) => (typeof value === 'number' && value > 0 && value <= 100) || '0보다 크고 100 이하인 숫자(배속)여야 합니다',
+  reverse: (value) => typeof value === 'boolean' || 'true 또는 false여야 합니다',
+  boomerang: (value) => typeof value === 'boolean' || 'true 또는 false여야 합니다'
+};
+
+/**
+ * 프레임 변환 옵션 검증 (정의되지 않은 값은 건너뜀)
+ * 자르기 영역과 자동 자르기, 너비/높이, 최대 길이, 배율, 그리고 maxFps와 dropEvery는 각각 함께 쓸 수 없다.
+ * @param {TransformOptions} options - 검증할 옵션
+ * @returns {TransformOptions} 검증된 옵션
+ */
+function validateTransformOptions(options) {
+  for (const [key, rule] of Object.entries(TRANSFORM_OPTION_RULES)) {
+    const value = options[key];
+    if (value === undefined || value === null) continue;
+
+    const check = rule(value);
+    if (check !== true) {
+      const shown = typeof value === 'number' ? String(value) : JSON.stringify(value);
+      throw new Error(`프레임 변환 옵션 오류 - ${key}: ${shown} (${check})`);
+    }
+  }
+
+  if (options.crop != null && options.autoTrim) {
+    throw new Error('프레임 변환 옵션 오류 - crop, autoTrim은(는) 함께 사용할 수 없습니다');
+  }
+
+  if (options.maxFps != null && options.dropEvery != null) {
+    throw new Error('프레임 변환 옵션 오류 - maxFps, dropEvery은(는) 함께 사용할 수 없습니다');
+  }
+
+  const modes = [
+    (options.width ?? options.height) != null && 'width/height',
+    options.maxDimension != null && 'maxDimension',
+    options.scale != null && 'scale'
+  ].filter(Boolean);
+
+  if (modes.length > 1) {
+    throw new Error(`프레임 변환 옵션 오류 - ${modes.join(', ')}은(는) 함께 사용할 수 없습니다`);
+  }
+
+  return options;
+}
+
+/**
+ * 두 RGBA 픽셀이 임계값보다 크게 다른지 비교 (완전히 투명한 픽셀은 색상과 관계없이 같은 값으로 취급)
+ * @param {Buffer} data - RGBA 픽셀 데이터
+ * @param {number} a - 첫 픽셀 오프셋
+ * @param {number} b - 두 번째 픽셀 오프셋
+ * @param {number} threshold - 채널 차이 임계값 (0-255)
+ * @returns {boolean} 다르면 true
+ */
+function pixelDiffers(data, a, b, threshold) {
+  if (data[a + 3] === 0 && data[b + 3] === 0) return false;
+  return Math.abs(data[a] - data[b]) > threshold ||
+    Math.abs(data[a + 1] - data[b + 1]) > threshold ||
+    Math.abs(data[a + 2] - data[b + 2]) > threshold ||
+    Math.abs(data[a + 3] - data[b + 3]) > threshold;
+}
+
+/**
+ * 자르기 영역을 입력 프레임 범위와 비교해 Sharp extract() 설정으로 변환
+ * @param {{x: number, y: number, width: number, height: number}} crop - 자를 영역
+ * @param {{width: number, pageHeight: number}} frame - 입력 프레임 크기
+ * @returns {{left: number, top: number, width: number, height: number}} Sharp extract() 옵션
+ */
+function resolveCrop(crop, frame) {
+  if (crop.x + crop.width > frame.width || crop.y + crop.height > frame.pageHeight) {
+    throw new Error(`자르기 영역이 프레임을 벗어납니다: ${crop.x},${crop.y} ${crop.width}x${crop.height} (프레임 ${frame.width}x${frame.pageHeight})`);
+  }
+  return { left: crop.x, top: crop.y, width: crop.width, height: crop.height };
+}
+
+/**
+ * 자동 자르기 영역 탐지
+ * 어느 프레임에서든 배경색(첫 프레임 왼쪽 위 픽셀)과 다르거나 첫 프레임과 달라지는
+ * 픽셀의 경계 상자를 구한다. 모든 프레임에 같은 영역을 적용해야 애니메이션이 어긋나지 않는다.
+ * @param {string|Buffer} inputPath - 입력 이미지 경로 또는 데이터
+ * @param {Object} options - { threshold: 채널 차이 임계값 (0-255) }
+ * @returns {Promise<{left: number, top: number, width: number, height: number}|null>}
+ *   Sharp extract() 옵션 (자를 테두리가 없거나 내용이 없으면 null)
+ */
+async function detectTrimBox(inputPath, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_TRIM_THRESHOLD;
+  const { data, info } = await sharp(inputPath, { animated: true, limitInputPixels: false })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const width = info.width;
+  const height = info.pageHeight || info.height;
+  const frameCount = info.pages || 1;
+  const frameBytes = width * height * 4;
+
+  const differs = (a, b) => pixelDiffers(data, a, b, threshold);
+
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // 이미 경계 상자 안에 있는 픽셀은 다시 검사할 필요 없음
+      if (x >= left && x <= right && y >= top && y <= bottom) continue;
+
+      const first = (y * width + x) * 4;
+      let content = differs(first, 0);
+      for (let f = 1; f < frameCount && !content; f++) {
+        const current = f * frameBytes + first;
+        content = differs(current, 0) || differs(current, first);
+      }
+
+      if (content) {
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+  }
+
+  if (right < 0) return null;
+
+  const box = { left, top, width: right - left + 1, height: bottom - top + 1 };
+  return box.width === width && box.height === height ? null : box;
+}
+
+/**
+ * 남길 프레임 선택
+ * 제거한 프레임의 지연 시간은 직전에 남긴 프레임에 더해 전체 재생 시간을 유지한다.
+ * @param {number[]} delays - 프레임별 지연 시간 (ms)
+ * @param {{maxFps?: number, dropEvery?: number}} options - 프레임 줄이기 옵션
+ * @returns {{keep: number[], delays: number[]}|null} 남길 프레임 번호와 조정된 지연 시간 (제거할 프레임이 없으면 null)
+ */
+function selectFrames(delays, options) {
+  if (options.maxFps == null && options.dropEvery == null) return null;
+
+  const interval = options.maxFps != null ? 1000 / options.maxFps : 0;
+  const keep = [];
+  const merged = [];
+  let time = 0;
+  let nextTime = 0;
+
+  delays.forEach((delay, index) => {
+    const dropped = keep.length > 0 && (options.dropEvery != null
+      ? index % options.dropEvery === options.dropEvery - 1
+      : time + 1e-6 < nextTime);
+
+    if (dropped) {
+      merged[merged.length - 1] += delay;
+    } else {
+      keep.push(index);
+      merged.push(delay);
+      nextTime = time + interval;
+    }
+    time += delay;
+  });
+
+  if (keep.length === delays.length) return null;
+
+  return { keep, delays: merged.map(delay => Math.min(delay, MAX_FRAME_DELAY)) };
+}
+
+/**
+ * 연속된 중복 프레임 병합
+ * 직전에 남긴 프레임과 모든 픽셀의 채널 차이가 임계값 이하인 프레임을 제거하고 지연 시간을 남긴 프레임에 더한다.
+ * 바로 앞 프레임이 아니라 남긴 프레임과 비교하므로 조금씩 변하는 장면이 하나로 뭉개지지 않는다.
+ * @param {Buffer} data - 모든 프레임의 RGBA 픽셀 데이터
+ * @param {number} frameBytes - 프레임 하나의 바이트 수
+ * @param {{keep: number[], delays: number[]}} selection - 비교할 프레임 번호와 지연 시간
+ * @param {number} threshold - 픽셀별 최대 채널 차이 (0-255)
+ * @returns {{keep: number[], delays: number[]}} 병합 후 남길 프레임 번호와 지연 시간
+ */
+function collapseDuplicateFrames(data, frameBytes, selection, threshold) {
+  const keep = [];
+  const delays = [];
+
+  const sameFrame = (a, b) => {
+    const first = a * frameBytes;
+    const second = b * frameBytes;
+    for (let offset = 0; offset < frameBytes; offset += 4) {
+      if (pixelDiffers(data, first + offset, second + offset, threshold)) return false;
+    }
+    return true;
+  };
+
+  selection.keep.forEach((index, position) => {
+    if (keep.length > 0 && sameFrame(keep[keep.length - 1], index)) {
+      delays[delays.length - 1] = Math.min(delays[delays.length - 1] + selection.delays[position], MAX_FRAME_DELAY);
+    } else {
+      keep.push(index);
+      delays.push(selection.delays[position]);
+    }
+  });
+
+  return { keep, delays };
+}
+
+/**
+ * 자르기/크기 조정한 모든 프레임을 RGBA로 디코딩
+ * @param {string|Buffer} inputPath - 입력 이미지 경로 또는 데이터
+ * @param {{crop?: Object|null, resize?: Object|null}} transform - 계산된 변환 설정
+ * @returns {Promise<{data: Buffer, width: number, frameHeight: number, frameBytes: number}>} 픽셀 데이터와 프레임 크기
+ */
+async function decodeFrames(inputPath, transform) {
+  const { data, info } = await applyTransform(sharp(inputPath, {
+    animated: true,
+    limitInputPixels: false
+  }), transform).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+
+  const frameHeight = info.pageHeight || info.height;
+  return { data, width: info.width, frameHeight, frameBytes: info.width * frameHeight * 4 };
+}
+
+/**
+ * 재생 속도 배율 적용
+ * 누적 재생 시각을 기준으로 반올림해 프레임마다 생기는 반올림 오차가 쌓이지 않게 한다.
+ * @param {number[]} delays - 프레임별 지연 시간 (ms)
+ * @param {number} speed - 재생 속도 배율 (2 = 두 배 빠르게)
+ * @returns {number[]} 조정된 지연 시간 (0이 아니던 지연 시간은 1ms 이상)
+ */
+function scaleDelays(delays, speed) {
+  let elapsed = 0;
+  let previousEnd = 0;
+
+  return delays.map(delay => {
+    elapsed += delay;
+    const end = Math.round(elapsed / speed);
+    const scaled = end - previousEnd;
+    previousEnd = end;
+    return Math.min(delay > 0 ? Math.max(scaled, 1) : scaled, MAX_FRAME_DELAY);
+  });
+}
+
+/**
+ * 지연 시간을 단위 시간의 배수로 맞춤 (예: GIF는 10ms 단위)
+ * scaleDelays처럼 누적 재생 시각을 기준으로 반올림해 전체 재생 시간이 최대한 유지되게 한다.
+ * 0이 아닌 지연은 최소 한 단위가 된다.
+ * @param {number[]} delays - 프레임별 지연 시간 (ms)
+ * @param {number} step - 단위 시간 (ms)
+ * @returns {number[]} 단위 시간의 배수로 맞춘 지연 시간
+ */
+function quantizeDelays(delays, step) {
+  const maxDelay = MAX_FRAME_DELAY - (MAX_FRAME_DELAY % step);
+  let elapsed = 0;
+  let previousEnd = 0;
+
+  return delays.map(delay => {
+    elapsed += delay;
+    const end = Math.round(elapsed / step) * step;
+    // 0이 아닌 지연이 0으로 반올림되면 프레임이 사라지므로 최소 한 단위로 올리고, 늘어난 만큼은 다음 프레임에서 뺀다
+    const quantized = Math.max(end - previousEnd, delay > 0 ? step : 0);
+    previousEnd += quantized;
+    return Math.min(quantized, maxDelay);
+  });
+}
+
+/**
+ * 재생 순서 적용 (거꾸로 재생 → 부메랑 순)
+ * 부메랑은 정방향 뒤에 양 끝 프레임을 뺀 역방향을 이어 붙여 반복 재생 시 끝 프레임이 두 번 보이지 않게 한다.
+ * @param {{keep: number[], delays: number[]}} selection - 프레임 번호와 지연 시간
+ * @param {{reverse?: boolean, boomerang?: boolean}} options - 재생 순서 옵션
+ * @returns {{keep: number[], delays: number[]}} 재생 순서대로 나열한 프레임 번호와 지연 시간
+ */
+function arrangePlayback(selection, options) {
+  let { keep, delays } = selection;
+
+  if (options.reverse) {
+    keep = [...keep].reverse();
+    delays = [...delays].reverse();
+  }
+
+  if (options.boomerang) {
+    keep = [...keep, ...keep.slice(1, -1).reverse()];
+    delays = [...delays, ...delays.slice(1, -1).reverse()];
+  }
+
+  return { keep, delays };
+}
+
+/**
+ * 지연 시간 목록의 초당 프레임 수
+ * @param {number[]} delays - 프레임별 지연 시간 (ms)
+ * @returns {number|null} 초당 프레임 수 (재생 시간이 0이면 null)
+ */
+function calculateFps(delays) {
+  const duration = delays.reduce((sum, delay) => sum + delay, 0);
+  return duration > 0 ? delays.length / (duration / 1000) : null;
+}
+
+/**
+ * 변환 옵션과 입력 메타데이터로 프레임 변환 설정 계산
+ * (자르기 → 크기 조정 → 재생 속도 → 프레임 줄이기 → 중복 프레임 병합 → 재생 순서 순)
+ * 프레임 줄이기는 재생 속도를 바꾼 지연 시간 기준이며, 중복 프레임은 자르기/크기 조정이 끝난 프레임끼리 비교한다.
+ * @param {string|Buffer} inputPath - 입력 이미지 경로 또는 데이터 (자동 자르기/중복 프레임 탐지용)
+ * @param {TransformOptions} options - 프레임 변환 옵션
+ * @param {{width: number, pageHeight: number, pages?: number, delay?: number[], loop?: number}} frame - 입력 프레임 크기, 수, 지연 시간, 반복 횟수
+ * @returns {Promise<Object>} 계산된 변환 설정
+ *   - crop, resize: Sharp extract()/resize() 설정
+ *   - frames: 출력할 프레임 번호와 지연 시간 (원본 프레임을 그대로 쓰면 null)
+ *   - delays: 출력 프레임별 지연 시간 (정지 이미지면 null)
+ *   - loop: 원본 반복 횟수 (0 = 무한, 정지 이미지면 null)
+ *   - frameRate: 프레임 줄이기 결과 (selectFrames + sourceDelays)
+ *   - duplicates: 중복 프레임 병합 결과 ({ threshold, sourceFrames, removed, baseline }, dedupe를 지정하지 않으면 null)
+ *   - playback: 재생 속도/순서 ({ speed, reverse, boomerang, sourceDuration, duration }, 지정하지 않으면 null)
+ */
+async function resolveTransform(inputPath, options, frame) {
+  let crop = null;
+  if (options.autoTrim) {
+    crop = await detectTrimBox(inputPath, { threshold: options.trimThreshold });
+  } else if (options.crop) {
+    crop = resolveCrop(options.crop, frame);
+  }
+
+  const resize = resolveResize(options, crop ? { width: crop.width, pageHeight: crop.height } : frame);
+
+  const pages = frame.pages || 1;
+  const sourceDelays = Array.from({ length: pages }, (_, index) => frame.delay?.[index] ?? DEFAULT_FRAME_DELAY);
+  const speed = options.speed ?? 1;
+  const delays = speed === 1 ? sourceDelays : scaleDelays(sourceDelays, speed);
+  const allFrames = { keep: sourceDelays.map((_, index) => index), delays };
+
+  const selected = selectFrames(delays, options);
+  const frameRate = selected && { ...selected, sourceDelays: delays };
+
+  // 재생 순서를 적용한 출력 프레임 (원본 프레임을 순서대로 모두 쓰면 null)
+  const reordered = Boolean(options.reverse || options.boomerang);
+  const arrange = (selection) => {
+    const frames = reordered ? arrangePlayback(selection || allFrames, options) : selection;
+    return { frames, delays: frames ? frames.delays : (pages > 1 ? delays : null) };
+  };
+
+  let output = arrange(selected);
+  let duplicates = null;
+  let decoded = null;
+
+  if (options.dedupe) {
+    const threshold = options.dedupeThreshold ?? DEFAULT_DEDUPE_THRESHOLD;
+    const candidates = selected || allFrames;
+    decoded = await decodeFrames(inputPath, { crop, resize });
+    const collapsed = collapseDuplicateFrames(decoded.data, decoded.frameBytes, candidates, threshold);
+    duplicates = {
+      threshold,
+      sourceFrames: candidates.keep.length,
+      removed: candidates.keep.length - collapsed.keep.length,
+      // 절약한 크기 측정용 병합 전 출력
+      baseline: null
+    };
+
+    if (duplicates.removed > 0) {
+      duplicates.baseline = output;
+      output = arrange(collapsed);
+    }
+  }
+
+  const playback = (speed !== 1 || reordered) ? {
+    speed,
+    reverse: Boolean(options.reverse),
+    boomerang: Boolean(options.boomerang),
+    sourceDuration: sourceDelays.reduce((sum, delay) => sum + delay, 0),
+    duration: (output.delays || sourceDelays).reduce((sum, delay) => sum + delay, 0)
+  } : null;
+
+  const transform = {
+    crop,
+    resize,
+    frames: output.frames,
+    delays: output.delays,
+    loop: pages > 1 ? (frame.loop ?? 0) : null,
+    frameRate,
+    duplicates,
+    playback
+  };
+  if (decoded && transform.frames) {
+    // 이미 디코딩한 프레임을 인코딩 입력으로 재사용
+    selectedFrameCache.set(transform, packFrames(decoded, transform.frames.keep));
+  }
+  return transform;
+}
+
+/**
+ * 변환 옵션과 입력 프레임 크기로 Sharp resize() 설정 계산
+ * @param {TransformOptions} options - 프레임 변환 옵션
+ * @param {{width: number, pageHeight: number}} frame - 입력 프레임 크기
+ * @returns {Object|null} Sharp resize() 옵션 (크기 조정이 없으면 null)
+ */
+function resolveResize(options, frame) {
+  const kernel = options.kernel ?? 'lanczos3';
+
+  if (options.scale != null) {
+    return {
+      width: Math.max(1, Math.round(frame.width * options.scale / 100)),
+      height: Math.max(1, Math.round(frame.pageHeight * options.scale / 100)),
+      fit: 'fill',
+      kernel
+    };
+  }
+
+  if (options.maxDimension != null) {
+    return {
+      width: options.maxDimension,
+      height: options.maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true,
+      kernel
+    };
+  }
+
+  if (options.width != null || options.height != null) {
+    const resize = { fit: options.fit ?? 'inside', kernel };
+    if (options.width != null) resize.width = options.width;
+    if (options.height != null) resize.height = options.height;
+    return resize;
+  }
+
+  return null;
+}
+
+/**
+ * Sharp 파이프라인에 자르기/크기 조정 적용 (애니메이션은 모든 프레임에 동일하게 적용됨)
+ * 프레임 줄이기는 createFrameSource에서 처리한다.
+ * @param {sharp.Sharp} image - Sharp 인스턴스 (animated: true)
+ * @param {{crop?: Object|null, resize?: Object|null}} transform - 계산된 변환 설정
+ * @returns {sharp.Sharp} 변환이 적용된 Sharp 인스턴스
+ */
+function applyTransform(image, transform = {}) {
+  if (transform.crop) {
+    image = image.extract(transform.crop);
+  }
+  if (transform.resize) {
+    image = image.resize(transform.resize);
+  }
+  return image;
+}
+
+/**
+ * 프레임을 줄인 픽셀 데이터 캐시 (변환 설정별로 한 번만 디코딩)
+ */
+const selectedFrameCache = new WeakMap();
+
+/**
+ * 디코딩한 프레임 중 남길 프레임만 이어 붙여 Sharp raw 입력으로 구성
+ * @param {{data: Buffer, width: number, frameHeight: number, frameBytes: number}} decoded - decodeFrames 결과
+ * @param {number[]} keep - 출력 순서대로 나열한 프레임 번호 (같은 번호가 반복될 수 있음)
+ * @returns {{data: Buffer, raw: Object}} 픽셀 데이터와 Sharp raw 옵션
+ */
+function packFrames(decoded, keep) {
+  const { data, width, frameHeight, frameBytes } = decoded;
+  const frames = Buffer.alloc(frameBytes * keep.length);
+  keep.forEach((index, position) => {
+    data.copy(frames, position * frameBytes, index * frameBytes, (index + 1) * frameBytes);
+  });
+
+  return {
+    data: frames,
+    raw: { width, height: frameHeight * keep.length, channels: 4, pageHeight: frameHeight }
+  };
+}
+
+/**
+ * 프레임 변환을 적용한 인코딩 입력 생성
+ * 프레임 줄이기, 중복 프레임 병합, 재생 순서 변경이 있으면 자르기/크기 조정한 프레임을 디코딩해
+ * 출력할 프레임만 재생 순서대로 이어 붙인다. 이 경우 지연 시간 정보가 없으므로 인코딩 시 transform.delays를 지정해야 한다.
+ * @param {string|Buffer} inputPath - 입력 이미지 경로 또는 데이터
+ * @param {{crop?: Object|null, resize?: Object|null, frames?: Object|null}} transform - 계산된 변환 설정
+ * @returns {Promise<sharp.Sharp>} 인코딩할 Sharp 인스턴스
+ */
+async function createFrameSource(inputPath, transform = {}) {
+  if (!transform.frames) {
+    return applyTransform(sharp(inputPath, {
+      animated: true,
+      limitInputPixels: false
+    }), transform);
+  }
+
+  let selected = selectedFrameCache.get(transform);
+  if (!selected) {
+    selected = packFrames(await decodeFrames(inputPath, transform), transform.frames.keep);
+    selectedFrameCache.set(transform, selected);
+  }
+
+  return sharp(selected.data, { raw: selected.raw, limitInputPixels: false });
+}
+
+/**
+ * 첫 출력 프레임만 담은 정지 이미지 인코딩 입력 생성 (AVIF 미리보기)
+ * 프레임 줄이기, 중복 프레임 병합, 재생 순서 변경이 있으면 재생 순서상 첫 프레임을 사용한다.
+ * @param {string|Buffer} inputPath - 입력 이미지 경로 또는 데이터
+ * @param {{crop?: Object|null, resize?: Object|null, frames?: Object|null}} transform - 계산된 변환 설정
+ * @returns {sharp.Sharp} 인코딩할 Sharp 인스턴스
+ */
+function createStillSource(inputPath, transform = {}) {
+  const page = transform.frames ? transform.frames.keep[0] : 0;
+  return applyTransform(sharp(inputPath, {
+    page,
+    pages: 1,
+    limitInputPixels: false
+  }), transform);
+}
+
+export {
+  validateTransformOptions,
+  resolveTransform,
+  resolveCrop,
+  resolveResize,
+  detectTrimBox,
+  selectFrames,
+  collapseDuplicateFrames,
+  scaleDelays,
+  quantizeDelays,
+  arrangePlayback,
+  calculateFps,
+  applyTransform,
+  createFrameSource,
+  createStillSource,
+  TRANSFORM_OPTION_RULES,
+  RESIZE_FITS,
+  RESIZE_KERNELS,
+  DEFAULT_TRIM_THRESHOLD,
+  DEFAULT_DEDUPE_THRESHOLD
+};
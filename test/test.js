@@ -11,13 +11,20 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { spawnSync } from 'child_process';
+import { Readable } from 'stream';
 import chalk from 'chalk';
 
 // 프로젝트 모듈 import
-import { convertGifToWebp, batchConvert } from '../src/converter.js';
-import { optimizeAdaptive, analyzeGIF, validateOptimization } from '../src/optimizer.js';
-import { compareImageQuality, validateQualityCriteria, generateQualityReport } from '../src/quality-analyzer.js';
+import { GifToWebPConverter, convertGifToWebp, batchConvert } from '../src/converter.js';
+import { optimizeAdaptive, optimizeMeasured, analyzeGIF, validateOptimization, suggestFrameRate, WEBP_PRESETS } from '../src/optimizer.js';
+import { compareImageQuality, batchQualityAnalysis, matchImagePairs, validateQualityCriteria, generateQualityReport, generateHtmlReport, calculateSSIM, calculateMSSSIM } from '../src/quality-analyzer.js';
 import { BatchProcessor } from '../src/batch-processor.js';
+import { loadPresets, resolvePreset, BUILTIN_PRESETS } from '../src/presets.js';
+import { validateEncoderOptions, toSharpWebpOptions, toSharpGifOptions, resolveOutputFormats } from '../src/encoder-options.js';
+import { validateTransformOptions, resolveResize, detectTrimBox, selectFrames, collapseDuplicateFrames, scaleDelays, arrangePlayback, quantizeDelays } from '../src/transforms.js';
+import { inspectGif, isGifFile, detectInputFormat, resolveInputFormats, INPUT_ERROR_CODES } from '../src/input-format.js';
+import { createBatchReport, createAnalysisReport, reportToCsv, REPORT_SCHEMA_VERSION } from '../src/report-exporter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,7 +39,8 @@ const TEST_CONFIG = {
     minPSNR: 20,               // 20dB 이상 (허용 가능한 품질)
     minQualityScore: 40,       // 40점 이상
     maxCompressionRatio: 0.70, // 최대 70% 압축
-    minCompressionRatio: 0.20  // 최소 20% 압축 (현실적 목표)
+    minCompressionRatio: 0.20, // 최소 20% 압축 (현실적 목표)
+    minFramePSNR: 18           // 모든 프레임 18dB 이상
   },
   // 성능 기준
   performance: {
@@ -140,6 +148,11 @@ async function testBasicFunctionality() {
       assert(analysis.width > 0, 'GIF 너비가 0보다 커야 함');
       assert(analysis.height > 0, 'GIF 높이가 0보다 커야 함');
       assert(analysis.format === 'gif', 'GIF 포맷이 정확히 감지되어야 함');
+      assert(analysis.frames > 1, '애니메이션 GIF의 실제 프레임 수가 감지되어야 함');
+      assert(analysis.delays.length === analysis.frames, '프레임별 지연 시간이 프레임 수와 일치해야 함');
+      assert(analysis.duration === analysis.delays.reduce((sum, d) => sum + d, 0), '전체 재생 시간이 지연 시간 합과 같아야 함');
+      assert(analysis.frameTransparency.length === analysis.frames, '프레임별 투명도 정보가 있어야 함');
+      assert(typeof analysis.loop === 'number', '반복 횟수가 숫자여야 함');
       
       testPassed('GIF 분석 기능 정상 동작');
     } else {
@@ -157,6 +170,29 @@ async function testBasicFunctionality() {
       testPassed('최적화 설정 생성 기능 정상 동작');
     }
     
+    // 1.3. 측정 기반 최적화 테스트
+    if (await fs.pathExists(testFile)) {
+      const measured = await optimizeMeasured(testFile, { minPSNR: 30, sampleFrames: 4, qualityStep: 15 });
+      const { candidates } = measured.metadata;
+      
+      assert(candidates.length > 1, '여러 품질 후보가 측정되어야 함');
+      assert(candidates.every(c => c.size > 0 && c.psnr > 0), '후보별 실측 크기와 PSNR이 있어야 함');
+      assert(candidates.some(c => c.quality === measured.quality && c.psnr === measured.measuredPSNR), '선택된 품질의 실측값이 보고되어야 함');
+      if (measured.criteriaMet) {
+        assert(measured.measuredPSNR >= 30, '선택된 품질이 최소 PSNR을 만족해야 함');
+      }
+      
+      // 샘플이 일부 프레임이면 후보 크기는 추정치, measuredSize는 전체 프레임 실측값
+      const { default: sharp } = await import('sharp');
+      const fullSize = (await sharp(testFile, { animated: true })
+        .webp({ quality: measured.quality, effort: measured.effort, lossless: false, loop: 0 })
+        .toBuffer()).length;
+      assert(measured.metadata.candidateSizesEstimated && measured.measuredSize === fullSize,
+        `measuredSize는 전체 프레임 인코딩 크기여야 함: ${measured.measuredSize} != ${fullSize}`);
+      
+      testPassed(`측정 기반 최적화 정상 동작 (품질 ${measured.quality}, PSNR ${measured.measuredPSNR}dB)`);
+    }
+    
   } catch (error) {
     testFailed('기본 기능 테스트 실패', error);
   }
@@ -200,6 +236,13 @@ async function testConversionQuality() {
         // 품질 분석
         const qualityResult = await compareImageQuality(inputPath, outputPath);
         
+        // 모든 프레임이 비교되었는지 확인
+        const { frames } = qualityResult;
+        assert(frames.frameCount === frames.perFrame.length, '프레임별 측정값이 프레임 수만큼 있어야 함');
+        assert(!frames.frameCountMismatch, '원본과 변환본의 프레임 수가 같아야 함');
+        assert(frames.perFrame.some(f => f.index === frames.worstFrame.index), '최저 프레임 인덱스가 유효해야 함');
+        assert(frames.percentiles.psnr.p5 <= frames.percentiles.psnr.p95, 'PSNR 백분위수가 정렬되어야 함');
+        
         // 품질 기준 검증
         const qualityCriteria = validateQualityCriteria(qualityResult, TEST_CONFIG.quality);
         
@@ -214,11 +257,304 @@ async function testConversionQuality() {
       }
     }
     
+    // 기본 기준은 평균 PSNR이 충분해도 깨진 프레임이 있으면 실패
+    const brokenFrame = {
+      psnr: 40,
+      qualityScore: 90,
+      compressionRatio: 0.62,
+      frames: { perFrame: [{ index: 0, psnr: 45, ssim: 0.99 }, { index: 1, psnr: 12, ssim: 0.4 }, { index: 2, psnr: 45, ssim: 0.99 }] }
+    };
+    assert(!validateQualityCriteria(brokenFrame), '기본 기준은 최저 프레임 PSNR도 검사해야 함');
+    assert(validateQualityCriteria(brokenFrame, { minFramePSNR: null }), 'minFramePSNR: null이면 프레임 검사를 생략해야 함');
+    testPassed('기본 기준의 프레임별 PSNR 검사 정상');
+    
   } catch (error) {
     testFailed('변환 품질 테스트 실패', error);
   }
 }
 
+/**
+ * 2-1. 품질 지표 테스트
+ */
+async function testQualityMetrics() {
+  startTest('품질 지표 테스트');
+  
+  try {
+    // 결정적인 테스트 패턴 생성 (그라디언트 + 체커보드)
+    const width = 96;
+    const height = 96;
+    const original = new Uint8Array(width * height * 3);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = (y * width + x) * 3;
+        const checker = ((x >> 3) + (y >> 3)) % 2 === 0 ? 60 : 0;
+        original[i] = (x * 2 + checker) % 256;
+        original[i + 1] = (y * 2 + checker) % 256;
+        original[i + 2] = ((x + y) + checker) % 256;
+      }
+    }
+    
+    // 노이즈가 섞인 사본
+    const noisy = original.map((value, i) => Math.max(0, Math.min(255, value + ((i * 7919) % 31) - 15)));
+    
+    assertApproximately(calculateSSIM(original, original, width, height), 1, 1e-6, '동일 이미지 SSIM은 1이어야 함');
+    assertApproximately(calculateMSSSIM(original, original, width, height), 1, 1e-6, '동일 이미지 MS-SSIM은 1이어야 함');
+    
+    const ssim = calculateSSIM(original, noisy, width, height);
+    const channelSSIM = calculateSSIM(original, noisy, width, height, 3, { perChannel: true });
+    const msssim = calculateMSSSIM(original, noisy, width, height);
+    
+    assert(ssim > 0 && ssim < 1, `노이즈 이미지 SSIM은 0과 1 사이여야 함: ${ssim}`);
+    assert(channelSSIM > 0 && channelSSIM < 1, `채널별 SSIM은 0과 1 사이여야 함: ${channelSSIM}`);
+    assert(msssim > 0 && msssim < 1, `노이즈 이미지 MS-SSIM은 0과 1 사이여야 함: ${msssim}`);
+    
+    testPassed(`SSIM 계산 정상 (SSIM ${ssim}, 채널별 ${channelSSIM}, MS-SSIM ${msssim})`);
+    
+    // MS-SSIM은 msSsim에 따로 기록하고 ssim(등급/기준용)은 방식과 관계없이 단일 스케일 값 유지
+    const { default: sharp } = await import('sharp');
+    const sourcePath = path.join(projectRoot, 'examples', 'small-test.gif');
+    const webpPath = path.join(projectRoot, TEST_CONFIG.outputDir, 'ssim-method.webp');
+    await sharp(sourcePath, { animated: true }).webp({ quality: 60 }).toFile(webpPath);
+    const single = await compareImageQuality(sourcePath, webpPath);
+    const multi = await compareImageQuality(sourcePath, webpPath, { ssimMethod: 'ms-ssim' });
+    assert(single.msSsim === null && single.metadata.ssimMethod === 'ssim', '기본값은 단일 스케일 SSIM만 계산해야 함');
+    assert(multi.ssim === single.ssim && multi.msSsim > 0 && multi.msSsim <= 1, `MS-SSIM은 ssim을 바꾸지 않아야 함: ${multi.ssim} / ${multi.msSsim}`);
+    testPassed(`SSIM 방식 분리 정상 (SSIM ${multi.ssim}, MS-SSIM ${multi.msSsim})`);
+    
+  } catch (error) {
+    testFailed('품질 지표 테스트 실패', error);
+  }
+}
+
+/**
+ * 2-2. 알파 채널 품질 테스트
+ */
+async function testAlphaQuality() {
+  startTest('알파 채널 품질 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'alpha');
+    await fs.ensureDir(outputDir);
+    
+    // 투명 배경 위 불투명 사각형 스티커와, 알파가 손상된 사본 생성
+    const size = 64;
+    const makeSticker = (inset) => {
+      const data = Buffer.alloc(size * size * 4);
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const i = (y * size + x) * 4;
+          const inside = x >= inset && y >= inset && x < size - inset && y < size - inset;
+          data[i] = 200;
+          data[i + 1] = 40;
+          data[i + 2] = 40;
+          data[i + 3] = inside ? 255 : 0;
+        }
+      }
+      return sharp(data, { raw: { width: size, height: size, channels: 4 } }).png();
+    };
+    
+    const originalPath = path.join(outputDir, 'sticker.png');
+    const damagedPath = path.join(outputDir, 'sticker-damaged.png');
+    await makeSticker(16).toFile(originalPath);
+    await makeSticker(14).toFile(damagedPath); // 가장자리 2px 불투명화
+    
+    const identical = await compareImageQuality(originalPath, originalPath);
+    assert(identical.alpha && identical.alpha.flippedPixels === 0, '동일 이미지는 불투명도 반전이 없어야 함');
+    assert(identical.alpha.edgePixels > 0, '스티커 가장자리 픽셀이 감지되어야 함');
+    
+    const damaged = await compareImageQuality(originalPath, damagedPath, { background: '#000000' });
+    const expectedFlipped = 36 * 36 - 32 * 32; // 불투명 영역 32x32 → 36x36
+    assert(damaged.alpha.flippedPixels === expectedFlipped, `반전 픽셀 수가 정확해야 함: ${damaged.alpha.flippedPixels} ≠ ${expectedFlipped}`);
+    assert(Number.isFinite(damaged.alpha.psnr), '알파 손상 시 알파 PSNR이 유한해야 함');
+    assert(Number.isFinite(damaged.alpha.fringePSNR), '가장자리 손상 시 프린지 PSNR이 유한해야 함');
+    assert(!validateQualityCriteria(damaged, { minPSNR: 0, minQualityScore: 0, minCompressionRatio: -Infinity, maxCompressionRatio: Infinity, maxFlippedRatio: 0 }),
+      '불투명도 반전 허용치 초과 시 검증에 실패해야 함');
+    
+    testPassed(`알파 비교 정상 (반전 ${damaged.alpha.flippedPixels}px, 알파 PSNR ${damaged.alpha.psnr}dB, 가장자리 PSNR ${damaged.alpha.fringePSNR}dB)`);
+    
+  } catch (error) {
+    testFailed('알파 채널 품질 테스트 실패', error);
+  }
+}
+
+/**
+ * 2-3. 차이 히트맵 출력 테스트
+ */
+async function testDiffImages() {
+  startTest('차이 히트맵 출력 테스트');
+  
+  try {
+    const inputPath = path.join(projectRoot, TEST_CONFIG.testFiles[0]);
+    const filename = path.basename(inputPath, '.gif');
+    const webpPath = path.join(projectRoot, TEST_CONFIG.outputDir, `${filename}_quality_test.webp`);
+    
+    if (!(await fs.pathExists(webpPath))) {
+      testSkipped('변환 품질 테스트 결과 파일이 없음');
+      return;
+    }
+    
+    const diffDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'diff');
+    
+    // 프레임별 PNG
+    const pngResult = await compareImageQuality(inputPath, webpPath, { diffOut: diffDir });
+    assert(pngResult.diffImages.heatmaps.length === pngResult.frames.frameCount, '프레임마다 히트맵 PNG가 생성되어야 함');
+    assert(await fs.pathExists(pngResult.diffImages.strip), '비교 스트립 PNG가 생성되어야 함');
+    
+    const { default: sharp } = await import('sharp');
+    const stripMeta = await sharp(pngResult.diffImages.strip).metadata();
+    assert(stripMeta.width > pngResult.metadata.width * 3, '스트립은 원본/변환본/차이 3개 패널 너비여야 함');
+    
+    // 애니메이션 WebP
+    const webpResult = await compareImageQuality(inputPath, webpPath, { diffOut: diffDir, diffFormat: 'webp' });
+    const heatmapMeta = await sharp(webpResult.diffImages.heatmaps[0]).metadata();
+    assert(heatmapMeta.pages === webpResult.frames.frameCount, '히트맵 애니메이션의 프레임 수가 같아야 함');
+    
+    testPassed(`차이 히트맵 생성 정상 (${pngResult.diffImages.heatmaps.length}개 PNG, 애니메이션 ${heatmapMeta.pages}프레임)`);
+    
+  } catch (error) {
+    testFailed('차이 히트맵 출력 테스트 실패', error);
+  }
+}
+
+/**
+ * 2-4. HTML 품질 보고서 테스트
+ */
+async function testHtmlReport() {
+  startTest('HTML 품질 보고서 테스트');
+  
+  try {
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir);
+    // 출력 형식 이름은 변환본 확장자를 따름 (WebP 고정 아님)
+    const gifOutput = await new GifToWebPConverter({ format: 'gif' })
+      .convertFile(path.join(projectRoot, 'examples', 'small-test.gif'), path.join(outputDir, 'html-report-output.gif'));
+    const gifHtml = await generateHtmlReport([await compareImageQuality(path.join(projectRoot, 'examples', 'small-test.gif'), gifOutput.outputPath)]);
+    assert(gifHtml.includes('<figcaption>GIF</figcaption>') && gifHtml.includes('출력 크기') && !gifHtml.includes('WebP'), 'GIF 출력을 WebP로 표시하지 않아야 함');
+    
+    const pairs = [];
+    for (const testFile of TEST_CONFIG.testFiles) {
+      const filename = path.basename(testFile, '.gif');
+      const original = path.join(projectRoot, testFile);
+      const compressed = path.join(outputDir, `${filename}_quality_test.webp`);
+      if (await fs.pathExists(original) && await fs.pathExists(compressed)) {
+        pairs.push({ original, compressed });
+      }
+    }
+    
+    if (pairs.length === 0) {
+      testSkipped('변환 품질 테스트 결과 파일이 없음');
+      return;
+    }
+    
+    const results = await batchQualityAnalysis(pairs);
+    const html = await generateHtmlReport(results, { title: '테스트 보고서' });
+    await fs.writeFile(path.join(outputDir, 'quality-report.html'), html);
+    
+    assert(html.startsWith('<!DOCTYPE html>'), 'HTML 문서여야 함');
+    assert((html.match(/<tr>/g) || []).length === pairs.length + 1, '파일마다 행이 있어야 함');
+    assert(html.includes('data:image/gif;base64,') && html.includes('data:image/webp;base64,'), '미리보기가 data URI로 포함되어야 함');
+    assert(!/(src|href)="https?:/.test(html), '외부 리소스를 참조하지 않아야 함');
+    assert(html.includes('aria-label="품질 등급 분포"'), '등급 분포 차트가 포함되어야 함');
+    
+    testPassed(`HTML 보고서 생성 정상 (${pairs.length}개 파일, ${(html.length / 1024).toFixed(1)}KB)`);
+    
+  } catch (error) {
+    testFailed('HTML 품질 보고서 테스트 실패', error);
+  }
+}
+
+/**
+ * 2-5. 디렉토리 쌍 분석 및 품질 기준 종료 코드 테스트
+ */
+async function testAnalyzeCommand() {
+  startTest('analyze 명령어 품질 기준 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'analyze');
+    const originalDir = path.join(outputDir, 'originals');
+    const convertedDir = path.join(outputDir, 'converted');
+    await fs.ensureDir(originalDir);
+    await fs.ensureDir(convertedDir);
+    
+    for (const testFile of TEST_CONFIG.testFiles) {
+      const filename = path.basename(testFile, '.gif');
+      const compressed = path.join(projectRoot, TEST_CONFIG.outputDir, `${filename}_quality_test.webp`);
+      if (await fs.pathExists(compressed)) {
+        await fs.copy(path.join(projectRoot, testFile), path.join(originalDir, `${filename}.gif`));
+        await fs.copy(compressed, path.join(convertedDir, `${filename}.webp`));
+      }
+    }
+    await fs.writeFile(path.join(originalDir, 'orphan.gif'), '');
+    
+    const matched = await matchImagePairs(originalDir, convertedDir);
+    if (matched.pairs.length === 0) {
+      testSkipped('변환 품질 테스트 결과 파일이 없음');
+      return;
+    }
+    
+    assert(matched.pairs.every(p => path.basename(p.original, '.gif') === path.basename(p.compressed, '.webp')), '파일명으로 짝지어야 함');
+    assert(matched.unmatchedOriginals.length === 1 && matched.unmatchedOriginals[0].endsWith('orphan.gif'), '짝이 없는 원본이 보고되어야 함');
+    await fs.remove(path.join(originalDir, 'orphan.gif'));
+    testPassed(`디렉토리 쌍 매칭 정상 (${matched.pairs.length}쌍)`);
+    
+    // 기본 확장자는 모든 입력/출력 형식 (예: PNG 원본 ↔ AVIF 변환본)
+    const formatDir = path.join(outputDir, 'formats');
+    const formatOriginals = path.join(formatDir, 'originals');
+    const formatConverted = path.join(formatDir, 'converted');
+    await fs.emptyDir(formatOriginals);
+    await fs.emptyDir(formatConverted);
+    const pixel = sharp({ create: { width: 4, height: 4, channels: 3, background: '#336699' } });
+    await pixel.clone().png().toFile(path.join(formatOriginals, 'still.png'));
+    await pixel.clone().avif().toFile(path.join(formatConverted, 'still.avif'));
+    const byFormat = await matchImagePairs(formatOriginals, formatConverted);
+    assert(byFormat.pairs.length === 1 && byFormat.pairs[0].compressed.endsWith('still.avif'), 'PNG/AVIF도 짝지어야 함');
+    
+    // 같은 이름의 변환본이 여러 형식이면 중복, 확장자를 지정하면 하나만 사용
+    await pixel.clone().webp().toFile(path.join(formatConverted, 'still.webp'));
+    const ambiguous = await matchImagePairs(formatOriginals, formatConverted);
+    assert(ambiguous.duplicates.length === 1, '여러 형식의 변환본은 중복으로 보고되어야 함');
+    const chosen = await matchImagePairs(formatOriginals, formatConverted, { convertedExt: 'avif' });
+    assert(chosen.pairs.length === 1 && chosen.duplicates.length === 0, '지정한 확장자만 짝지어야 함');
+    
+    let sameDirError = null;
+    await matchImagePairs(formatOriginals, formatOriginals).catch(error => { sameDirError = error; });
+    assert(sameDirError && sameDirError.message.includes('.webp'), '같은 디렉토리에서 겹치는 확장자는 거부해야 함');
+    const sameDir = await matchImagePairs(formatConverted, formatConverted, { originalExt: ['.webp'], convertedExt: ['.avif'] });
+    assert(sameDir.pairs.length === 1, '같은 디렉토리도 겹치지 않는 확장자로 짝지어야 함');
+    testPassed('형식별 확장자 매칭 정상 (png ↔ avif, --converted-ext)');
+    
+    // 지정하지 않은 기준(null)은 검사하지 않음
+    const result = await compareImageQuality(matched.pairs[0].original, matched.pairs[0].compressed);
+    assert(validateQualityCriteria(result, {
+      minPSNR: null, minQualityScore: null, minCompressionRatio: null, maxCompressionRatio: null
+    }), 'null 기준은 생략되어야 함');
+    
+    const cli = path.join(projectRoot, 'src', 'cli.js');
+    const run = (...args) => spawnSync(process.execPath, [cli, 'analyze', originalDir, convertedDir, ...args], { encoding: 'utf8' });
+    
+    const pass = run('--min-psnr', '20', '--min-score', '10');
+    assert(pass.status === 0, `기준 통과 시 종료 코드 0이어야 함: ${pass.status}`);
+    
+    const fail = run('--min-psnr', '99');
+    assert(fail.status === 2, `기준 미달 시 종료 코드 2여야 함: ${fail.status}`);
+    
+    const invalid = run('--min-score', 'abc');
+    assert(invalid.status !== 0, '잘못된 기준값은 거부되어야 함');
+    const invalidDiff = run('--diff-format', 'gif');
+    assert(invalidDiff.status !== 0 && invalidDiff.stderr.includes('png, webp') && !invalidDiff.stdout.includes('품질 분석 시작'),
+      '잘못된 차이 이미지 형식은 분석 전에 거부되어야 함');
+    
+    const formats = spawnSync(process.execPath, [cli, 'analyze', formatOriginals, formatConverted, '--converted-ext', 'avif'], { encoding: 'utf8' });
+    assert(formats.status === 0 && !formats.stdout.includes('중복'), `--converted-ext로 형식을 골라야 함: ${formats.status} ${formats.stderr}`);
+    
+    testPassed('품질 기준 종료 코드 정상 (통과 0, 미달 2)');
+    
+  } catch (error) {
+    testFailed('analyze 명령어 품질 기준 테스트 실패', error);
+  }
+}
+
 /**
  * 3. 압축률 테스트
  */
@@ -332,6 +668,1222 @@ async function testBatchProcessing() {
   }
 }
 
+/**
+ * 4-1. 목표 파일 크기 테스트
+ */
+async function testTargetSize() {
+  startTest('목표 파일 크기 테스트');
+  
+  try {
+    const inputPath = path.join(projectRoot, TEST_CONFIG.testFiles[0]);
+    if (!(await fs.pathExists(inputPath))) {
+      testSkipped('테스트 GIF 파일이 존재하지 않음');
+      return;
+    }
+    
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir);
+    const inputStats = await fs.stat(inputPath);
+    
+    // 달성 가능한 목표: 원본의 절반
+    const maxSize = Math.floor(inputStats.size / 2);
+    const result = await convertGifToWebp(inputPath, path.join(outputDir, 'target_size_test.webp'), {
+      quality: 90,
+      maxSize
+    });
+    
+    assert(result.success, '목표 크기 변환이 성공해야 함');
+    assert(result.sizeTarget && result.sizeTarget.reached, '목표 크기를 달성해야 함');
+    assert(result.outputSize <= maxSize, `출력 크기가 목표 이하여야 함: ${result.outputSize} > ${maxSize}`);
+    assert(result.sizeTarget.quality <= 90, '탐색 품질이 요청 품질 이하여야 함');
+    assert(result.sizeTarget.attempts > 0, '시도 횟수가 기록되어야 함');
+    testPassed(`목표 크기 달성: 품질 ${result.sizeTarget.quality}, 시도 ${result.sizeTarget.attempts}회`);
+    
+    // 달성 불가능한 목표: 100 bytes
+    const unreachable = await convertGifToWebp(inputPath, path.join(outputDir, 'target_size_unreachable.webp'), {
+      maxSize: 100
+    });
+    
+    assert(unreachable.success, '목표 미달이어도 변환은 성공해야 함');
+    assert(unreachable.sizeTarget.reached === false, '달성 불가 여부가 보고되어야 함');
+    testPassed('달성 불가능한 목표 크기 보고 정상');
+    
+  } catch (error) {
+    testFailed('목표 파일 크기 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-2. JSON/CSV 보고서 내보내기 테스트
+ */
+async function testReportExport() {
+  startTest('JSON/CSV 보고서 내보내기 테스트');
+  
+  try {
+    const inputPath = path.join(projectRoot, TEST_CONFIG.testFiles[0]);
+    if (!(await fs.pathExists(inputPath))) {
+      testSkipped('테스트 GIF 파일이 존재하지 않음');
+      return;
+    }
+    
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'report');
+    const missingPath = path.join(outputDir, 'missing, "quoted".gif');
+    const processor = new BatchProcessor({ outputDir, analyzeQuality: true });
+    const results = await processor.convertFiles([inputPath, missingPath], outputDir);
+    
+    const jsonPath = path.join(outputDir, 'report.json');
+    const csvPath = path.join(outputDir, 'report.csv');
+    const written = await processor.exportReport(results, { json: jsonPath, csv: csvPath });
+    assert(written.length === 2, 'JSON과 CSV 파일이 모두 저장되어야 함');
+    
+    const report = await fs.readJson(jsonPath);
+    assert(report.schemaVersion === REPORT_SCHEMA_VERSION, '스키마 버전이 포함되어야 함');
+    assert(report.type === 'batch', '보고서 종류가 batch여야 함');
+    assert(report.summary.total === 2 && report.summary.successful === 1 && report.summary.failed === 1, '집계 통계가 정확해야 함');
+    assert(report.settings.analyzeQuality === true, '사용된 옵션이 기록되어야 함');
+    
+    const [ok, failed] = report.files;
+    assert(ok.success && ok.settings && typeof ok.settings.quality === 'number', '실제 인코딩 설정이 기록되어야 함');
+    assert(ok.quality && ok.quality.psnr > 0 && ok.quality.ssim > 0, '파일별 품질 지표가 기록되어야 함');
+    assert(!failed.success && failed.error, '실패 파일의 오류가 기록되어야 함');
+    
+    const lines = (await fs.readFile(csvPath, 'utf8')).trim().split('\n');
+    const header = lines[0].split(',');
+    assert(lines.length === 3, 'CSV는 헤더와 파일별 행을 가져야 함');
+    assert(header.includes('quality.psnr') && header.includes('settings.quality'), '중첩 필드는 점 표기 열이어야 함');
+    assert(lines[2].includes('"' + missingPath.replace(/"/g, '""') + '"'), '쉼표/따옴표가 있는 필드는 이스케이프되어야 함');
+    
+    // 분석 보고서: 동일 이미지의 무한대 PSNR은 null로 기록
+    const identical = await compareImageQuality(inputPath, inputPath);
+    const analysis = await createAnalysisReport([identical]);
+    assert(analysis.type === 'analysis', '보고서 종류가 analysis여야 함');
+    assert(analysis.files[0].psnr === null, '무한대 PSNR은 null이어야 함');
+    assert(reportToCsv(analysis).split('\n')[0].includes('frames.worstPSNR'), '분석 CSV에 프레임 열이 있어야 함');
+    
+    testPassed(`보고서 내보내기 정상 (스키마 ${report.schemaVersion}, CSV ${header.length}열)`);
+    
+  } catch (error) {
+    testFailed('JSON/CSV 보고서 내보내기 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-3. 파일별 최적화 전략 테스트
+ */
+async function testOptimizeMode() {
+  startTest('파일별 최적화 전략 테스트');
+  
+  try {
+    const validTestFiles = [];
+    for (const testFile of TEST_CONFIG.testFiles) {
+      const inputPath = path.join(projectRoot, testFile);
+      if (await fs.pathExists(inputPath)) {
+        validTestFiles.push(inputPath);
+      }
+    }
+    
+    if (validTestFiles.length === 0) {
+      testSkipped('테스트 GIF 파일이 존재하지 않음');
+      return;
+    }
+    
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'optimize');
+    const processor = new BatchProcessor({ outputDir, optimize: 'adaptive' });
+    const results = await processor.convertFiles(validTestFiles, outputDir);
+    
+    for (const result of results) {
+      assert(result.success, `최적화 변환이 성공해야 함: ${result.error}`);
+      const { optimization } = result;
+      assert(optimization && optimization.strategy === 'adaptive', '요청한 전략이 기록되어야 함');
+      assert(['compression', 'quality', 'balanced'].includes(optimization.selectedStrategy), '선택된 전략이 기록되어야 함');
+      assert(optimization.selectionReason.length > 0, '선택 이유가 기록되어야 함');
+      assert(result.settings.quality === optimization.quality && result.settings.effort === optimization.effort, '권장 설정으로 인코딩해야 함');
+    }
+    testPassed(`adaptive 전략: ${results.map(r => `${path.basename(r.inputPath)}→${r.optimization.selectedStrategy}`).join(', ')}`);
+    
+    // 고정 전략은 그대로 사용
+    const forced = await convertGifToWebp(validTestFiles[0], path.join(outputDir, 'forced_compression.webp'), {
+      optimize: 'compression'
+    });
+    assert(forced.success && forced.optimization.selectedStrategy === 'compression', '지정한 전략이 그대로 사용되어야 함');
+    
+    const invalid = await convertGifToWebp(validTestFiles[0], path.join(outputDir, 'invalid.webp'), {
+      optimize: 'unknown'
+    });
+    assert(!invalid.success && invalid.error.includes('unknown'), '지원하지 않는 전략은 실패해야 함');
+    
+    testPassed('고정 전략 및 잘못된 전략 처리 정상');
+    
+  } catch (error) {
+    testFailed('파일별 최적화 전략 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-4. 프리셋 레지스트리 테스트
+ */
+async function testPresets() {
+  startTest('프리셋 레지스트리 테스트');
+  
+  try {
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'presets');
+    await fs.ensureDir(outputDir);
+    
+    // 기존 optimizer.js API와 같은 레지스트리 사용
+    assert(WEBP_PRESETS.high_compression.quality === BUILTIN_PRESETS.high_compression.quality, 'WEBP_PRESETS는 레지스트리에서 파생되어야 함');
+    
+    const converter = new GifToWebPConverter({ preset: 'high_compression', effort: 4 });
+    assert(converter.options.quality === BUILTIN_PRESETS.high_compression.quality, '프리셋 품질이 적용되어야 함');
+    assert(converter.options.effort === 4, '명시한 옵션이 프리셋보다 우선해야 함');
+    
+    let unknownError = null;
+    try {
+      resolvePreset('no_such_preset');
+    } catch (error) {
+      unknownError = error;
+    }
+    assert(unknownError && unknownError.message.includes('high_compression'), '알 수 없는 프리셋은 사용 가능한 목록과 함께 거부되어야 함');
+    
+    // 사용자 설정 파일
+    const configPath = path.join(outputDir, 'convertwemp.config.json');
+    await fs.writeJson(configPath, { presets: { social: { description: 'SNS', quality: 55, maxSize: 200000 } } });
+    const { presets } = await loadPresets({ configPath });
+    assert(presets.social && presets.social.source === 'config', '사용자 프리셋이 로드되어야 함');
+    assert(presets.balanced && presets.balanced.source === 'builtin', '기본 프리셋이 유지되어야 함');
+    
+    // API에서 사용자 프리셋 이름 사용: 레지스트리를 넘기거나 create()로 설정 파일을 읽음
+    assert(new GifToWebPConverter({ preset: 'social', presets }).options.quality === 55, '넘긴 레지스트리에서 사용자 프리셋을 찾아야 함');
+    const created = await GifToWebPConverter.create({ preset: 'social', config: configPath, effort: 3 });
+    assert(created.options.quality === 55 && created.options.maxSize === 200000 && created.options.effort === 3, 'create()는 설정 파일의 사용자 프리셋을 적용해야 함');
+    let builtinOnlyError = null;
+    try {
+      new GifToWebPConverter({ preset: 'social' });
+    } catch (error) {
+      builtinOnlyError = error;
+    }
+    assert(builtinOnlyError && builtinOnlyError.message.includes('social'), '레지스트리 없이 사용자 프리셋 이름은 거부되어야 함');
+    
+    const invalidPath = path.join(outputDir, 'invalid.json');
+    for (const invalid of [{ bad: { quality: 150 } }, { bad: { qualty: 50 } }, { bad: { optimize: 'magic' } }]) {
+      await fs.writeJson(invalidPath, { presets: invalid });
+      let validationError = null;
+      try {
+        await loadPresets({ configPath: invalidPath });
+      } catch (error) {
+        validationError = error;
+      }
+      assert(validationError && validationError.message.includes('"bad"'), `잘못된 프리셋은 거부되어야 함: ${JSON.stringify(invalid)}`);
+    }
+    testPassed(`프리셋 검증 정상 (기본 ${Object.keys(BUILTIN_PRESETS).length}개 + 사용자 1개)`);
+    
+    // CLI presets list
+    const cli = path.join(projectRoot, 'src', 'cli.js');
+    const list = spawnSync(process.execPath, [cli, 'presets', 'list', '--json', '--config', configPath], { encoding: 'utf8' });
+    assert(list.status === 0, `presets list가 성공해야 함: ${list.stderr}`);
+    const listed = JSON.parse(list.stdout);
+    assert(listed.presets.some(p => p.name === 'social') && listed.presets.some(p => p.name === 'lossless'), '기본/사용자 프리셋이 모두 출력되어야 함');
+    
+    const inputPath = path.join(projectRoot, TEST_CONFIG.testFiles[0]);
+    if (await fs.pathExists(inputPath)) {
+      const outputPath = path.join(outputDir, 'preset_social.webp');
+      const convert = spawnSync(process.execPath, [cli, 'convert', inputPath, '-o', outputPath, '--preset', 'social', '--config', configPath], { encoding: 'utf8' });
+      assert(convert.status === 0 && await fs.pathExists(outputPath), 'CLI --preset 변환이 성공해야 함');
+    }
+    testPassed('CLI presets list 및 --preset 정상');
+    
+  } catch (error) {
+    testFailed('프리셋 레지스트리 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-5. WebP 인코더 고급 옵션 테스트
+ */
+async function testEncoderOptions() {
+  startTest('WebP 인코더 고급 옵션 테스트');
+  
+  try {
+    // 범위 검증
+    const invalidCases = [
+      [{ alphaQuality: 150 }, 'alphaQuality'],
+      [{ webpPreset: 'poster' }, 'webpPreset'],
+      [{ nearLossless: 'yes' }, 'nearLossless'],
+      [{ delay: [100, -1] }, 'delay'],
+      [{ quality: 0 }, 'quality']
+    ];
+    for (const [options, key] of invalidCases) {
+      let validationError = null;
+      try {
+        validateEncoderOptions(options);
+      } catch (error) {
+        validationError = error;
+      }
+      assert(validationError && validationError.message.includes(key), `잘못된 ${key} 값은 거부되어야 함`);
+    }
+    
+    const sharpOptions = toSharpWebpOptions({ quality: 80, webpPreset: 'icon', alphaQuality: undefined });
+    assert(sharpOptions.preset === 'icon' && !('webpPreset' in sharpOptions) && !('alphaQuality' in sharpOptions), 'Sharp 옵션으로 변환되어야 함');
+    testPassed(`인코더 옵션 범위 검증 정상 (${invalidCases.length}개 오류 사례)`);
+    
+    const inputPath = path.join(projectRoot, TEST_CONFIG.testFiles[0]);
+    if (!(await fs.pathExists(inputPath))) {
+      testSkipped('테스트 GIF 파일이 존재하지 않음');
+      return;
+    }
+    
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'encoder');
+    const outputPath = path.join(outputDir, 'advanced.webp');
+    const result = await convertGifToWebp(inputPath, outputPath, {
+      nearLossless: true,
+      smartSubsample: true,
+      alphaQuality: 80,
+      webpPreset: 'drawing',
+      mixed: true,
+      delay: 50
+    });
+    assert(result.success, `고급 옵션 변환이 성공해야 함: ${result.error}`);
+    assert(result.settings.webpPreset === 'drawing' && result.settings.alphaQuality === 80, '사용된 고급 옵션이 기록되어야 함');
+    
+    const { default: sharp } = await import('sharp');
+    const metadata = await sharp(outputPath, { animated: true }).metadata();
+    assert(metadata.delay.every(delay => delay === 50), '프레임 지연이 덮어써져야 함');
+    
+    const mismatch = await convertGifToWebp(inputPath, path.join(outputDir, 'mismatch.webp'), { delay: [10, 20] });
+    assert(!mismatch.success && mismatch.error.includes('delay'), '프레임 수와 다른 delay 배열은 거부되어야 함');
+    
+    testPassed(`고급 옵션 변환 정상 (${metadata.pages}프레임, 지연 50ms)`);
+    
+  } catch (error) {
+    testFailed('WebP 인코더 고급 옵션 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-6. 크기 증가 방지 정책 테스트
+ */
+async function testSizeGuard() {
+  startTest('크기 증가 방지 정책 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'size-guard');
+    await fs.ensureDir(outputDir);
+    
+    // WebP가 더 커지는 작은 단색 2프레임 GIF 생성
+    const size = 8;
+    const data = Buffer.alloc(size * size * 2 * 4);
+    for (let i = 0; i < size * size * 2; i++) {
+      const second = i >= size * size;
+      data[i * 4] = second ? 255 : 0;
+      data[i * 4 + 2] = second ? 0 : 255;
+      data[i * 4 + 3] = 255;
+    }
+    const inputPath = path.join(outputDir, 'flat.gif');
+    await sharp(data, { raw: { width: size, height: size * 2, channels: 4, pageHeight: size } })
+      .gif({ delay: [100, 100] })
+      .toFile(inputPath);
+    const inputSize = (await fs.stat(inputPath)).size;
+    
+    const kept = await convertGifToWebp(inputPath, path.join(outputDir, 'keep.webp'));
+    if (!kept.sizeGuard) {
+      testSkipped(`테스트 GIF가 WebP보다 작지 않음 (${inputSize} → ${kept.outputSize} bytes)`);
+      return;
+    }
+    assert(kept.sizeGuard.action === 'kept' && kept.compressionRatio < 0, '기본 정책은 그대로 저장해야 함');
+    
+    const retried = await convertGifToWebp(inputPath, path.join(outputDir, 'retry.webp'), { ifLarger: 'retry' });
+    assert(retried.sizeGuard.action === 'retried' && retried.sizeGuard.attempts.length === 2, '무손실/혼합 모드로 재시도해야 함');
+    assert(retried.outputSize <= kept.outputSize, '가장 작은 후보를 저장해야 함');
+    
+    const skipPath = path.join(outputDir, 'skip.webp');
+    await fs.writeFile(skipPath, 'stale');
+    const skipped = await convertGifToWebp(inputPath, skipPath, { ifLarger: 'skip' });
+    assert(skipped.success && skipped.skipped && skipped.reason === 'not-beneficial', '이득 없음으로 보고해야 함');
+    assert(!(await fs.pathExists(skipPath)) && skipped.staleOutputRemoved, '건너뛴 파일은 이전 출력까지 남기지 않아야 함');
+    assert(skipped.timing && skipped.timing.verified === false && Array.isArray(skipped.timing.errors), `건너뛴 출력도 타이밍을 확인하되 검증됨으로 표시하지 않아야 함: ${JSON.stringify(skipped.timing)}`);
+    
+    // 여러 형식: 저장된 출력이 하나라도 있으면 건너뜀이 아니고, 최상위 결과는 저장된 출력
+    const mixed = await new GifToWebPConverter({ format: ['webp', 'gif'], ifLarger: 'skip' })
+      .convertFile(inputPath, path.join(outputDir, 'mixed.webp'));
+    const saved = mixed.outputs.filter(output => !output.skipped);
+    assert(mixed.outputs[0].skipped && mixed.skipped === (saved.length === 0), `모든 출력을 건너뛴 경우만 건너뜀이어야 함: ${mixed.skipped}`);
+    assert(saved.length === 0 || mixed.outputPath === saved[0].outputPath, `최상위 결과는 저장된 출력이어야 함: ${mixed.outputPath}`);
+    
+    // 품질 측정도 저장된 출력만 대상으로 함
+    const measured = await new BatchProcessor({ format: ['webp', 'gif'], ifLarger: 'skip', analyzeQuality: true })
+      .convertFiles([inputPath], path.join(outputDir, 'mixed-batch'));
+    const measuredOutputs = measured[0].outputs;
+    assert(measuredOutputs.every(output => (output.quality !== undefined) === (output.success && !output.skipped)), '저장된 출력만 품질을 측정해야 함');
+    assert(saved.length === 0 || (measured[0].quality && !measured[0].quality.error), `주 결과의 품질을 측정해야 함: ${measured[0].quality?.error}`);
+    
+    const invalid = await convertGifToWebp(inputPath, path.join(outputDir, 'invalid.webp'), { ifLarger: 'never' });
+    assert(!invalid.success && invalid.error.includes('never'), '지원하지 않는 정책은 실패해야 함');
+    testPassed(`정책별 처리 정상 (${inputSize} bytes → 유지 ${kept.outputSize} / 재시도 ${retried.outputSize} bytes)`);
+    
+    // 배치: 커진 파일과 처리 내역 기록
+    const processor = new BatchProcessor({ outputDir, ifLarger: 'retry-skip' });
+    const results = await processor.convertFiles([inputPath], path.join(outputDir, 'batch'));
+    const report = await createBatchReport(results, processor.getStats());
+    assert(processor.getStats().skipped === results.filter(r => r.skipped).length, '건너뜀 통계가 기록되어야 함');
+    assert(report.summary.grew === 1 && report.files[0].sizeGuard.policy === 'retry-skip', '보고서에 크기 증가 내역이 기록되어야 함');
+    testPassed(`배치 크기 증가 처리: ${report.files[0].sizeGuard.action}`);
+    
+  } catch (error) {
+    testFailed('크기 증가 방지 정책 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-7. 크기 조정 테스트
+ */
+async function testResize() {
+  startTest('크기 조정 테스트');
+  
+  try {
+    // 옵션 검증 (크기 조정 방식은 하나만)
+    const invalidCases = [
+      [{ scale: 50, width: 100 }, 'scale'],
+      [{ maxDimension: 0 }, 'maxDimension'],
+      [{ fit: 'stretch', width: 100 }, 'fit'],
+      [{ kernel: 'bicubic', scale: 50 }, 'kernel']
+    ];
+    for (const [options, key] of invalidCases) {
+      let validationError = null;
+      try {
+        validateTransformOptions(options);
+      } catch (error) {
+        validationError = error;
+      }
+      assert(validationError && validationError.message.includes(key), `잘못된 ${key} 설정은 거부되어야 함`);
+    }
+    
+    const scaled = resolveResize({ scale: 50 }, { width: 101, pageHeight: 60 });
+    assert(scaled.width === 51 && scaled.height === 30 && scaled.fit === 'fill', '배율은 프레임 크기 기준으로 계산되어야 함');
+    assert(resolveResize({}, { width: 100, pageHeight: 100 }) === null, '크기 조정 옵션이 없으면 null이어야 함');
+    testPassed(`크기 조정 옵션 검증 정상 (${invalidCases.length}개 오류 사례)`);
+    
+    const inputPath = path.join(projectRoot, TEST_CONFIG.testFiles[1]);
+    if (!(await fs.pathExists(inputPath))) {
+      testSkipped('테스트 GIF 파일이 존재하지 않음');
+      return;
+    }
+    
+    const { default: sharp } = await import('sharp');
+    const inputMetadata = await sharp(inputPath, { animated: true }).metadata();
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'resize');
+    
+    // 절반 해상도: 모든 프레임과 지연 시간 유지
+    const halfPath = path.join(outputDir, 'half.webp');
+    const half = await convertGifToWebp(inputPath, halfPath, { scale: 50 });
+    assert(half.success, `배율 변환이 성공해야 함: ${half.error}`);
+    const halfMetadata = await sharp(halfPath, { animated: true }).metadata();
+    assert(halfMetadata.width === Math.round(inputMetadata.width / 2), '너비가 절반이어야 함');
+    assert(halfMetadata.pageHeight === Math.round(inputMetadata.pageHeight / 2), '프레임 높이가 절반이어야 함');
+    assert(halfMetadata.pages === inputMetadata.pages, '모든 프레임이 유지되어야 함');
+    assert(half.resize.outputWidth === halfMetadata.width && half.resize.inputWidth === inputMetadata.width, '결과에 크기 조정 내역이 기록되어야 함');
+    testPassed(`절반 해상도 ${inputMetadata.width}x${inputMetadata.pageHeight} → ${halfMetadata.width}x${halfMetadata.pageHeight} (${halfMetadata.pages}프레임)`);
+    
+    // 너비/높이 + 맞춤 방식 + 커널, 최대 길이는 확대하지 않음
+    const cover = await convertGifToWebp(inputPath, path.join(outputDir, 'cover.webp'), { width: 120, height: 60, fit: 'cover', kernel: 'mitchell' });
+    assert(cover.success && cover.resize.outputWidth === 120 && cover.resize.outputHeight === 60, 'cover는 지정한 크기를 채워야 함');
+    const capped = await convertGifToWebp(inputPath, path.join(outputDir, 'capped.webp'), { maxDimension: inputMetadata.width * 2 });
+    assert(capped.success && capped.resize.outputWidth === inputMetadata.width, '최대 길이는 확대하지 않아야 함');
+    testPassed('맞춤 방식/커널/최대 길이 적용 정상');
+    
+    // 품질 분석: 원본을 같은 크기로 줄인 참조와 비교
+    const analysis = await compareImageQuality(inputPath, halfPath, { resize: half.resize });
+    assert(analysis.metadata.referenceResized, '참조 이미지를 축소해야 함');
+    assert(analysis.metadata.width === halfMetadata.width && analysis.metadata.height === halfMetadata.pageHeight, '변환본 크기로 비교해야 함');
+    assert(analysis.psnr >= TEST_CONFIG.quality.minPSNR, `축소 참조 대비 PSNR이 기준 이상이어야 함: ${analysis.psnr.toFixed(2)}dB`);
+    
+    const processor = new BatchProcessor({ scale: 50, analyzeQuality: true });
+    const [batchResult] = await processor.convertFiles([inputPath], path.join(outputDir, 'batch'));
+    assert(batchResult.quality && !batchResult.quality.error, `배치 품질 분석이 성공해야 함: ${batchResult.quality?.error}`);
+    testPassed(`축소 참조 품질 비교 정상 (PSNR ${analysis.psnr.toFixed(2)}dB, 배치 ${batchResult.quality.psnr.toFixed(2)}dB)`);
+    
+  } catch (error) {
+    testFailed('크기 조정 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-8. 자르기/자동 자르기 테스트
+ */
+async function testCrop() {
+  startTest('자르기/자동 자르기 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'crop');
+    await fs.ensureDir(outputDir);
+    
+    // 흰 배경 위에서 움직이는 빨간 사각형 + 고정된 검은 점 (3프레임)
+    const width = 40;
+    const height = 30;
+    const positions = [[10, 8], [16, 12], [21, 16]];
+    const data = Buffer.alloc(width * height * positions.length * 4, 255);
+    const paint = (frame, left, top, size, rgb) => {
+      for (let y = top; y < top + size; y++) {
+        for (let x = left; x < left + size; x++) {
+          const i = ((frame * height + y) * width + x) * 4;
+          [data[i], data[i + 1], data[i + 2]] = rgb;
+        }
+      }
+    };
+    positions.forEach(([left, top], frame) => {
+      paint(frame, left, top, 4, [255, 0, 0]);
+      paint(frame, 12, 22, 2, [0, 0, 0]);
+    });
+    const inputPath = path.join(outputDir, 'bordered.gif');
+    await sharp(data, { raw: { width, height: height * positions.length, channels: 4, pageHeight: height } })
+      .gif({ delay: [100, 100, 100] })
+      .toFile(inputPath);
+    
+    // 움직이는 영역과 배경이 아닌 영역을 모두 포함하는 경계 상자
+    const box = await detectTrimBox(inputPath);
+    assert(box && box.left === 10 && box.top === 8 && box.width === 15 && box.height === 16,
+      `경계 상자가 올바르지 않음: ${JSON.stringify(box)}`);
+    testPassed(`자동 자르기 영역 탐지 정상 (${box.left},${box.top} ${box.width}x${box.height})`);
+    
+    // 모든 프레임에 같은 영역 적용
+    const trimmedPath = path.join(outputDir, 'trimmed.webp');
+    const trimmed = await convertGifToWebp(inputPath, trimmedPath, { autoTrim: true, lossless: true });
+    assert(trimmed.success, `자동 자르기 변환이 성공해야 함: ${trimmed.error}`);
+    const metadata = await sharp(trimmedPath, { animated: true }).metadata();
+    assert(metadata.width === box.width && metadata.pageHeight === box.height, '출력 프레임이 경계 상자 크기여야 함');
+    assert(metadata.pages === positions.length, '모든 프레임이 유지되어야 함');
+    assert(trimmed.crop.auto && trimmed.crop.inputWidth === width, '결과에 자르기 내역이 기록되어야 함');
+    
+    const { data: frames } = await sharp(trimmedPath, { animated: true }).raw().toBuffer({ resolveWithObject: true });
+    positions.forEach(([left, top], frame) => {
+      const i = ((frame * box.height + (top - box.top)) * box.width + (left - box.left)) * 4;
+      assert(frames[i] > 200 && frames[i + 1] < 50, `${frame}번 프레임의 사각형 위치가 유지되어야 함`);
+    });
+    testPassed(`자동 자르기 변환 정상 (${width}x${height} → ${metadata.width}x${metadata.pageHeight}, ${metadata.pages}프레임)`);
+    
+    // 영역 지정 자르기 + 크기 조정, 범위 검증
+    const manual = await convertGifToWebp(inputPath, path.join(outputDir, 'manual.webp'), { crop: { x: 8, y: 6, width: 20, height: 20 }, scale: 50 });
+    assert(manual.success && manual.resize.outputWidth === 10 && manual.resize.outputHeight === 10, '자른 영역 기준으로 크기 조정되어야 함');
+    const outside = await convertGifToWebp(inputPath, path.join(outputDir, 'outside.webp'), { crop: { x: 30, y: 0, width: 20, height: 10 } });
+    assert(!outside.success && outside.error.includes('벗어납니다'), '프레임을 벗어난 영역은 거부되어야 함');
+    const conflict = await convertGifToWebp(inputPath, path.join(outputDir, 'conflict.webp'), { crop: { x: 0, y: 0, width: 10, height: 10 }, autoTrim: true });
+    assert(!conflict.success && conflict.error.includes('autoTrim'), 'crop과 autoTrim은 함께 쓸 수 없어야 함');
+    
+    // 품질 분석: 원본을 같은 영역으로 자른 참조와 비교
+    const analysis = await compareImageQuality(inputPath, trimmedPath, { crop: trimmed.crop });
+    assert(analysis.metadata.referenceResized && analysis.psnr > 40, `같은 영역으로 자른 참조와 비교해야 함: ${analysis.psnr}dB`);
+    
+    // 자르기 + 크기 조정 결과가 원본 크기와 같아도 참조에 같은 변환을 적용
+    const zoomedPath = path.join(outputDir, 'zoomed.webp');
+    const zoomed = await convertGifToWebp(inputPath, zoomedPath, { crop: { x: 10, y: 8, width: 20, height: 15 }, width, height, lossless: true });
+    assert(zoomed.success && zoomed.resize.outputWidth === width && zoomed.resize.outputHeight === height, `원본 크기로 확대되어야 함: ${zoomed.error}`);
+    const zoomedQuality = await new BatchProcessor().measureQuality(inputPath, zoomedPath, zoomed);
+    const untransformed = await compareImageQuality(inputPath, zoomedPath);
+    assert(zoomedQuality.psnr > 30 && zoomedQuality.psnr > untransformed.psnr,
+      `원본과 같은 크기여도 자른 참조와 비교해야 함: ${zoomedQuality.psnr}dB (변환 없는 참조 ${untransformed.psnr}dB)`);
+    testPassed(`영역 지정 자르기/품질 비교 정상 (무손실 PSNR ${Number.isFinite(analysis.psnr) ? analysis.psnr.toFixed(2) + 'dB' : '∞'})`);
+    
+  } catch (error) {
+    testFailed('자르기/자동 자르기 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-9. 프레임 줄이기 테스트
+ */
+async function testFrameRate() {
+  startTest('프레임 줄이기 테스트');
+  
+  try {
+    // 프레임 선택: 제거한 프레임의 지연 시간은 앞 프레임에 더함
+    const byFps = selectFrames(new Array(10).fill(20), { maxFps: 25 });
+    assert(byFps.keep.join(',') === '0,2,4,6,8' && byFps.delays.every(delay => delay === 40), '25fps 제한은 20ms 프레임을 하나씩 건너뛰어야 함');
+    const byEvery = selectFrames([10, 20, 30, 40, 50], { dropEvery: 2 });
+    assert(byEvery.keep.join(',') === '0,2,4' && byEvery.delays.join(',') === '30,70,50', 'N번째 프레임의 지연 시간은 앞 프레임에 더해야 함');
+    assert(selectFrames([100, 100], { maxFps: 25 }) === null, '제한보다 느린 애니메이션은 그대로여야 함');
+    
+    let conflictError = null;
+    try {
+      validateTransformOptions({ maxFps: 25, dropEvery: 2 });
+    } catch (error) {
+      conflictError = error;
+    }
+    assert(conflictError && conflictError.message.includes('dropEvery'), 'maxFps와 dropEvery는 함께 쓸 수 없어야 함');
+    testPassed('프레임 선택과 지연 시간 보정 정상');
+    
+    // 50fps(20ms) 12프레임 GIF 생성 (프레임마다 다른 색)
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'frame-rate');
+    await fs.ensureDir(outputDir);
+    
+    const size = 16;
+    const frameCount = 12;
+    const data = Buffer.alloc(size * size * frameCount * 4);
+    for (let frame = 0; frame < frameCount; frame++) {
+      for (let i = 0; i < size * size; i++) {
+        const offset = (frame * size * size + i) * 4;
+        data[offset] = frame * 20;
+        data[offset + 1] = 255 - frame * 20;
+        data[offset + 2] = (i % size) * 16;
+        data[offset + 3] = 255;
+      }
+    }
+    const inputPath = path.join(outputDir, 'fast.gif');
+    await sharp(data, { raw: { width: size, height: size * frameCount, channels: 4, pageHeight: size } })
+      .gif({ delay: new Array(frameCount).fill(20) })
+      .toFile(inputPath);
+    
+    const analysis = await analyzeGIF(inputPath);
+    assert(Math.round(analysis.fps) === 50, `원본 fps가 보고되어야 함: ${analysis.fps}`);
+    assert(suggestFrameRate(analysis) === null, '가벼운 파일에는 프레임 줄이기를 권장하지 않아야 함');
+    const heavy = suggestFrameRate({ ...analysis, frames: 60 });
+    assert(heavy && heavy.maxFps < analysis.fps, '무거운 고프레임 파일에는 프레임 줄이기를 권장해야 함');
+    testPassed(`원본 ${analysis.fps.toFixed(1)}fps 분석, 권장: ${heavy.maxFps}fps`);
+    
+    // 변환: 프레임 수는 절반, 재생 시간은 유지
+    const outputPath = path.join(outputDir, 'fast-25fps.webp');
+    const result = await convertGifToWebp(inputPath, outputPath, { maxFps: 25, lossless: true });
+    assert(result.success, `프레임 줄이기 변환이 성공해야 함: ${result.error}`);
+    const metadata = await sharp(outputPath, { animated: true }).metadata();
+    assert(metadata.pages === frameCount / 2, `프레임 수가 절반이어야 함: ${metadata.pages}`);
+    assert(metadata.delay.reduce((sum, delay) => sum + delay, 0) === analysis.duration, '전체 재생 시간이 유지되어야 함');
+    assert(result.frameRate.outputFrames === metadata.pages && Math.round(result.frameRate.outputFps) === 25, '결과에 프레임 줄이기 내역이 기록되어야 함');
+    
+    const mismatch = await convertGifToWebp(inputPath, path.join(outputDir, 'mismatch.webp'), { dropEvery: 2, delay: new Array(frameCount).fill(20) });
+    assert(!mismatch.success && mismatch.error.includes('delay'), 'delay 배열은 출력 프레임 수와 같아야 함');
+    
+    // 품질 분석은 남긴 프레임끼리 비교
+    const quality = await compareImageQuality(inputPath, outputPath, { frames: result.frameRate.kept });
+    assert(!quality.frames.frameCountMismatch && quality.psnr > 40, `남긴 프레임과 비교해야 함: ${quality.psnr}dB`);
+    testPassed(`${frameCount} → ${metadata.pages}프레임, 재생 시간 ${analysis.duration}ms 유지`);
+    
+  } catch (error) {
+    testFailed('프레임 줄이기 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-10. 중복 프레임 병합 테스트
+ */
+async function testDuplicateFrames() {
+  startTest('중복 프레임 병합 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'duplicates');
+    await fs.ensureDir(outputDir);
+    
+    // 빨강 3프레임(멈춤) → 초록 → 거의 같은 초록(체크무늬 잡음, 채널 차이 3) → 파랑
+    const size = 20;
+    const colors = [[200, 0, 0], [200, 0, 0], [200, 0, 0], [0, 200, 0], null, [0, 0, 200]];
+    const frameBytes = size * size * 4;
+    const data = Buffer.alloc(frameBytes * colors.length);
+    colors.forEach((color, frame) => {
+      for (let i = 0; i < size * size; i++) {
+        const offset = frame * frameBytes + i * 4;
+        const [r, g, b] = color ?? [((i + Math.floor(i / size)) % 2) * 3, 200, 0];
+        data[offset] = r;
+        data[offset + 1] = g;
+        data[offset + 2] = b;
+        data[offset + 3] = 255;
+      }
+    });
+    
+    const selection = { keep: colors.map((_, index) => index), delays: new Array(colors.length).fill(100) };
+    const collapsed = collapseDuplicateFrames(data, frameBytes, selection, 4);
+    assert(collapsed.keep.join(',') === '0,3,5' && collapsed.delays.join(',') === '300,200,100', `중복 프레임의 지연 시간이 합산되어야 함: ${collapsed.keep}`);
+    const exact = collapseDuplicateFrames(data, frameBytes, selection, 0);
+    assert(exact.keep.join(',') === '0,3,4,5', '임계값 0은 완전히 같은 프레임만 병합해야 함');
+    testPassed('중복 프레임 탐지와 지연 시간 합산 정상');
+    
+    // GIF 인코더는 완전히 같은 프레임과 작은 색 차이를 스스로 합치므로 채널 차이 12의 잡음 프레임으로 검증
+    const noisy = [[200, 0, 0], 0, 1, [0, 200, 0], 0, [0, 0, 200]];
+    const gifData = Buffer.alloc(frameBytes * noisy.length);
+    noisy.forEach((color, frame) => {
+      for (let i = 0; i < size * size; i++) {
+        const offset = frame * frameBytes + i * 4;
+        const base = Array.isArray(color) ? color : (Array.isArray(noisy[frame - 1]) ? noisy[frame - 1] : noisy[frame - 2]);
+        const noise = Array.isArray(color) ? 0 : ((i + Math.floor(i / size) + color) % 2) * 12;
+        gifData[offset] = base[0];
+        gifData[offset + 1] = base[1] + noise;
+        gifData[offset + 2] = base[2];
+        gifData[offset + 3] = 255;
+      }
+    });
+    
+    const inputPath = path.join(outputDir, 'hold.gif');
+    await sharp(gifData, { raw: { width: size, height: size * noisy.length, channels: 4, pageHeight: size } })
+      .gif({ delay: selection.delays, dither: 0 })
+      .toFile(inputPath);
+    
+    const outputPath = path.join(outputDir, 'hold.webp');
+    const result = await convertGifToWebp(inputPath, outputPath, { dedupe: true, dedupeThreshold: 16, lossless: true });
+    assert(result.success, `중복 프레임 병합 변환이 성공해야 함: ${result.error}`);
+    const metadata = await sharp(outputPath, { animated: true }).metadata();
+    assert(metadata.pages === 3, `출력 프레임이 3개여야 함: ${metadata.pages}`);
+    assert(metadata.delay.join(',') === '300,200,100', `병합된 지연 시간이 유지되어야 함: ${metadata.delay}`);
+    
+    const { duplicates } = result;
+    assert(duplicates.removed === 3 && duplicates.sourceFrames === 6 && duplicates.outputFrames === 3, `제거한 프레임 수가 보고되어야 함: ${duplicates.removed}`);
+    assert(duplicates.savedBytes > 0, `절약한 크기가 보고되어야 함: ${duplicates.savedBytes}`);
+    
+    const strict = await convertGifToWebp(inputPath, path.join(outputDir, 'hold-strict.webp'), { dedupe: true });
+    assert(strict.success && strict.duplicates.removed === 0 && strict.duplicates.kept === null, '기본 임계값보다 큰 차이의 프레임은 남아야 함');
+    
+    const quality = await compareImageQuality(inputPath, outputPath, { frames: duplicates.kept });
+    assert(!quality.frames.frameCountMismatch && quality.psnr > 40, `남긴 프레임과 비교해야 함: ${quality.psnr}dB`);
+    testPassed(`6 → 3프레임, ${duplicates.savedBytes} bytes 절약`);
+    
+  } catch (error) {
+    testFailed('중복 프레임 병합 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-11. 재생 속도/순서 테스트
+ */
+async function testPlayback() {
+  startTest('재생 속도/순서 테스트');
+  
+  try {
+    const scaled = scaleDelays([100, 100, 100], 3);
+    assert(scaled.reduce((sum, delay) => sum + delay, 0) === 100, `반올림 오차가 쌓이지 않아야 함: ${scaled}`);
+    
+    const frames = { keep: [0, 1, 2, 3, 4], delays: [10, 20, 30, 40, 50] };
+    const boomerang = arrangePlayback(frames, { boomerang: true });
+    assert(boomerang.keep.join(',') === '0,1,2,3,4,3,2,1' && boomerang.delays.join(',') === '10,20,30,40,50,40,30,20', `부메랑은 양 끝 프레임을 반복하지 않아야 함: ${boomerang.keep}`);
+    const backward = arrangePlayback(frames, { reverse: true, boomerang: true });
+    assert(backward.keep.join(',') === '4,3,2,1,0,1,2,3', '거꾸로 + 부메랑은 역방향부터 재생해야 함');
+    
+    let speedError = null;
+    try {
+      validateTransformOptions({ speed: 0 });
+    } catch (error) {
+      speedError = error;
+    }
+    assert(speedError && speedError.message.includes('speed'), '0배속은 거부되어야 함');
+    testPassed('지연 시간 배율과 재생 순서 계산 정상');
+    
+    // 프레임마다 다른 색의 5프레임 GIF (100ms)
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'playback');
+    await fs.ensureDir(outputDir);
+    
+    const size = 16;
+    const frameCount = 5;
+    const frameBytes = size * size * 4;
+    const data = Buffer.alloc(frameBytes * frameCount);
+    for (let frame = 0; frame < frameCount; frame++) {
+      for (let i = 0; i < size * size; i++) {
+        data.set([frame * 50, 255 - frame * 50, 128, 255], frame * frameBytes + i * 4);
+      }
+    }
+    const inputPath = path.join(outputDir, 'steps.gif');
+    await sharp(data, { raw: { width: size, height: size * frameCount, channels: 4, pageHeight: size } })
+      .gif({ delay: new Array(frameCount).fill(100), loop: 3 })
+      .toFile(inputPath);
+    
+    const outputPath = path.join(outputDir, 'steps-boomerang.webp');
+    const result = await convertGifToWebp(inputPath, outputPath, { speed: 2, boomerang: true, loop: 3, lossless: true });
+    assert(result.success, `부메랑 변환이 성공해야 함: ${result.error}`);
+    const metadata = await sharp(outputPath, { animated: true }).metadata();
+    assert(metadata.pages === 8, `부메랑 프레임 수: ${metadata.pages}`);
+    assert(metadata.delay.every(delay => delay === 50), `2배속 지연 시간: ${metadata.delay}`);
+    assert(metadata.loop === 3, `반복 횟수가 유지되어야 함: ${metadata.loop}`);
+    assert(result.playback.sourceDuration === 500 && result.playback.duration === 400 && result.playback.outputFrames === 8, '재생 내역이 기록되어야 함');
+    
+    const quality = await compareImageQuality(inputPath, outputPath, { frames: result.playback.kept });
+    assert(!quality.frames.frameCountMismatch && quality.psnr > 40, `재생 순서대로 비교해야 함: ${quality.psnr}dB`);
+    testPassed(`2배속 부메랑: ${frameCount} → ${metadata.pages}프레임, 0.5초 → 0.4초`);
+    
+    const reversedPath = path.join(outputDir, 'steps-reverse.webp');
+    const reversed = await convertGifToWebp(inputPath, reversedPath, { reverse: true, lossless: true });
+    assert(reversed.success && reversed.playback.kept.join(',') === '4,3,2,1,0', '거꾸로 재생 순서가 기록되어야 함');
+    const { data: firstPixel } = await sharp(reversedPath).raw().toBuffer({ resolveWithObject: true });
+    assert(firstPixel[0] === 200, `첫 프레임은 원본의 마지막 프레임이어야 함: ${firstPixel[0]}`);
+    testPassed('거꾸로 재생 정상');
+    
+  } catch (error) {
+    testFailed('재생 속도/순서 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-12. 반복 횟수/타이밍 유지 테스트
+ */
+async function testTiming() {
+  startTest('반복 횟수/타이밍 유지 테스트');
+  
+  try {
+    const converter = new GifToWebPConverter();
+    const expected = { frames: 4, delays: [100, 100, 100, 100], loop: 0 };
+    
+    const merged = converter.checkTiming({ pages: 2, delay: [300, 100], loop: 0 }, expected);
+    assert(merged.errors.length === 0 && merged.mergedFrames === 2, '인코더가 같은 프레임을 합친 경우는 정상이어야 함');
+    const shifted = converter.checkTiming({ pages: 2, delay: [250, 150], loop: 0 }, expected);
+    assert(shifted.errors.some(error => error.includes('프레임 경계')), '프레임 경계가 어긋나면 오류여야 함');
+    const shortened = converter.checkTiming({ pages: 4, delay: [100, 100, 100, 50], loop: 0 }, expected);
+    assert(shortened.errors.some(error => error.includes('재생 시간')), '재생 시간이 바뀌면 오류여야 함');
+    const looped = converter.checkTiming({ pages: 4, delay: [100, 100, 100, 100], loop: 1 }, expected);
+    assert(looped.errors.some(error => error.includes('반복 횟수')), '반복 횟수가 바뀌면 오류여야 함');
+    testPassed('타이밍 비교 정상');
+    
+    // 한 번만 재생되는 GIF (프레임별 지연 시간이 다름)
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'timing');
+    await fs.ensureDir(outputDir);
+    
+    const size = 12;
+    const delays = [50, 120, 80, 200];
+    const frameBytes = size * size * 4;
+    const data = Buffer.alloc(frameBytes * delays.length);
+    delays.forEach((_, frame) => {
+      for (let i = 0; i < size * size; i++) {
+        data.set([frame * 60, 100, 255 - frame * 60, 255], frame * frameBytes + i * 4);
+      }
+    });
+    const inputPath = path.join(outputDir, 'once.gif');
+    await sharp(data, { raw: { width: size, height: size * delays.length, channels: 4, pageHeight: size } })
+      .gif({ delay: delays, loop: 1 })
+      .toFile(inputPath);
+    
+    const outputPath = path.join(outputDir, 'once.webp');
+    const result = await converter.convertFile(inputPath, outputPath);
+    assert(result.success, `변환이 성공해야 함: ${result.error}`);
+    const metadata = await sharp(outputPath, { animated: true }).metadata();
+    assert(metadata.loop === 1, `원본 반복 횟수가 유지되어야 함: ${metadata.loop}`);
+    assert(metadata.delay.join(',') === delays.join(','), `프레임별 지연 시간이 유지되어야 함: ${metadata.delay}`);
+    assert(result.timing.verified && result.timing.sourceLoop === 1 && result.timing.duration === 450, '타이밍 검증 결과가 기록되어야 함');
+    
+    const infinitePath = path.join(outputDir, 'once-infinite.webp');
+    const infinite = await converter.convertFile(inputPath, infinitePath, { loop: 0 });
+    assert(infinite.success && (await sharp(infinitePath, { animated: true }).metadata()).loop === 0, 'loop를 지정하면 원본 대신 사용해야 함');
+    testPassed(`반복 ${metadata.loop}회, 지연 시간 ${metadata.delay.join('/')}ms 유지`);
+    
+  } catch (error) {
+    testFailed('반복 횟수/타이밍 유지 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-13. 버퍼/스트림 변환 테스트
+ */
+async function testBufferStream() {
+  startTest('버퍼/스트림 변환 테스트');
+  
+  try {
+    const inputPath = path.join(projectRoot, 'examples', 'small-test.gif');
+    const converter = new GifToWebPConverter({ quality: 75 });
+    const input = await fs.readFile(inputPath);
+    
+    const result = await converter.convertBuffer(input);
+    assert(result.success, `버퍼 변환이 성공해야 함: ${result.error}`);
+    assert(Buffer.isBuffer(result.buffer), '결과에 WebP 버퍼가 있어야 함');
+    assert(result.buffer.subarray(0, 4).toString() === 'RIFF' && result.buffer.subarray(8, 12).toString() === 'WEBP', 'WebP 헤더여야 함');
+    assert(result.outputPath === null && result.inputSize === input.length && result.outputSize === result.buffer.length, '크기 정보가 버퍼 기준이어야 함');
+    assert(result.timing && result.timing.verified, '파일 변환과 같은 타이밍 검증 결과가 있어야 함');
+    testPassed(`버퍼 변환: ${result.inputSize} → ${result.outputSize} bytes`);
+    
+    const { default: sharp } = await import('sharp');
+    const png = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#f00' } }).png().toBuffer();
+    const rejected = await converter.convertBuffer(png, { inputFormats: ['gif'] });
+    assert(!rejected.success && rejected.errorCode === INPUT_ERROR_CODES.FORMAT_NOT_ALLOWED, '허용되지 않은 형식의 데이터는 거부해야 함');
+    const empty = await converter.convertBuffer(Buffer.alloc(0));
+    assert(!empty.success, '빈 데이터는 거부해야 함');
+    testPassed('허용되지 않은 데이터 거부');
+    
+    const stream = converter.convertStream(fs.createReadStream(inputPath));
+    let info = null;
+    stream.on('result', value => { info = value; });
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    const output = Buffer.concat(chunks);
+    assert(info && info.success && !('buffer' in info), '출력 데이터 전에 결과 정보가 전달되어야 함');
+    assert(output.length === info.outputSize && output.subarray(8, 12).toString() === 'WEBP', '스트림 출력이 WebP여야 함');
+    testPassed(`스트림 변환: ${output.length} bytes`);
+    
+    const failing = converter.convertStream(fs.createReadStream(path.join(projectRoot, 'package.json')));
+    const error = await new Promise(resolve => {
+      failing.on('error', resolve);
+      failing.resume();
+    });
+    assert(error.code === INPUT_ERROR_CODES.UNSUPPORTED_FORMAT, `변환 실패는 스트림 오류로 전달되어야 함: ${error.message}`);
+    testPassed('스트림 변환 실패 시 오류 전달');
+    
+  } catch (error) {
+    testFailed('버퍼/스트림 변환 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-14. 입력 형식 판별 테스트
+ */
+async function testInputDetection() {
+  startTest('입력 형식 판별 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const sourcePath = path.join(projectRoot, 'examples', 'small-test.gif');
+    const source = await fs.readFile(sourcePath);
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'input-detection');
+    await fs.emptyDir(outputDir);
+    
+    const inspection = inspectGif(source);
+    const metadata = await sharp(source).metadata();
+    assert(inspection.valid && inspection.code === null, '정상 GIF는 통과해야 함');
+    assert(inspection.frames === metadata.pages && inspection.width === metadata.width, `프레임 수/크기를 읽어야 함: ${inspection.frames}`);
+    
+    const truncated = source.subarray(0, Math.floor(source.length / 2));
+    assert(inspectGif(truncated).code === INPUT_ERROR_CODES.TRUNCATED, '중간에 끊긴 GIF는 잘림으로 판별해야 함');
+    assert(inspectGif(source.subarray(0, source.length - 1)).code === INPUT_ERROR_CODES.TRUNCATED, '트레일러가 없으면 잘림으로 판별해야 함');
+    assert(inspectGif(source.subarray(0, 4)).code === INPUT_ERROR_CODES.TRUNCATED, '헤더 도중에 끊기면 잘림으로 판별해야 함');
+    
+    const badBlock = Buffer.from(source);
+    badBlock[badBlock.length - 1] = 0x99;
+    assert(inspectGif(badBlock).code === INPUT_ERROR_CODES.CORRUPT, '알 수 없는 블록은 손상으로 판별해야 함');
+    const noFrames = Buffer.from('GIF89a\x01\x00\x01\x00\x00\x00\x00\x3b', 'latin1');
+    assert(inspectGif(noFrames).code === INPUT_ERROR_CODES.CORRUPT, '프레임이 없으면 손상으로 판별해야 함');
+    testPassed('헤더/잘림/손상 판별 정상');
+    
+    const converter = new GifToWebPConverter({ quality: 75 });
+    
+    // 이름만 .gif인 PNG는 GIF만 허용하면 Sharp까지 가지 않고 거부
+    const fakePath = path.join(outputDir, 'renamed.gif');
+    await sharp({ create: { width: 8, height: 8, channels: 3, background: '#0f0' } }).png().toFile(fakePath);
+    const fake = await converter.convertFile(fakePath, path.join(outputDir, 'renamed.webp'), { inputFormats: ['gif'] });
+    assert(!fake.success && fake.errorCode === INPUT_ERROR_CODES.FORMAT_NOT_ALLOWED, `이름만 바뀐 PNG는 거부해야 함: ${fake.errorCode}`);
+    const garbage = await converter.convertBuffer(Buffer.from('not an image'));
+    assert(!garbage.success && garbage.errorCode === INPUT_ERROR_CODES.UNSUPPORTED_FORMAT, `이미지가 아닌 데이터는 ERR_UNSUPPORTED_FORMAT이어야 함: ${garbage.errorCode}`);
+    
+    const truncatedPath = path.join(outputDir, 'truncated.gif');
+    await fs.writeFile(truncatedPath, truncated);
+    const cut = await converter.convertFile(truncatedPath, path.join(outputDir, 'truncated.webp'));
+    assert(!cut.success && cut.errorCode === INPUT_ERROR_CODES.TRUNCATED, `잘린 파일은 ERR_GIF_TRUNCATED여야 함: ${cut.errorCode}`);
+    assert(!await fs.pathExists(path.join(outputDir, 'truncated.webp')), '잘린 파일은 출력을 만들지 않아야 함');
+    
+    const corrupt = await converter.convertBuffer(badBlock);
+    assert(!corrupt.success && corrupt.errorCode === INPUT_ERROR_CODES.CORRUPT, `손상된 데이터는 ERR_GIF_CORRUPT여야 함: ${corrupt.errorCode}`);
+    
+    const streamError = await new Promise(resolve => {
+      const stream = converter.convertStream(Readable.from([truncated]));
+      stream.on('error', resolve);
+      stream.resume();
+    });
+    assert(streamError.code === INPUT_ERROR_CODES.TRUNCATED, `스트림 오류에도 코드가 있어야 함: ${streamError.code}`);
+    testPassed('변환기 오류 코드 정상');
+    
+    // 확장자가 다른 GIF는 내용으로 판별해 변환
+    const renamedGifPath = path.join(outputDir, 'animation.dat');
+    await fs.copy(sourcePath, renamedGifPath);
+    const renamed = await converter.convertFile(renamedGifPath, converter.generateOutputPath(renamedGifPath));
+    assert(renamed.success, `확장자가 다른 GIF도 변환해야 함: ${renamed.error}`);
+    const samePath = await converter.convertFile(renamedGifPath, renamedGifPath);
+    assert(!samePath.success && (await fs.readFile(renamedGifPath)).equals(source), '입력 파일을 출력으로 덮어쓰지 않아야 함');
+    
+    const processor = new BatchProcessor({ inputFormats: ['gif'] });
+    assert(await isGifFile(renamedGifPath) && !await isGifFile(fakePath), '헤더로 GIF 여부를 판별해야 함');
+    const found = (await processor.findGifFiles(outputDir)).map(file => path.basename(file)).sort();
+    assert(found.join(',') === 'animation.dat,truncated.gif', `배치 스캔은 헤더로 판별해야 함: ${found.join(', ')}`);
+    testPassed(`배치 스캔: ${found.join(', ')}`);
+    
+  } catch (error) {
+    testFailed('입력 형식 판별 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-15. 다른 입력 형식 테스트
+ */
+async function testInputFormats() {
+  startTest('다른 입력 형식 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const sourcePath = path.join(projectRoot, 'examples', 'small-test.gif');
+    const inputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'input-formats');
+    const outputDir = path.join(inputDir, 'webp');
+    await fs.emptyDir(inputDir);
+    
+    assert(resolveInputFormats('GIF, jpg,tif').join(',') === 'gif,jpeg,tiff', '형식 별칭을 정규화해야 함');
+    let invalidRejected = false;
+    try {
+      resolveInputFormats(['gif', 'bmp']);
+    } catch (error) {
+      invalidRejected = error.message.includes('bmp');
+    }
+    assert(invalidRejected, '지원하지 않는 형식 이름은 거부해야 함');
+    
+    // 애니메이션 WebP, 여러 페이지 TIFF, 정지 PNG/JPEG 준비
+    const size = 16;
+    const pages = 3;
+    const pixels = Buffer.alloc(size * size * 3 * pages);
+    for (let page = 0; page < pages; page++) {
+      pixels.fill(page * 80, page * size * size * 3, (page + 1) * size * size * 3);
+    }
+    await sharp(sourcePath, { animated: true }).webp({ quality: 90 }).toFile(path.join(inputDir, 'animated.webp'));
+    await sharp(pixels, { raw: { width: size, height: size * pages, channels: 3, pageHeight: size } }).tiff().toFile(path.join(inputDir, 'pages.tiff'));
+    await sharp(sourcePath).png().toFile(path.join(inputDir, 'still.png'));
+    await sharp(sourcePath).jpeg().toFile(path.join(inputDir, 'photo.jpg'));
+    await fs.copy(sourcePath, path.join(inputDir, 'source.gif'));
+    await fs.writeFile(path.join(inputDir, 'notes.txt'), 'not an image');
+    
+    const detected = {};
+    for (const name of await fs.readdir(inputDir)) {
+      const file = path.join(inputDir, name);
+      if ((await fs.stat(file)).isFile()) detected[name] = detectInputFormat(await fs.readFile(file));
+    }
+    assert(detected['animated.webp'] === 'webp' && detected['pages.tiff'] === 'tiff' && detected['still.png'] === 'png'
+      && detected['photo.jpg'] === 'jpeg' && detected['source.gif'] === 'gif' && detected['notes.txt'] === null,
+      `헤더로 형식을 판별해야 함: ${JSON.stringify(detected)}`);
+    testPassed('입력 형식 판별 정상');
+    
+    const processor = new BatchProcessor({ quality: 70 });
+    const results = await processor.convertDirectory(inputDir, outputDir);
+    const byName = Object.fromEntries(results.map(r => [path.basename(r.inputPath), r]));
+    assert(results.length === 5 && results.every(r => r.success), `지원 형식은 모두 변환해야 함: ${results.map(r => r.error).filter(Boolean).join(', ')}`);
+    
+    const animated = byName['animated.webp'];
+    const animatedMeta = await sharp(animated.outputPath, { animated: true }).metadata();
+    const sourceMeta = await sharp(sourcePath, { animated: true }).metadata();
+    assert(animated.sourceFormat === 'webp' && animatedMeta.pages === sourceMeta.pages, `애니메이션 WebP는 모든 프레임을 다시 인코딩해야 함: ${animatedMeta.pages}`);
+    assert(animated.settings.quality === 70 && animated.timing.verified, '요청한 설정으로 다시 인코딩하고 타이밍을 검증해야 함');
+    
+    const tiff = byName['pages.tiff'];
+    const tiffMeta = await sharp(tiff.outputPath, { animated: true }).metadata();
+    assert(tiff.sourceFormat === 'tiff' && tiffMeta.pages === pages, `TIFF 페이지는 프레임이 되어야 함: ${tiffMeta.pages}`);
+    
+    const still = byName['still.png'];
+    assert(still.sourceFormat === 'png' && still.timing === null && (await sharp(still.outputPath).metadata()).pages === undefined, '정지 이미지는 정지 WebP로 변환해야 함');
+    assert(byName['photo.jpg'].sourceFormat === 'jpeg' && byName['source.gif'].sourceFormat === 'gif', '입력 형식이 결과에 기록되어야 함');
+    
+    const report = await createBatchReport(results, processor.getStats());
+    assert(report.files.find(file => file.inputPath === still.inputPath).sourceFormat === 'png', '보고서에 입력 형식이 기록되어야 함');
+    testPassed(`형식별 변환: ${results.map(r => `${path.basename(r.inputPath)}(${r.sourceFormat})`).join(', ')}`);
+    
+    // 허용 목록
+    const gifOnly = new BatchProcessor({ inputFormats: ['gif', 'webp'] });
+    const found = (await gifOnly.findInputFiles(inputDir)).map(file => path.basename(file)).sort();
+    assert(found.join(',') === 'animated.webp,source.gif', `허용 목록에 있는 형식만 스캔해야 함: ${found.join(', ')}`);
+    const converter = new GifToWebPConverter({ inputFormats: ['gif'] });
+    const denied = await converter.convertFile(path.join(inputDir, 'still.png'), path.join(outputDir, 'denied.webp'));
+    assert(!denied.success && denied.errorCode === INPUT_ERROR_CODES.FORMAT_NOT_ALLOWED, '허용되지 않은 형식은 거부해야 함');
+    
+    // 같은 이름의 다른 형식 입력은 출력 경로가 겹치므로 먼저 나온 파일만 변환
+    const conflictDir = path.join(inputDir, 'conflict');
+    await fs.ensureDir(conflictDir);
+    await fs.copy(sourcePath, path.join(conflictDir, 'logo.gif'));
+    await fs.copy(path.join(inputDir, 'still.png'), path.join(conflictDir, 'logo.png'));
+    const conflict = await new BatchProcessor().convertFiles(
+      [path.join(conflictDir, 'logo.gif'), path.join(conflictDir, 'logo.png')],
+      path.join(conflictDir, 'webp')
+    );
+    assert(conflict[0].success && conflict[0].sourceFormat === 'gif', '먼저 나온 입력은 변환해야 함');
+    assert(!conflict[1].success && conflict[1].error.includes('겹칩니다'), '출력 경로가 겹치는 입력은 실패로 보고해야 함');
+    testPassed('허용 목록과 출력 경로 충돌 처리 정상');
+    
+  } catch (error) {
+    testFailed('다른 입력 형식 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-16. GIF 역변환 테스트
+ */
+async function testReverseConversion() {
+  startTest('GIF 역변환 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'reverse');
+    await fs.emptyDir(outputDir);
+    
+    // 프레임마다 색이 다른 애니메이션 WebP (반복 2회)
+    const size = 24;
+    const delays = [100, 50, 200, 80];
+    const pixels = Buffer.alloc(size * size * 3 * delays.length);
+    for (let page = 0; page < delays.length; page++) {
+      for (let i = page * size * size; i < (page + 1) * size * size; i++) {
+        const x = i % size;
+        pixels[i * 3] = page * 60;
+        pixels[i * 3 + 1] = x * 10;
+        pixels[i * 3 + 2] = 255 - page * 60;
+      }
+    }
+    const rawInput = { raw: { width: size, height: size * delays.length, channels: 3, pageHeight: size } };
+    const webpPath = path.join(outputDir, 'anim.webp');
+    await sharp(pixels, rawInput).webp({ lossless: true, delay: delays, loop: 2 }).toFile(webpPath);
+    
+    const converter = new GifToWebPConverter({ format: 'gif' });
+    const gifPath = converter.generateOutputPath(webpPath);
+    assert(path.extname(gifPath) === '.gif', `GIF 출력 경로는 .gif 확장자여야 함: ${gifPath}`);
+    
+    const result = await converter.convertFile(webpPath, gifPath);
+    assert(result.success && result.sourceFormat === 'webp' && result.outputFormat === 'gif', `WebP를 GIF로 변환해야 함: ${result.error}`);
+    const header = (await fs.readFile(gifPath)).subarray(0, 6).toString('ascii');
+    const meta = await sharp(gifPath, { animated: true }).metadata();
+    assert(header === 'GIF89a' && meta.format === 'gif', `출력은 GIF여야 함: ${header}`);
+    assert(meta.pages === delays.length && meta.loop === 2, `프레임 수와 반복 횟수가 유지되어야 함: ${meta.pages}프레임, 반복 ${meta.loop}`);
+    assert(meta.delay.join(',') === delays.join(','), `10ms 배수 지연은 그대로 유지되어야 함: ${meta.delay.join(',')}`);
+    assert(result.timing.verified, 'GIF 출력도 타이밍을 검증해야 함');
+    assert(converter.getStats().processed === 1, '통계에 집계되어야 함');
+    testPassed(`WebP → GIF: ${meta.pages}프레임, 지연 ${meta.delay.join('/')}ms, 반복 ${meta.loop}`);
+    
+    // 10ms 단위가 아닌 지연은 누적 반올림으로 전체 재생 시간 유지
+    const quantized = quantizeDelays([75, 133, 24, 68], 10);
+    assert(quantized.every(delay => delay % 10 === 0), `10ms 단위로 맞춰야 함: ${quantized.join(',')}`);
+    assert(quantized.reduce((a, b) => a + b, 0) === 300, `전체 재생 시간이 유지되어야 함: ${quantized.join(',')}`);
+    
+    // 0이 아닌 짧은 지연은 0으로 사라지지 않고 최소 한 단위, 늘어난 만큼은 다음 프레임에서 차감
+    const short = quantizeDelays([4, 4, 4, 4, 4], 10);
+    assert(short.every(delay => delay === 10), `짧은 지연은 최소 10ms여야 함: ${short.join(',')}`);
+    const carried = quantizeDelays([4, 16, 0], 10);
+    assert(carried.join(',') === '10,10,0', `늘어난 시간을 다음 프레임에서 빼야 함: ${carried.join(',')}`);
+    
+    const oddPath = path.join(outputDir, 'odd.webp');
+    await sharp(pixels, rawInput).webp({ lossless: true, delay: [75, 133, 24, 68], loop: 0 }).toFile(oddPath);
+    const odd = await converter.convertFile(oddPath, path.join(outputDir, 'odd.gif'));
+    const oddMeta = await sharp(odd.outputPath, { animated: true }).metadata();
+    assert(odd.success && odd.timing.verified, `지연 시간을 맞춘 뒤 검증을 통과해야 함: ${odd.error}`);
+    assert(oddMeta.delay.join(',') === quantized.join(',') && oddMeta.loop === 0, `출력 지연은 맞춘 값이어야 함: ${oddMeta.delay.join(',')}`);
+    testPassed(`지연 시간 맞춤: 75/133/24/68 → ${oddMeta.delay.join('/')}ms`);
+    
+    // 팔레트 옵션
+    const sourcePath = path.join(projectRoot, 'examples', 'small-test.gif');
+    const sourceWebp = path.join(outputDir, 'source.webp');
+    await sharp(sourcePath, { animated: true }).webp({ lossless: true }).toFile(sourceWebp);
+    const full = await converter.convertFile(sourceWebp, path.join(outputDir, 'full.gif'));
+    const reduced = await new GifToWebPConverter({ format: 'gif', colors: 8, dither: 0 }).convertFile(sourceWebp, path.join(outputDir, 'reduced.gif'));
+    assert(full.success && reduced.success && reduced.outputSize < full.outputSize, `팔레트를 줄이면 파일이 작아져야 함: ${full.outputSize} → ${reduced.outputSize}`);
+    assert(toSharpGifOptions({ colors: 8, gifEffort: 3 }).colours === 8 && toSharpGifOptions({ gifEffort: 3 }).effort === 3, 'GIF 옵션 이름을 Sharp 옵션으로 바꿔야 함');
+    testPassed(`팔레트 크기: 256색 ${full.outputSize} bytes → 8색 ${reduced.outputSize} bytes`);
+    
+    // GIF → GIF: 출력 경로를 생략하면 입력과 겹치지 않게 접미사를 붙이고, 직접 지정한 입력 경로는 거부
+    const againPath = path.join(outputDir, 'again.gif');
+    await fs.copy(sourcePath, againPath);
+    const cli = path.join(projectRoot, 'src', 'cli.js');
+    const regif = spawnSync(process.execPath, [cli, 'convert', againPath, '--to', 'gif'], { encoding: 'utf8' });
+    const regifPath = path.join(outputDir, 'again-converted.gif');
+    assert(regif.status === 0 && await fs.pathExists(regifPath), `-o 없이 --to gif가 성공해야 함: ${regif.status} ${regif.stdout.slice(-200)}`);
+    const both = await new GifToWebPConverter({ format: ['webp', 'gif'] }).convertFile(againPath, path.join(outputDir, 'again.webp'));
+    assert(both.success && both.outputs[1].outputPath === regifPath, `형식별 경로도 입력과 겹치지 않아야 함: ${both.error}`);
+    const overwrite = await new GifToWebPConverter({ format: 'gif' }).convertFile(againPath, againPath);
+    assert(!overwrite.success && overwrite.error.includes('입력 파일과 같습니다'), '직접 지정한 입력 경로는 거부해야 함');
+    testPassed(`GIF → GIF 기본 출력 경로: ${path.basename(regifPath)}`);
+    
+    // 잘못된 GIF 옵션과 WebP 전용 옵션은 거부
+    const rejected = [
+      [{ format: 'gif', colors: 300 }, 'colors'],
+      [{ format: 'gif', maxSize: 10000 }, 'maxSize'],
+      [{ format: 'gif', ifLarger: 'retry' }, '재시도'],
+      [{ format: 'png' }, '출력 형식']
+    ];
+    for (const [options, keyword] of rejected) {
+      const failed = await new GifToWebPConverter(options).convertFile(webpPath, path.join(outputDir, 'rejected.gif'));
+      assert(!failed.success && failed.error.includes(keyword), `${JSON.stringify(options)}는 거부해야 함: ${failed.error}`);
+    }
+    testPassed('잘못된 GIF 옵션 거부 정상');
+    
+  } catch (error) {
+    testFailed('GIF 역변환 테스트 실패', error);
+  }
+}
+
+/**
+ * 4-17. 여러 출력 형식 테스트
+ */
+async function testOutputFormats() {
+  startTest('여러 출력 형식 테스트');
+  
+  try {
+    const { default: sharp } = await import('sharp');
+    const sourcePath = path.join(projectRoot, 'examples', 'small-test.gif');
+    const outputDir = path.join(projectRoot, TEST_CONFIG.outputDir, 'output-formats');
+    await fs.emptyDir(outputDir);
+    
+    assert(resolveOutputFormats('WebP, avif,webp').join(',') === 'webp,avif', '형식 목록을 정규화해야 함');
+    let invalidRejected = false;
+    try {
+      resolveOutputFormats(['webp', 'png']);
+    } catch (error) {
+      invalidRejected = error.message.includes('png');
+    }
+    assert(invalidRejected, '지원하지 않는 출력 형식은 거부해야 함');
+    
+    // 한 작업에서 형식마다 출력 (형식별 인코더 옵션)
+    const converter = new GifToWebPConverter({
+      format: ['webp', 'gif', 'avif'],
+      quality: 70,
+      colors: 32,
+      avifQuality: 40
+    });
+    const result = await converter.convertFile(sourcePath, path.join(outputDir, 'small.webp'));
+    const byFormat = Object.fromEntries((result.outputs || []).map(output => [output.outputFormat, output]));
+    assert(result.success && result.outputs.length === 3, `모든 형식을 출력해야 함: ${result.error}`);
+    assert(result.outputFormat === 'webp' && result.outputPath === byFormat.webp.outputPath, '최상위 결과는 첫 형식이어야 함');
+    assert(['webp', 'gif', 'avif'].every(format => path.extname(byFormat[format].outputPath) === `.${format}`), '형식마다 확장자가 달라야 함');
+    
+    const sourceMeta = await sharp(sourcePath, { animated: true }).metadata();
+    const webpMeta = await sharp(byFormat.webp.outputPath, { animated: true }).metadata();
+    const gifMeta = await sharp(byFormat.gif.outputPath, { animated: true }).metadata();
+    const avifMeta = await sharp(byFormat.avif.outputPath, { animated: true }).metadata();
+    assert(webpMeta.format === 'webp' && webpMeta.pages === sourceMeta.pages, 'WebP는 애니메이션이어야 함');
+    assert(gifMeta.format === 'gif' && gifMeta.pages === sourceMeta.pages, 'GIF는 애니메이션이어야 함');
+    assert(avifMeta.format === 'heif' && avifMeta.compression === 'av1' && (avifMeta.pages ?? 1) === 1, 'AVIF는 정지 이미지여야 함');
+    assert(avifMeta.width === sourceMeta.width && avifMeta.height === sourceMeta.pageHeight, `AVIF는 한 프레임 크기여야 함: ${avifMeta.width}x${avifMeta.height}`);
+    assert(byFormat.webp.timing.verified && byFormat.gif.timing.verified && byFormat.avif.timing === null, '애니메이션 출력만 타이밍을 검증해야 함');
+    
+    assert(byFormat.webp.settings.quality === 70 && byFormat.webp.settings.colors === undefined, 'WebP는 WebP 옵션만 사용해야 함');
+    assert(byFormat.gif.settings.colors === 32 && byFormat.gif.settings.quality === undefined, 'GIF는 GIF 옵션만 사용해야 함');
+    assert(byFormat.avif.settings.avifQuality === 40 && byFormat.avif.settings.quality === undefined, 'AVIF는 AVIF 옵션만 사용해야 함');
+    const stats = converter.getStats();
+    assert(stats.processed === 1 && stats.totalSizeBefore === result.inputSize && stats.totalSizeAfter === result.outputSize,
+      `통계는 원본 단위로 한 번만 집계해야 함: ${stats.processed}개, ${stats.totalSizeBefore} → ${stats.totalSizeAfter} bytes`);
+    testPassed(`형식별 출력: ${result.outputs.map(output => `${output.outputFormat} ${output.outputSize} bytes`).join(', ')}`);
+    
+    // 자동 자르기/중복 병합/재생 순서 계산은 원본당 한 번만 하고 모든 형식이 같은 결과를 공유
+    const shared = await new GifToWebPConverter({ format: ['webp', 'gif'], autoTrim: true, dedupe: true, reverse: true })
+      .convertFile(sourcePath, path.join(outputDir, 'shared.webp'));
+    const [sharedWebp, sharedGif] = shared.outputs || [];
+    assert(shared.success && sharedWebp.playback.kept === sharedGif.playback.kept && sharedWebp.duplicates.kept === sharedGif.duplicates.kept,
+      `형식마다 프레임 변환 설정을 다시 계산하지 않아야 함: ${shared.error}`);
+    assert(JSON.stringify(sharedWebp.crop) === JSON.stringify(sharedGif.crop), '형식마다 같은 자르기 영역을 사용해야 함');
+    
+    // WebP 전용 기능은 WebP 출력에만 적용, WebP가 없으면 오류
+    const targetSize = Math.floor(byFormat.webp.outputSize * 0.8);
+    const sized = await new GifToWebPConverter({ format: ['webp', 'avif'], maxSize: targetSize })
+      .convertFile(sourcePath, path.join(outputDir, 'sized.webp'));
+    assert(sized.success && sized.outputs[0].sizeTarget && sized.outputs[1].sizeTarget === null, '목표 크기는 WebP 출력에만 적용해야 함');
+    const noWebp = await new GifToWebPConverter({ format: ['gif', 'avif'], maxSize: targetSize })
+      .convertFile(sourcePath, path.join(outputDir, 'nowebp.gif'));
+    assert(!noWebp.success && noWebp.outputs.every(output => !output.success && output.error.includes('maxSize')), 'WebP가 없으면 목표 크기는 오류여야 함');
+    testPassed('WebP 전용 옵션 적용 범위 정상');
+    
+    // 메모리 변환은 형식마다 buffer, 스트림은 형식 하나만
+    const buffered = await new GifToWebPConverter({ format: 'webp,avif' }).convertBuffer(await fs.readFile(sourcePath));
+    assert(buffered.outputs.every(output => Buffer.isBuffer(output.buffer)), '메모리 변환은 형식마다 buffer를 반환해야 함');
+    const streamError = await new Promise(resolve => {
+      const stream = new GifToWebPConverter({ format: ['webp', 'avif'] }).convertStream(fs.createReadStream(sourcePath));
+      stream.on('error', resolve);
+      stream.on('finish', () => resolve(null));
+      stream.resume();
+    });
+    assert(streamError && streamError.message.includes('하나만'), '스트림 변환은 여러 형식을 거부해야 함');
+    
+    // 배치 요약과 보고서는 형식별로 기록
+    const processor = new BatchProcessor({ format: ['webp', 'avif'] });
+    const results = await processor.convertFiles([sourcePath], path.join(outputDir, 'batch'));
+    const report = await createBatchReport(results, processor.getStats());
+    assert(report.summary.outputFormats.avif.successful === 1 && report.summary.outputFormats.webp.successful === 1, '보고서 요약에 형식별 집계가 있어야 함');
+    assert(report.files[0].outputs.avif.outputSize > 0, '보고서 파일 결과에 형식별 출력이 있어야 함');
+    assert(reportToCsv(report).split('\n')[0].includes('outputs.avif.outputSize'), 'CSV에 형식별 열이 있어야 함');
+    testPassed('형식별 보고 정상');
+    
+  } catch (error) {
+    testFailed('여러 출력 형식 테스트 실패', error);
+  }
+}
+
 /**
  * 5. 성능 테스트
  */
@@ -474,8 +2026,30 @@ async function runAllTests() {
   // 테스트 실행
   await testBasicFunctionality();
   await testConversionQuality();
+  await testQualityMetrics();
+  await testAlphaQuality();
+  await testDiffImages();
+  await testHtmlReport();
+  await testAnalyzeCommand();
   await testCompressionRatio();
   await testBatchProcessing();
+  await testTargetSize();
+  await testReportExport();
+  await testOptimizeMode();
+  await testPresets();
+  await testEncoderOptions();
+  await testSizeGuard();
+  await testResize();
+  await testCrop();
+  await testFrameRate();
+  await testDuplicateFrames();
+  await testPlayback();
+  await testTiming();
+  await testBufferStream();
+  await testInputDetection();
+  await testInputFormats();
+  await testReverseConversion();
+  await testOutputFormats();
   await testPerformance();
   await testErrorHandling();
   
@@ -500,8 +2074,30 @@ export {
   runAllTests,
   testBasicFunctionality,
   testConversionQuality,
+  testQualityMetrics,
+  testAlphaQuality,
+  testDiffImages,
+  testHtmlReport,
+  testAnalyzeCommand,
   testCompressionRatio,
   testBatchProcessing,
+  testTargetSize,
+  testReportExport,
+  testOptimizeMode,
+  testPresets,
+  testEncoderOptions,
+  testSizeGuard,
+  testResize,
+  testCrop,
+  testFrameRate,
+  testDuplicateFrames,
+  testPlayback,
+  testTiming,
+  testBufferStream,
+  testInputDetection,
+  testInputFormats,
+  testReverseConversion,
+  testOutputFormats,
   testPerformance,
   testErrorHandling,
   TEST_CONFIG